@@ -1,4 +1,5 @@
 const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
 
 class Bitfield {
     value;
@@ -96,7 +97,7 @@ class Bitfield8 extends Bitfield {
     }
 
     static {
-        Struct.registerFromClass(Bitfield8);
+        Struct.registerFromClass(Bitfield8, StructRegistry.builtins);
     }
 }
 
@@ -150,7 +151,7 @@ class Bitfield16 extends Bitfield {
     }
 
     static {
-        Struct.registerFromClass(Bitfield16);
+        Struct.registerFromClass(Bitfield16, StructRegistry.builtins);
     }
 }
 
@@ -204,7 +205,7 @@ class Bitfield32 extends Bitfield {
     }
 
     static {
-        Struct.registerFromClass(Bitfield32);
+        Struct.registerFromClass(Bitfield32, StructRegistry.builtins);
     }
 }
 
@@ -258,7 +259,7 @@ class Bitfield64 extends Bitfield {
     }
 
     static {
-        Struct.registerFromClass(Bitfield64);
+        Struct.registerFromClass(Bitfield64, StructRegistry.builtins);
     }
 }
 
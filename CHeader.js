@@ -0,0 +1,544 @@
+const Expression = require('./Expression.js');
+
+const tokenPattern = /\s*(#[^\n]*|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[a-zA-Z_][a-zA-Z0-9_]*|0x[0-9a-fA-F]+|[0-9]+(?:\.[0-9]+)?|<<|>>|[{}[\];:,*()=+\-/%&|^~<>!?.])[uUlLfF]*/y;
+const definePattern = /^#\s*define\s+([a-zA-Z_][a-zA-Z0-9_]*)(?!\()\s*(.*)$/;
+const packPattern = /^#\s*pragma\s+pack\s*\(\s*(.*?)\s*\)\s*$/;
+
+const fixedWidthTypes = {
+    'uint8_t': 'u8', 'int8_t': 's8',
+    'uint16_t': 'u16', 'int16_t': 's16',
+    'uint32_t': 'u32', 'int32_t': 's32',
+    'uint64_t': 'u64', 'int64_t': 's64',
+    'float': 'float', 'double': 'double',
+    // C's bool is a single byte, unlike the 4-byte `bool` primitive.
+    'bool': 'u8', '_Bool': 'u8',
+};
+const typeSizes = { 'u8': 1, 's8': 1, 'char': 1, 'u16': 2, 's16': 2, 'u32': 4, 's32': 4, 'float': 4, 'u64': 8, 's64': 8, 'double': 8 };
+const specifierKeywords = ['unsigned', 'signed', 'short', 'long', 'int', 'char'];
+const ignoredKeywords = ['const', 'volatile', 'register', 'static', 'extern'];
+const bitfieldSizes = [1, 2, 4];
+
+function alignUp(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+/**
+ * Converts the struct declarations of a C header file to struct definitions (e.g. `typedef struct { uint8_t id; } Item;`).
+ * Supports the fixed-width and standard integer types (`long` being 32-bit, as on most firmware targets), `float`, `double`,
+ * `bool` (as `u8`), arrays (sized by numbers, `#define` constants or expressions over them), references to other structs and typedefs,
+ * and bitfields of up to 32-bit types, placed as by GCC and Clang on little-endian targets and grouped into `BitfieldN` members.
+ * Members are naturally aligned, unless `#pragma pack` or `__attribute__((packed))` says otherwise.
+ * A bitfield starts at the next free bit, unless it would cross a boundary of its type's size (which packed structs allow),
+ * and named bitfields align the struct to their type; bitfields which no `Bitfield8`/`16`/`32` member can hold at their offset throw.
+ */
+class CHeader {
+    #structs = new Array;
+    /**
+     * The structs declared in the header, in order of declaration, with their definitions in the struct DSL.
+     * @type {Array.<{name: string, structInfo: string}>}
+     * @readonly
+     */
+    get structs() { return this.#structs; }
+
+    #constants = new Object;
+    /**
+     * The numeric constants defined with `#define`.
+     * @type {Object.<string, number>}
+     * @readonly
+     */
+    get constants() { return this.#constants; }
+
+    #types = new Object;
+    #layouts = new Object;
+    #packStack = new Array;
+    #packing;
+    #tokens;
+    #position = 0;
+
+    /**
+     * Parses a C header.
+     * @param {string} source - The contents of the header file.
+     * @throws {SyntaxError} If a declaration cannot be parsed.
+     * @throws {Error} If a struct uses a member type or bitfield layout which cannot be represented (e.g. pointers or nested anonymous structs).
+     */
+    constructor(source) {
+        source = source.replaceAll('\r', '')
+            .replace(/\/\*[\s\S]*?\*\//g, ' ')
+            .replace(/\/\/[^\n]*/g, '')
+            .replace(/\\\n/g, ' ');
+        this.#tokens = CHeader.#tokenize(source);
+        while (this.#position < this.#tokens.length)
+            this.#parseTopLevel();
+        this.#tokens = undefined;
+    }
+
+    static #tokenize(source) {
+        let tokens = new Array;
+        tokenPattern.lastIndex = 0;
+        while (tokenPattern.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(tokenPattern.lastIndex)))
+                break;
+            const start = tokenPattern.lastIndex;
+            const match = tokenPattern.exec(source);
+            if (match === null)
+                throw new SyntaxError(`Unexpected character '${source.slice(start).trim()[0]}' in C header.`);
+            tokens.push(match[1]);
+        }
+        return tokens;
+    }
+
+    #peek(offset = 0) {
+        return this.#tokens[this.#position + offset];
+    }
+
+    #next() {
+        const token = this.#tokens[this.#position++];
+        if (typeof token === 'undefined')
+            throw new SyntaxError('Unexpected end of C header.');
+        return token;
+    }
+
+    #expect(token) {
+        const next = this.#next();
+        if (next !== token)
+            throw new SyntaxError(`Expected '${token}' but found '${next}' in C header.`);
+    }
+
+    #parseTopLevel() {
+        const token = this.#peek();
+        if (token.startsWith('#')) {
+            this.#parseDirective(this.#next());
+        } else if (token === 'extern' && this.#peek(1)?.startsWith('"')) {
+            // extern "C" { ... } blocks: the declarations inside are parsed as top-level ones.
+            this.#position += this.#peek(2) === '{' ? 3 : 2;
+        } else if (token === '}' || token === ';') {
+            this.#next();
+        } else if (token === 'typedef') {
+            this.#next();
+            this.#parseTypedef();
+        } else if (token === 'struct' && this.#isStructDefinition()) {
+            this.#next();
+            const { tag, structInfo, layout } = this.#parseStructBody();
+            if (typeof tag === 'undefined')
+                throw new SyntaxError('Anonymous struct declared outside of a typedef in C header.');
+            this.#addStruct(tag, tag, structInfo, layout);
+            this.#skipDeclaration();
+        } else {
+            this.#skipDeclaration();
+        }
+    }
+
+    #parseDirective(line) {
+        if (definePattern.test(line)) {
+            let [name, value] = definePattern.exec(line).slice(1);
+            try {
+                value = this.#evaluate(value);
+            } catch (e) {
+                return;
+            }
+            this.#constants[name] = value;
+        } else if (packPattern.test(line)) {
+            const args = packPattern.exec(line)[1].split(',').map(arg => arg.trim());
+            if (args[0] === 'push') {
+                this.#packStack.push(this.#packing);
+                if (args.length > 1)
+                    this.#packing = this.#evaluate(args[args.length - 1]);
+            } else if (args[0] === 'pop') {
+                this.#packing = this.#packStack.pop();
+            } else {
+                this.#packing = args[0].length === 0 ? undefined : this.#evaluate(args[0]);
+            }
+        }
+    }
+
+    #evaluate(text) {
+        const source = text.replace(/\b(0x[0-9a-fA-F]+|[0-9]+)[uUlL]+\b/g, '$1');
+        const value = new Expression(source).evaluate(this.#constants);
+        if (typeof value !== 'number' || !Number.isFinite(value))
+            throw new Error(`'${text}' is not a numeric constant.`);
+        return Math.trunc(value);
+    }
+
+    #isStructDefinition() {
+        let i = 1;
+        while (this.#peek(i) === '__attribute__')
+            i = this.#skipParenthesesFrom(i + 1);
+        if (/^[a-zA-Z_]/.test(this.#peek(i) ?? ''))
+            i++;
+        return this.#peek(i) === '{';
+    }
+
+    #skipParenthesesFrom(offset) {
+        let depth = 0;
+        let i = offset;
+        do {
+            const token = this.#peek(i++);
+            if (typeof token === 'undefined')
+                throw new SyntaxError('Unbalanced parentheses in C header.');
+            if (token === '(') depth++;
+            else if (token === ')') depth--;
+        } while (depth > 0);
+        return i;
+    }
+
+    // Skips `__attribute__((...))` specifiers and returns whether one of them was `packed`.
+    #parseAttributes() {
+        let packed = false;
+        while (this.#peek() === '__attribute__') {
+            const end = this.#skipParenthesesFrom(1);
+            packed ||= this.#tokens.slice(this.#position, this.#position + end).includes('packed');
+            this.#position += end;
+        }
+        return packed;
+    }
+
+    // Returns whether a `packed` attribute follows the struct body starting at the next token, up to the end of its declaration,
+    // since the members are laid out before the parser gets there.
+    #isPackedAfterBody() {
+        let depth = 0;
+        let i = 0;
+        do {
+            const token = this.#peek(i++);
+            if (typeof token === 'undefined')
+                throw new SyntaxError('Unbalanced braces in C header.');
+            if (token === '{') depth++;
+            else if (token === '}') depth--;
+        } while (depth > 0);
+        for (let token = this.#peek(i); typeof token !== 'undefined' && token !== ';'; token = this.#peek(i)) {
+            if (token !== '__attribute__') {
+                i++;
+                continue;
+            }
+            const end = this.#skipParenthesesFrom(i + 1);
+            if (this.#tokens.slice(this.#position + i, this.#position + end).includes('packed'))
+                return true;
+            i = end;
+        }
+        return false;
+    }
+
+    // Skips a declaration up to its semicolon, or a function definition up to its closing brace.
+    #skipDeclaration() {
+        let depth = 0;
+        let isFunction = false;
+        while (this.#position < this.#tokens.length) {
+            const token = this.#next();
+            if (token === '{') {
+                if (depth++ === 0 && this.#tokens[this.#position - 2] === ')')
+                    isFunction = true;
+            } else if (token === '}') {
+                if (--depth === 0 && isFunction)
+                    return;
+            } else if (token === ';' && depth <= 0) {
+                return;
+            }
+        }
+    }
+
+    #parseTypedef() {
+        if (this.#peek() === 'struct' && this.#isStructDefinition()) {
+            this.#next();
+            const { tag, structInfo, layout } = this.#parseStructBody();
+            let names = new Array;
+            while (this.#peek() !== ';') {
+                const token = this.#next();
+                if (token === '__attribute__') {
+                    this.#position--;
+                    this.#parseAttributes();
+                } else if (/^[a-zA-Z_]/.test(token) && this.#tokens[this.#position - 2] !== '*') {
+                    names.push(token);
+                }
+            }
+            this.#next();
+            if (names.length === 0)
+                throw new SyntaxError(`typedef of struct '${tag ?? '(anonymous)'}' has no name in C header.`);
+            this.#addStruct(names[0], tag, structInfo, layout);
+            for (const alias of names.slice(1))
+                this.#types[alias] = names[0];
+            return;
+        }
+
+        // Aliases of other types, e.g. `typedef uint16_t word_t;` or `typedef struct Tag Name;`.
+        const start = this.#position;
+        let type;
+        try {
+            type = this.#parseTypeSpecifier();
+        } catch (e) {
+            type = undefined;
+        }
+        const name = this.#peek();
+        if (typeof type !== 'undefined' && /^[a-zA-Z_]/.test(name ?? '') && this.#peek(1) === ';') {
+            this.#types[name] = type;
+            this.#position += 2;
+            return;
+        }
+        this.#position = start;
+        this.#skipDeclaration();
+    }
+
+    #parseStructBody() {
+        let packed = this.#parseAttributes();
+        let tag;
+        if (this.#peek() !== '{')
+            tag = this.#next();
+        packed ||= this.#isPackedAfterBody();
+        this.#expect('{');
+        const structName = tag ?? '(anonymous)';
+
+        let layoutLine;
+        let packing;
+        if (packed) {
+            layoutLine = '@align packed';
+            packing = 1;
+        } else if (typeof this.#packing === 'number' && this.#packing > 0) {
+            layoutLine = `@pack ${this.#packing}`;
+            packing = this.#packing;
+        } else {
+            layoutLine = '@align natural';
+            packing = Infinity;
+        }
+
+        let lines = new Array;
+        // The offset of the next member in bits, undefined after a member of unknown size.
+        let bit = 0;
+        let unknownType;
+        let alignment = 1;
+        let bitfieldAlignment = 1;
+        let bitfieldCount = 0;
+        let run;
+        const closeBitfields = (limit) => {
+            if (typeof run === 'undefined')
+                return;
+            const units = CHeader.#bitfieldUnits(run.fields, limit, structName);
+            // Bitfield members are aligned like their type, so units the compiler put at other offsets are laid out packed.
+            const misaligned = units.some(unit => unit.start % Math.min(unit.size, packing) !== 0);
+            if (misaligned)
+                lines.push('@align packed');
+            let at = run.start;
+            for (const unit of units) {
+                if (unit.start > at)
+                    lines.push(`pad[${unit.start - at}]`);
+                lines.push(`Bitfield${unit.size * 8}{${CHeader.#bitfieldFields(unit).join(', ')}} bitfield${bitfieldCount++}`);
+                at = unit.start + unit.size;
+            }
+            if (Math.ceil(bit / 8) > at)
+                lines.push(`pad[${Math.ceil(bit / 8) - at}]`);
+            if (misaligned)
+                lines.push(layoutLine);
+            run = undefined;
+        };
+
+        while (this.#peek() !== '}') {
+            if (this.#peek().startsWith('#')) {
+                this.#parseDirective(this.#next());
+                continue;
+            }
+            if (['struct', 'union'].includes(this.#peek()) && this.#isStructDefinition())
+                throw new Error(`Nested ${this.#peek()} definitions in struct '${structName}' are not supported.`);
+            if (this.#peek() === 'union')
+                throw new Error(`Union members in struct '${structName}' are not supported.`);
+
+            const type = this.#parseTypeSpecifier();
+            for (;;) {
+                const declarator = this.#parseDeclarator(tag);
+                if (typeof declarator.width !== 'undefined') {
+                    const size = typeSizes[type];
+                    const width = declarator.width;
+                    if (typeof size === 'undefined' || type === 'float' || type === 'double')
+                        throw new Error(`Invalid bitfield type '${type}' for member '${declarator.name ?? '(unnamed)'}' of struct '${structName}'.`);
+                    if (width > size * 8)
+                        throw new Error(`Bitfield '${declarator.name}' of struct '${structName}' is wider than its type.`);
+                    // The fields of Bitfield64 values are read and written with number operations, which BigInt values do not mix with.
+                    if (size === 8)
+                        throw new Error(`64-bit bitfield '${declarator.name ?? '(unnamed)'}' of struct '${structName}' is not supported.`);
+                    if (typeof bit === 'undefined')
+                        throw new Error(`Bitfield '${declarator.name ?? '(unnamed)'}' of struct '${structName}' follows a member of type '${unknownType}', whose size is not known.`);
+                    run ??= { start: bit / 8, fields: new Array };
+                    // Zero-width bitfields move the next one to a boundary of their type, and fields which would cross one start there
+                    // unless the struct is packed.
+                    if (width === 0 || (packing === Infinity && Math.floor(bit / (size * 8)) !== Math.floor((bit + width - 1) / (size * 8))))
+                        bit = alignUp(bit, size * 8);
+                    if (width > 0 && typeof declarator.name !== 'undefined') {
+                        run.fields.push({ name: declarator.name, width, start: bit, size });
+                        bitfieldAlignment = Math.max(bitfieldAlignment, Math.min(size, packing));
+                    }
+                    bit += width;
+                } else {
+                    const length = declarator.dimensions.reduce((product, dimension) => product * dimension, 1);
+                    const layout = typeSizes[type] ? { sizeof: typeSizes[type], alignment: typeSizes[type] } : this.#layouts[type];
+                    const align = Math.min(layout?.alignment ?? 1, packing);
+                    if (typeof bit !== 'undefined')
+                        closeBitfields(alignUp(Math.ceil(bit / 8), align));
+                    lines.push(`${type}${declarator.dimensions.length > 0 ? `[${length}]` : ''} ${declarator.name}`);
+                    if (typeof layout?.sizeof === 'undefined') {
+                        bit = undefined;
+                        unknownType = type;
+                    } else if (typeof bit !== 'undefined') {
+                        bit = (alignUp(Math.ceil(bit / 8), align) + layout.sizeof * length) * 8;
+                    }
+                    alignment = Math.max(alignment, align);
+                }
+                if (this.#peek() !== ',')
+                    break;
+                this.#next();
+            }
+            this.#expect(';');
+        }
+        alignment = Math.max(alignment, bitfieldAlignment);
+        if (typeof bit !== 'undefined')
+            closeBitfields(alignUp(Math.ceil(bit / 8), alignment));
+        // Named bitfields align the struct like their type, which the Bitfield members standing for them may be smaller than.
+        if (bitfieldAlignment > 1)
+            lines.push(`align ${bitfieldAlignment}`);
+        this.#expect('}');
+        this.#parseAttributes();
+
+        const sizeof = typeof bit === 'undefined' ? undefined : alignUp(Math.ceil(bit / 8), alignment);
+        return { tag, structInfo: [layoutLine, ...lines].join('\n'), layout: { sizeof, alignment } };
+    }
+
+    // Groups bitfields into the units of Bitfield members, so that none of them crosses a unit and the units end before `limit`
+    // (the offset of the next member), preferring the size of their declared type as a compiler does.
+    static #bitfieldUnits(fields, limit, structName) {
+        let units = new Array;
+        for (const field of fields) {
+            const start = Math.floor(field.start / 8);
+            const end = Math.ceil((field.start + field.width) / 8);
+            const last = units.at(-1);
+            if (typeof last !== 'undefined' && start < last.end) {
+                last.end = Math.max(last.end, end);
+                last.fields.push(field);
+                last.preferred = Math.max(last.preferred, field.size);
+            } else {
+                units.push({ start, end, fields: [field], preferred: field.size });
+            }
+        }
+        const unitSize = (unit, end, preferred, room, largest) => {
+            if (unit.start % preferred === 0 && unit.start + preferred >= end && unit.start + preferred <= room)
+                return preferred;
+            return bitfieldSizes.find(size => size <= largest && unit.start + size >= end && unit.start + size <= room);
+        };
+        let merged = new Array;
+        for (const [i, unit] of units.entries()) {
+            const room = units[i + 1]?.start ?? limit;
+            const last = merged.at(-1);
+            const preferred = Math.max(last?.preferred ?? 0, unit.preferred);
+            const size = typeof last === 'undefined' ? undefined : unitSize(last, unit.end, preferred, room, preferred);
+            if (typeof size !== 'undefined') {
+                last.fields.push(...unit.fields);
+                Object.assign(last, { end: unit.end, preferred, size });
+                continue;
+            }
+            unit.size = unitSize(unit, unit.end, unit.preferred, room, 4);
+            if (typeof unit.size === 'undefined')
+                throw new Error(`Bitfield '${unit.fields[0].name}' of struct '${structName}' takes ${unit.end - unit.start} bytes at offset ${unit.start}, which no Bitfield8, Bitfield16 or Bitfield32 member there can hold.`);
+            merged.push(unit);
+        }
+        return merged;
+    }
+
+    // Lists the fields of a bitfield unit in the struct DSL's order, from the most significant bit, with reserved fields for the gaps.
+    static #bitfieldFields(unit) {
+        let fields = new Array;
+        let reserved = 0;
+        let at = unit.start * 8;
+        for (const field of unit.fields) {
+            if (field.start > at)
+                fields.push(`#reserved${reserved++}: ${field.start - at}`);
+            fields.push(`${field.name}: ${field.width}`);
+            at = field.start + field.width;
+        }
+        if ((unit.start + unit.size) * 8 > at)
+            fields.push(`#reserved${reserved++}: ${(unit.start + unit.size) * 8 - at}`);
+        return fields.reverse();
+    }
+
+    #parseTypeSpecifier() {
+        let keywords = new Array;
+        let type;
+        for (;;) {
+            const token = this.#peek();
+            if (ignoredKeywords.includes(token)) {
+                this.#next();
+            } else if (specifierKeywords.includes(token)) {
+                keywords.push(this.#next());
+            } else if (token === 'struct' && typeof type === 'undefined' && keywords.length === 0) {
+                this.#next();
+                const tag = this.#next();
+                type = this.#types[`struct ${tag}`] ?? tag;
+            } else if (token === 'enum' || token === 'union') {
+                throw new Error(`Members of type '${token} ${this.#peek(1)}' are not supported.`);
+            } else if (/^[a-zA-Z_]/.test(token ?? '') && typeof type === 'undefined' && keywords.length === 0) {
+                this.#next();
+                type = fixedWidthTypes[token] ?? this.#types[token] ?? token;
+            } else {
+                break;
+            }
+        }
+        if (keywords.length > 0)
+            return CHeader.#standardType(keywords);
+        if (typeof type === 'undefined')
+            throw new SyntaxError(`Expected a type but found '${this.#peek()}' in C header.`);
+        return type;
+    }
+
+    static #standardType(keywords) {
+        const count = keyword => keywords.filter(k => k === keyword).length;
+        const sign = count('unsigned') > 0 ? 'u' : 's';
+        if (count('char') > 0)
+            return count('unsigned') + count('signed') === 0 ? 'char' : `${sign}8`;
+        if (count('short') > 0)
+            return `${sign}16`;
+        if (count('long') > 1)
+            return `${sign}64`;
+        return `${sign}32`;
+    }
+
+    #parseDeclarator(structName) {
+        let name;
+        if (this.#peek() === '*' || this.#peek() === '(')
+            throw new Error(`Pointer members in struct '${structName ?? '(anonymous)'}' are not supported.`);
+        if (/^[a-zA-Z_]/.test(this.#peek()))
+            name = this.#next();
+
+        let dimensions = new Array;
+        while (this.#peek() === '[') {
+            this.#next();
+            let expression = new Array;
+            while (this.#peek() !== ']')
+                expression.push(this.#next());
+            this.#next();
+            let length;
+            try {
+                length = this.#evaluate(expression.join(' '));
+            } catch (e) {
+                throw new Error(`Invalid array length '${expression.join(' ')}' of member '${name}' in struct '${structName ?? '(anonymous)'}'.`, {cause: e});
+            }
+            if (length < 0)
+                throw new Error(`Invalid array length '${expression.join(' ')}' of member '${name}' in struct '${structName ?? '(anonymous)'}'.`);
+            dimensions.push(length);
+        }
+
+        let width;
+        if (this.#peek() === ':') {
+            this.#next();
+            let expression = new Array;
+            while (![',', ';'].includes(this.#peek()))
+                expression.push(this.#next());
+            width = this.#evaluate(expression.join(' '));
+        } else if (typeof name === 'undefined') {
+            throw new SyntaxError(`Expected a member name but found '${this.#peek()}' in struct '${structName ?? '(anonymous)'}'.`);
+        }
+        this.#parseAttributes();
+        return { name, dimensions, width };
+    }
+
+    #addStruct(name, tag, structInfo, layout) {
+        if (typeof tag !== 'undefined')
+            this.#types[`struct ${tag}`] = name;
+        this.#layouts[name] = layout;
+        this.#structs.push({ name, structInfo });
+    }
+}
+
+module.exports = CHeader;
\ No newline at end of file
@@ -0,0 +1,133 @@
+const crc32Table = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++)
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c;
+});
+
+const crc16Table = new Uint16Array(256).map((_, n) => {
+    let c = n << 8;
+    for (let k = 0; k < 8; k++)
+        c = c & 0x8000 ? (c << 1) ^ 0x1021 : c << 1;
+    return c;
+});
+
+// CRC-32 (ISO-HDLC), as used by zlib, PNG and Ethernet.
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (const byte of bytes)
+        crc = crc32Table[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// CRC-16/CCITT-FALSE (polynomial 0x1021, initial value 0xFFFF).
+function crc16(bytes) {
+    let crc = 0xFFFF;
+    for (const byte of bytes)
+        crc = (crc16Table[((crc >>> 8) ^ byte) & 0xFF] ^ (crc << 8)) & 0xFFFF;
+    return crc;
+}
+
+function adler32(bytes) {
+    let a = 1, b = 0;
+    for (const byte of bytes) {
+        a = (a + byte) % 65521;
+        b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+}
+
+function sum(bytes, bits) {
+    let ret = 0;
+    for (const byte of bytes)
+        ret = (ret + byte) % 2 ** bits;
+    return ret;
+}
+
+function xor8(bytes) {
+    let ret = 0;
+    for (const byte of bytes)
+        ret ^= byte;
+    return ret;
+}
+
+/**
+ * The checksum algorithms usable in checksum members (e.g. `u32 crc = crc32(header..payload)`), by name.
+ * An algorithm is a function computing the checksum of a Uint8Array, as a number or a BigInt.
+ */
+class Checksums {
+    static #algorithms = new Map;
+    static #builtins;
+
+    static {
+        Checksums.register('crc32', crc32);
+        Checksums.register('crc16', crc16);
+        Checksums.register('adler32', adler32);
+        Checksums.register('sum8', bytes => sum(bytes, 8));
+        Checksums.register('sum16', bytes => sum(bytes, 16));
+        Checksums.register('sum32', bytes => sum(bytes, 32));
+        Checksums.register('xor8', xor8);
+        Checksums.#builtins = new Set(Checksums.#algorithms.keys());
+    }
+
+    /**
+     * The names of the registered algorithms.
+     * @type {Array.<string>}
+     * @readonly
+     */
+    static get names() { return [...Checksums.#algorithms.keys()]; }
+
+    /**
+     * Registers a checksum algorithm.
+     * @param {string} name - The name of the algorithm in struct definitions.
+     * @param {function(Uint8Array): (number|bigint)} algorithm - The function computing the checksum of some bytes.
+     * @throws {Error} If the name is not an identifier or is already registered.
+     * @throws {TypeError} If `algorithm` is not a function.
+     */
+    static register(name, algorithm) {
+        if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name))
+            throw new Error(`Invalid checksum algorithm name '${name}'.`);
+        if (typeof algorithm !== 'function')
+            throw new TypeError('Parameter algorithm is not a function.');
+        if (Checksums.#algorithms.has(name))
+            throw new Error(`Checksum algorithm '${name}' already registered.`);
+        Checksums.#algorithms.set(name, algorithm);
+    }
+
+    /**
+     * Removes a checksum algorithm registered with `register`.
+     * @param {string} name - The name of the algorithm.
+     * @returns {boolean} Whether the algorithm was registered.
+     * @throws {Error} If the algorithm is built in.
+     */
+    static unregister(name) {
+        if (Checksums.#builtins.has(name))
+            throw new Error(`Cannot unregister built-in checksum algorithm '${name}'.`);
+        return Checksums.#algorithms.delete(name);
+    }
+
+    /**
+     * Whether an algorithm is registered.
+     * @param {string} name - The name of the algorithm.
+     * @returns {boolean} Whether the algorithm is registered.
+     */
+    static has(name) {
+        return Checksums.#algorithms.has(name);
+    }
+
+    /**
+     * Computes the checksum of some bytes.
+     * @param {string} name - The name of the algorithm.
+     * @param {Uint8Array} bytes - The bytes.
+     * @returns {number|bigint} The checksum.
+     * @throws {Error} If the algorithm is not registered.
+     */
+    static compute(name, bytes) {
+        const algorithm = Checksums.#algorithms.get(name);
+        if (typeof algorithm === 'undefined')
+            throw new Error(`No checksum algorithm named '${name}' registered.`);
+        return algorithm(bytes);
+    }
+}
+
+module.exports = Checksums;
\ No newline at end of file
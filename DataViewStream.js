@@ -1,4 +1,5 @@
 const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
 
 /**
  * A stream-like wrapper around DataView for sequential and random-access reading of binary data.
@@ -33,16 +34,30 @@ class DataViewStream {
     #data;
     #seek_head;
 
+    #registry;
+    /**
+     * The registry in which the types read and written by the stream are looked up.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    get registry() { return this.#registry; }
+
     /**
      * Creates a new DataViewStream for a given ArrayBuffer.
      * @param {ArrayBuffer} buffer - The binary data buffer.
      * @param {number} [offset=0] - The offset into the buffer where the stream starts.
-     * @throws {TypeError} If `buffer` is not an ArrayBuffer.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry in which types are looked up.
+     * @throws {TypeError} If `buffer` is not an ArrayBuffer or `registry` is not a StructRegistry.
      */
-    constructor(buffer, offset = 0) {
+    constructor(buffer, offset = 0, registry = StructRegistry.default) {
         if (!ArrayBuffer.prototype.isPrototypeOf(buffer)) {
             throw new TypeError('Parameter buffer is not of type ArrayBuffer.');
         }
+        if (!(registry instanceof StructRegistry)) {
+            throw new TypeError('Parameter registry is not of type StructRegistry.');
+        }
+
+        this.#registry = registry;
 
         this.#buffer = buffer;
         this.#data = new DataView(buffer, offset);
@@ -99,7 +114,7 @@ class DataViewStream {
      * @returns {*} The parsed value or struct.
      */
     readNext(type, isLittleEndian = false, options) {
-        let readValue = Struct.readValue(this.#data, this.#seek_head, type, isLittleEndian, options);
+        let readValue = Struct.readValue(this.#data, this.#seek_head, type, isLittleEndian, options, this.#registry);
         this.#seek_head += readValue.count;
         return readValue.value;
     }
@@ -118,7 +133,7 @@ class DataViewStream {
             throw new TypeError('Parameter offset should be of type number.');
         else if (Number.isNaN(offset))
             throw new Error('Parameter offset should not be NaN.');
-        let readValue = Struct.readValue(this.#data, offset, type, isLittleEndian, options);
+        let readValue = Struct.readValue(this.#data, offset, type, isLittleEndian, options, this.#registry);
         return readValue.value;
     }
 
@@ -131,7 +146,7 @@ class DataViewStream {
      * @returns {number} - The number of bytes written.
      */
     writeNext(value, type, isLittleEndian = false, options) {
-        let count = Struct.writeValue(this.#data, this.#seek_head, value, type, isLittleEndian, options);
+        let count = Struct.writeValue(this.#data, this.#seek_head, value, type, isLittleEndian, options, this.#registry);
         this.#seek_head += count;
         return count;
     }
@@ -146,7 +161,7 @@ class DataViewStream {
      * @returns {number} - The number of bytes written.
      */
     writeAt(offset, value, type, isLittleEndian = false, options) {
-        let count = Struct.writeValue(this.#data, offset, value, type, isLittleEndian, options);
+        let count = Struct.writeValue(this.#data, offset, value, type, isLittleEndian, options, this.#registry);
         return count;
     }
 
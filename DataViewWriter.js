@@ -0,0 +1,193 @@
+const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
+const StructError = require('./StructError.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+
+const maxByteLength = 2 ** 32;
+
+/**
+ * A stream-like writer which grows its buffer as values are written past its end, for data whose size is not known in advance.
+ */
+class DataViewWriter {
+    /**
+     * Seek mode: Set the position relative to the beginning of the written data.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_SET () { return 0; }
+    /**
+     * Seek mode: Set the position relative to the current position.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_CUR () { return 1; }
+    /**
+     * Seek mode: Set the position relative to the end of the written data.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_END () { return 2; }
+
+    #data;
+    #seek_head = 0;
+
+    #byteLength = 0;
+    /**
+     * The number of bytes written, i.e. the offset of the end of the furthest value written.
+     * @type {number}
+     * @readonly
+     */
+    get byteLength() { return this.#byteLength; }
+
+    #registry;
+    /**
+     * The registry in which the types written by the writer are looked up.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    get registry() { return this.#registry; }
+
+    /**
+     * Creates a new, empty DataViewWriter.
+     * @param {number} [byteLength=256] - The initial size of the buffer. It is doubled whenever a write does not fit.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry in which types are looked up.
+     * @throws {TypeError} If `registry` is not a StructRegistry.
+     * @throws {RangeError} If `byteLength` is not a positive integer.
+     */
+    constructor(byteLength = 256, registry = StructRegistry.default) {
+        if (!Number.isSafeInteger(byteLength) || byteLength < 1 || byteLength > maxByteLength)
+            throw new RangeError('Parameter byteLength should be a positive integer.');
+        if (!(registry instanceof StructRegistry))
+            throw new TypeError('Parameter registry is not of type StructRegistry.');
+
+        this.#data = new DataView(new ArrayBuffer(byteLength));
+        this.#registry = registry;
+    }
+
+    /**
+     * Moves the write head to a specific position. Positions past the end of the written data are allowed, and the gap is filled with zeros once written to.
+     * @param {number} offset - The position to seek to.
+     * @param {number} [whence=DataViewWriter.SEEK_SET] - The seek mode (SEEK_SET, SEEK_CUR, SEEK_END).
+     * @returns {DataViewWriter} The writer instance (for chaining).
+     * @throws {TypeError} If `offset` is not a number or `whence` is not a valid seek mode.
+     */
+    seek(offset, whence = DataViewWriter.SEEK_SET) {
+        if (typeof offset !== 'number')
+            throw new TypeError('Parameter offset should be of type number.');
+        else if (Number.isNaN(offset))
+            throw new Error('Parameter offset should not be NaN.');
+        switch (whence) {
+            case DataViewWriter.SEEK_SET:
+                this.#seek_head = offset;
+                break;
+
+            case DataViewWriter.SEEK_CUR:
+                this.#seek_head += offset;
+                break;
+
+            case DataViewWriter.SEEK_END:
+                this.#seek_head = this.#byteLength + offset;
+                break;
+
+            default:
+                throw new TypeError('Invalid value for parameter whence.');
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns the current position of the write head.
+     * @returns {number} The current position.
+     */
+    tell() {
+        return this.#seek_head;
+    }
+
+    /**
+     * Writes a value of a given type at the current position and advances the write head, growing the buffer if needed.
+     * @param {*} value - The value to write.
+     * @param {string} type - The name of the type or struct to write.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the write function.
+     * @returns {number} - The number of bytes written.
+     */
+    writeNext(value, type, isLittleEndian = false, options) {
+        let count = this.writeAt(this.#seek_head, value, type, isLittleEndian, options);
+        this.#seek_head += count;
+        return count;
+    }
+
+    /**
+     * Writes a value of a given type at a specific position, growing the buffer if needed.
+     * @param {number} offset - The offset at which to start writing.
+     * @param {*} value - The value to write.
+     * @param {string} type - The name of the type or struct to write.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the write function.
+     * @returns {number} - The number of bytes written.
+     * @throws {TypeError} If `offset` is not a number.
+     * @throws {RangeError} If `offset` is negative or the buffer would grow past 4 GiB.
+     */
+    writeAt(offset, value, type, isLittleEndian = false, options) {
+        if (typeof offset !== 'number')
+            throw new TypeError('Parameter offset should be of type number.');
+        else if (Number.isNaN(offset))
+            throw new Error('Parameter offset should not be NaN.');
+        if (offset < 0)
+            throw new RangeError('position is outside the bounds of the DataView.');
+
+        const sizeof = this.#registry.get(type)?.sizeof;
+        if (typeof sizeof === 'number')
+            this.#reserve(offset + sizeof);
+
+        // The size of variable-size values is only known once written, so they are retried with a larger buffer until they fit.
+        for (;;) {
+            try {
+                const count = Struct.writeValue(this.#data, offset, value, type, isLittleEndian, options, this.#registry);
+                this.#byteLength = Math.max(this.#byteLength, offset + count);
+                return count;
+            } catch (e) {
+                const cause = e instanceof StructError ? e.cause : e;
+                if (!(cause instanceof OutOfBoundsError) || this.#data.byteLength >= maxByteLength)
+                    throw e;
+                // The member which failed is only grown room for up to its size if it has a fixed one: if it already had that room, or
+                // is at a negative offset, growing the buffer would not help.
+                const position = e instanceof StructError ? e.offset : offset;
+                const size = e instanceof StructError ? this.#registry.get(e.type)?.sizeof : sizeof;
+                if (position < 0 || (typeof size === 'number' && position + size <= this.#data.byteLength))
+                    throw e;
+                this.#reserve(typeof size === 'number' ? position + size : Math.max(this.#data.byteLength * 2, position + 1));
+            }
+        }
+    }
+
+    #reserve(byteLength) {
+        if (byteLength <= this.#data.byteLength)
+            return;
+        if (byteLength > maxByteLength)
+            throw new RangeError(`Cannot grow the buffer past ${maxByteLength} bytes.`);
+
+        const buffer = new ArrayBuffer(Math.min(Math.max(this.#data.byteLength * 2, byteLength), maxByteLength));
+        new Uint8Array(buffer).set(new Uint8Array(this.#data.buffer));
+        this.#data = new DataView(buffer);
+    }
+
+    /**
+     * Returns a copy of the bytes written.
+     * @returns {ArrayBuffer} A buffer of `byteLength` bytes.
+     */
+    toArrayBuffer() {
+        return this.#data.buffer.slice(0, this.#byteLength);
+    }
+
+    /**
+     * Returns a copy of the bytes written.
+     * @returns {Uint8Array} An array of `byteLength` bytes.
+     */
+    toUint8Array() {
+        return new Uint8Array(this.toArrayBuffer());
+    }
+}
+
+module.exports = DataViewWriter;
\ No newline at end of file
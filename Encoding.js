@@ -0,0 +1,143 @@
+const encodingAliases = {
+    'utf-8': 'utf-8',
+    'utf8': 'utf-8',
+    'utf-16le': 'utf-16le',
+    'utf16le': 'utf-16le',
+    'utf-16be': 'utf-16be',
+    'utf16be': 'utf-16be',
+    'latin1': 'latin1',
+    'iso-8859-1': 'latin1',
+    'shift_jis': 'shift_jis',
+    'shift-jis': 'shift_jis',
+    'sjis': 'shift_jis',
+};
+
+let shiftJISEncodeTable;
+
+/**
+ * Resolves an encoding name to its canonical form.
+ * @param {string} encoding - The name of the encoding (e.g. 'utf-8', 'utf-16le', 'latin1', 'shift_jis').
+ * @returns {string} The canonical encoding name.
+ * @throws {TypeError} If the encoding is not supported.
+ */
+function normalizeEncoding(encoding) {
+    const name = encodingAliases[String(encoding).toLowerCase()];
+    if (typeof name === 'undefined')
+        throw new TypeError(`Unsupported string encoding '${encoding}'.`);
+    if (name === 'shift_jis') {
+        try {
+            new TextDecoder('shift_jis');
+        } catch (e) {
+            throw new TypeError(`String encoding 'shift_jis' is not supported by this platform's TextDecoder.`, {cause: e});
+        }
+    }
+    return name;
+}
+
+/**
+ * Returns the size (in bytes) of a code unit, which is also the size of the null terminator.
+ * @param {string} encoding - The name of the encoding.
+ * @returns {number} 2 for UTF-16 encodings, 1 otherwise.
+ */
+function codeUnitSize(encoding) {
+    return normalizeEncoding(encoding).startsWith('utf-16') ? 2 : 1;
+}
+
+/**
+ * Decodes bytes into a string.
+ * @param {Uint8Array} bytes - The encoded bytes.
+ * @param {string} encoding - The name of the encoding.
+ * @returns {string} The decoded string.
+ */
+function decodeString(bytes, encoding) {
+    encoding = normalizeEncoding(encoding);
+    if (encoding === 'latin1') {
+        let ret = new Array;
+        for (const byte of bytes)
+            ret.push(String.fromCharCode(byte));
+        return ret.join('');
+    }
+    return new TextDecoder(encoding).decode(bytes);
+}
+
+/**
+ * Encodes a string into bytes.
+ * @param {string} string - The string to encode.
+ * @param {string} encoding - The name of the encoding.
+ * @returns {Uint8Array} The encoded bytes.
+ * @throws {RangeError} If the string contains characters that cannot be represented in the encoding.
+ */
+function encodeString(string, encoding) {
+    encoding = normalizeEncoding(encoding);
+    string = String(string);
+    switch (encoding) {
+        case 'utf-8':
+            return new TextEncoder().encode(string);
+
+        case 'utf-16le':
+        case 'utf-16be': {
+            const bytes = new Uint8Array(string.length * 2);
+            const view = new DataView(bytes.buffer);
+            for (let i = 0; i < string.length; i++)
+                view.setUint16(i * 2, string.charCodeAt(i), encoding === 'utf-16le');
+            return bytes;
+        }
+
+        case 'latin1': {
+            const bytes = new Uint8Array(string.length);
+            for (let i = 0; i < string.length; i++) {
+                const code = string.charCodeAt(i);
+                if (code > 0xFF)
+                    throw new RangeError(`Character '${string[i]}' cannot be encoded in latin1.`);
+                bytes[i] = code;
+            }
+            return bytes;
+        }
+
+        case 'shift_jis': {
+            const table = getShiftJISEncodeTable();
+            const bytes = new Array;
+            for (const char of string) {
+                const encoded = table.get(char);
+                if (typeof encoded === 'undefined')
+                    throw new RangeError(`Character '${char}' cannot be encoded in shift_jis.`);
+                bytes.push(...encoded);
+            }
+            return Uint8Array.from(bytes);
+        }
+    }
+}
+
+// TextEncoder only produces UTF-8, so the Shift_JIS encoder is built by decoding every valid byte sequence once.
+function getShiftJISEncodeTable() {
+    if (typeof shiftJISEncodeTable !== 'undefined')
+        return shiftJISEncodeTable;
+
+    const decoder = new TextDecoder('shift_jis', {fatal: true});
+    const table = new Map;
+    const add = (bytes) => {
+        let char;
+        try {
+            char = decoder.decode(Uint8Array.from(bytes));
+        } catch (e) {
+            return;
+        }
+        if (!table.has(char))
+            table.set(char, bytes);
+    };
+
+    for (let byte = 0; byte <= 0xFF; byte++)
+        add([byte]);
+    for (let lead = 0x81; lead <= 0xFC; lead++) {
+        if (lead > 0x9F && lead < 0xE0) continue;
+        for (let trail = 0x40; trail <= 0xFC; trail++) {
+            if (trail === 0x7F) continue;
+            add([lead, trail]);
+        }
+    }
+
+    shiftJISEncodeTable = table;
+    return table;
+}
+
+module.exports = { normalizeEncoding, codeUnitSize, decodeString, encodeString };
\ No newline at end of file
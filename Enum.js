@@ -0,0 +1,248 @@
+const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
+
+const enumPattern = /^\s*enum\s*<\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*>\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\{([^{}]*)\}\s*;?\s*$/;
+const entryPattern = /^([a-zA-Z_][a-zA-Z0-9_]*)(?:\s*=\s*(-?(?:0x[0-9a-fA-F]+|[0-9]+)))?$/;
+const integerRanges = {
+    u8: [0n, 0xFFn], s8: [-0x80n, 0x7Fn],
+    u16: [0n, 0xFFFFn], s16: [-0x8000n, 0x7FFFn],
+    u32: [0n, 0xFFFFFFFFn], s32: [-0x80000000n, 0x7FFFFFFFn],
+    u64: [0n, 0xFFFFFFFFFFFFFFFFn], s64: [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn],
+};
+const integerTypes = Object.keys(integerRanges);
+
+/**
+ * An enumeration of named integer values, usable as the type of struct members (e.g. `enum<u8> Opcode { NOP = 0, LOAD = 1, STORE = 2 }`).
+ * Values are read as their symbolic name and written from either their name or their number.
+ */
+class Enum {
+    #name;
+    /**
+     * The name of the enum.
+     * @type {string}
+     * @readonly
+     */
+    get name() { return this.#name; }
+
+    #type;
+    /**
+     * The name of the integer type the values are stored as.
+     * @type {string}
+     * @readonly
+     */
+    get type() { return this.#type; }
+
+    #sizeof;
+    /**
+     * The size (in bytes) of the enum's integer type.
+     * @type {number}
+     * @readonly
+     */
+    get sizeof() { return this.#sizeof; }
+
+    #values = new Map;
+    /**
+     * The values of the enum by name, in order of declaration.
+     * @type {Object.<string, (number|bigint)>}
+     * @readonly
+     */
+    get values() { return Object.fromEntries(this.#values); }
+
+    #names = new Map;
+    #options;
+
+    /**
+     * Creates and registers a new enum type.
+     * @param {string} enumInfo - The enum declaration, e.g. `enum<u8> Opcode { NOP = 0, LOAD, STORE }`. Values default to one more than the previous one, starting from 0.
+     * @param {Object} [options] - Additional options.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the enum in.
+     * @param {'name'|'object'} [options.format='name'] - Whether values are read as their name or as a `{name, value}` object.
+     * @param {'value'|'error'} [options.unknown='value'] - Whether values without a name are read as their number (or an object with an undefined name) or throw a RangeError.
+     * Both `format` and `unknown` can be overridden by the options of each member (e.g. `Opcode{format: "object"} op`).
+     * @throws {Error} If the declaration is malformed or the enum name conflicts with an existing type.
+     * @throws {TypeError} If `options.registry` is not a StructRegistry.
+     * @throws {RangeError} If a value does not fit in the enum's integer type.
+     */
+    constructor(enumInfo, options = {}) {
+        const { registry = StructRegistry.default, ...readOptions } = options;
+        if (!(registry instanceof StructRegistry))
+            throw new TypeError('Option registry is not of type StructRegistry.');
+        if (!enumPattern.test(enumInfo))
+            throw new Error(`Invalid enum declaration '${enumInfo.trim()}'.`);
+
+        let [type, name, body] = enumPattern.exec(enumInfo).slice(1);
+        if (!integerTypes.includes(type))
+            throw new Error(`Invalid type '${type}' for enum '${name}', expected one of ${integerTypes.join(', ')}.`);
+        if (registry.has(name))
+            throw new Error(`struct named '${name}' already registered.`);
+
+        this.#name = name;
+        this.#type = type;
+        this.#sizeof = registry.get(type).sizeof;
+        this.#options = { format: 'name', unknown: 'value', ...readOptions };
+
+        const isBigInt = this.#sizeof === 8;
+        let next = isBigInt ? 0n : 0;
+        for (let entry of body.split(',')) {
+            entry = entry.trim();
+            if (entry.length === 0)
+                continue;
+            if (!entryPattern.test(entry))
+                throw new Error(`Invalid entry '${entry}' in enum '${name}'.`);
+            let [key, value] = entryPattern.exec(entry).slice(1);
+            if (this.#values.has(key))
+                throw new Error(`Duplicate name '${key}' in enum '${name}'.`);
+            if (typeof value !== 'undefined') {
+                // Parsed as a BigInt, so that 64-bit values above 2^53 keep all their digits.
+                const number = value.startsWith('-') ? -BigInt(value.slice(1)) : BigInt(value);
+                next = isBigInt ? number : Number(number);
+            }
+            const [min, max] = integerRanges[type];
+            if (BigInt(next) < min || BigInt(next) > max)
+                throw new RangeError(`Value ${next} of '${key}' in enum '${name}' does not fit in type '${type}'.`);
+            this.#values.set(key, next);
+            if (!this.#names.has(String(next)))
+                this.#names.set(String(next), key);
+            next += isBigInt ? 1n : 1;
+        }
+        if (this.#values.size === 0)
+            throw new Error(`Enum '${name}' has no values.`);
+
+        registry.register(name, this);
+    }
+
+    /**
+     * Creates and registers an enum from a schema made by `toSchema`.
+     * @param {Object|string} schema - The schema, or its JSON text.
+     * @param {Object} [options] - Additional options, as for the constructor, overriding the `format` and `unknown` options of the schema.
+     * @returns {Enum} The new enum.
+     * @throws {Error} If the schema is malformed or of an unsupported version, or the enum name conflicts with an existing type.
+     */
+    static fromSchema(schema, options = {}) {
+        if (typeof schema === 'string')
+            schema = JSON.parse(schema);
+        if (schema?.version !== StructRegistry.schemaVersion)
+            throw new Error(`Unsupported schema version '${schema?.version}', expected ${StructRegistry.schemaVersion}.`);
+        if (schema.kind !== 'enum' || typeof schema.values !== 'object' || schema.values === null)
+            throw new Error(`Invalid enum schema '${schema.name}'.`);
+
+        const values = Object.entries(schema.values).map(([key, value]) => `${key} = ${value}`).join(', ');
+        let readOptions = new Object;
+        for (const option of ['format', 'unknown']) {
+            if (typeof schema[option] !== 'undefined')
+                readOptions[option] = schema[option];
+        }
+        return new Enum(`enum<${schema.type}> ${schema.name} { ${values} }`, {...readOptions, ...options});
+    }
+
+    /**
+     * Returns the name of a value.
+     * @param {number|bigint} value - The value.
+     * @returns {string|undefined} The (first) name of the value, or `undefined` if it has none.
+     */
+    nameOf(value) {
+        return this.#names.get(String(value));
+    }
+
+    /**
+     * Converts a name, a number or a `{name, value}` object to the value stored in binary data.
+     * @param {string|number|bigint|{name: (string|undefined), value: (number|bigint|undefined)}} value - The name or value.
+     * @returns {number|bigint} The value.
+     * @throws {RangeError} If `value` is a name which is not part of the enum.
+     * @throws {TypeError} If `value` is neither a name nor a number.
+     */
+    toValue(value) {
+        if (typeof value === 'object' && value !== null)
+            value = value.name ?? value.value;
+        if (typeof value === 'string') {
+            if (!this.#values.has(value))
+                throw new RangeError(`'${value}' is not a value of enum '${this.#name}'.`);
+            return this.#values.get(value);
+        }
+        if (typeof value !== 'number' && typeof value !== 'bigint')
+            throw new TypeError(`Cannot convert '${value}' to a value of enum '${this.#name}'.`);
+        return this.#sizeof === 8 ? BigInt(value) : Number(value);
+    }
+
+    /**
+     * Reads a value of the enum from a DataView.
+     * @param {DataView} data - The DataView containing the binary data.
+     * @param {number} position - The offset at which to start reading.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Overrides the `format` and `unknown` options of the enum.
+     * @returns {string|number|bigint|{name: (string|undefined), value: (number|bigint)}} The name of the value, or the value itself if it has none.
+     * @throws {RangeError} If the value has no name and the `unknown` option is `'error'`.
+     */
+    read(data, position, isLittleEndian = false, options) {
+        const { format, unknown } = { ...this.#options, ...options };
+        const value = Struct.readValue(data, position, this.#type, isLittleEndian).value;
+        const name = this.nameOf(value);
+        if (typeof name === 'undefined' && unknown === 'error')
+            throw new RangeError(`Unknown value ${value} of enum '${this.#name}'.`);
+        if (format === 'object')
+            return { name, value };
+        return name ?? value;
+    }
+
+    /**
+     * Writes a value of the enum to a DataView.
+     * @param {DataView} data - The DataView to write to.
+     * @param {number} position - The offset at which to start writing.
+     * @param {string|number|bigint|{name: (string|undefined), value: (number|bigint|undefined)}} value - The name or value to write.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @returns {number} The number of bytes written.
+     * @throws {RangeError} If `value` is a name which is not part of the enum.
+     */
+    write(data, position, value, isLittleEndian = false) {
+        return Struct.writeValue(data, position, this.toValue(value), this.#type, isLittleEndian);
+    }
+
+    /**
+     * Converts the enum to a TypeScript type alias of the union of its names.
+     * @returns {string} The code of the TypeScript declaration.
+     */
+    toTypeScript() {
+        return `export type ${this.#name} = ${[...this.#values.keys()].map(key => `'${key}'`).join(' | ')};\n`;
+    }
+
+    /**
+     * Returns the TypeScript type of the values read with the given options, for `Struct.prototype.toTypeScript()`.
+     * @param {object} [options] - Overrides the `format` and `unknown` options of the enum.
+     * @returns {string} A TypeScript type.
+     */
+    tsType(options) {
+        const { format, unknown } = { ...this.#options, ...options };
+        const number = this.#sizeof === 8 ? 'bigint' : 'number';
+        if (format === 'object')
+            return `{ name: ${this.#name}${unknown === 'error' ? '' : ' | undefined'}; value: ${number} }`;
+        return unknown === 'error' ? this.#name : `${this.#name} | ${number}`;
+    }
+
+    /**
+     * Describes the enum as a JSON schema, which `Enum.fromSchema` and `Struct.fromSchema` turn back into the same enum.
+     * @returns {{kind: 'enum', version: number, name: string, type: string, values: Object.<string, (number|string)>, format: string, unknown: string}}
+     * The schema, with the values of 64-bit enums as decimal strings.
+     */
+    toSchema() {
+        const values = [...this.#values].map(([key, value]) => [key, typeof value === 'bigint' ? String(value) : value]);
+        return {
+            kind: 'enum', version: StructRegistry.schemaVersion, name: this.#name, type: this.#type, values: Object.fromEntries(values),
+            format: this.#options.format, unknown: this.#options.unknown,
+        };
+    }
+
+    /**
+     * Converts the enum to a C enum declaration, for `Struct.prototype.toCHeader()`.
+     * Struct members of the enum's type are declared with its integer type, since the size of C enums is not fixed.
+     * @returns {string} The code of the C declaration.
+     */
+    toCHeader() {
+        let ret = `enum ${this.#name} {\n`;
+        for (const [key, value] of this.#values)
+            ret += `    ${key} = ${value},\n`;
+        ret += `};\n`;
+        return ret;
+    }
+}
+
+module.exports = Enum;
\ No newline at end of file
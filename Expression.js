@@ -0,0 +1,260 @@
+const tokenPattern = /\s*(0x[0-9a-fA-F]+|0b[01]+|[0-9]+(?:\.[0-9]+)?|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[a-zA-Z_#][a-zA-Z0-9_]*|>>>|===|!==|<<|>>|<=|>=|==|!=|&&|\|\||[-+*/%<>&|^!~().[\]])/y;
+
+const binaryPrecedence = {
+    '||': 1,
+    '&&': 2,
+    '|': 3,
+    '^': 4,
+    '&': 5,
+    '==': 6, '!=': 6, '===': 6, '!==': 6,
+    '<': 7, '<=': 7, '>': 7, '>=': 7,
+    '<<': 8, '>>': 8, '>>>': 8,
+    '+': 9, '-': 9,
+    '*': 10, '/': 10, '%': 10,
+};
+
+// Applies a binary operator other than `&&` and `||`: char arrays are operands as the string they spell, integers combined with BigInts
+// are converted to BigInts, and equality is strict. Self-contained, as the code generated by `toJS` declares it from its source.
+function operate(operator, left, right) {
+    if (Array.isArray(left) && left.every(c => typeof c === 'string'))
+        left = left.join('');
+    if (Array.isArray(right) && right.every(c => typeof c === 'string'))
+        right = right.join('');
+    if (typeof left === 'bigint' && typeof right === 'number' && Number.isInteger(right))
+        right = BigInt(right);
+    else if (typeof right === 'bigint' && typeof left === 'number' && Number.isInteger(left))
+        left = BigInt(left);
+
+    switch (operator) {
+        case '==': case '===': return left === right;
+        case '!=': case '!==': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+        case '<<': return left << right;
+        case '>>': return left >> right;
+        case '>>>': return left >>> right;
+        case '&': return left & right;
+        case '|': return left | right;
+        case '^': return left ^ right;
+    }
+}
+
+/**
+ * A side-effect free expression over the members of a struct, used by conditional members (e.g. `if (version >= 3) u32 crc`).
+ * Supports number and string literals, member names with `.field` and `[index]` access, and the usual JavaScript
+ * arithmetic, bitwise, comparison and logical operators. Char arrays compare equal to the string they spell.
+ */
+class Expression {
+    #source;
+    /**
+     * The source text of the expression.
+     * @type {string}
+     * @readonly
+     */
+    get source() { return this.#source; }
+
+    #ast;
+    #identifiers = new Set;
+    /**
+     * The names of the members the expression refers to.
+     * @type {Array.<string>}
+     * @readonly
+     */
+    get identifiers() { return [...this.#identifiers]; }
+
+    #tokens;
+    #position = 0;
+
+    /**
+     * Parses an expression.
+     * @param {string} source - The source text of the expression.
+     * @throws {SyntaxError} If the expression is malformed.
+     */
+    constructor(source) {
+        this.#source = source.trim();
+        this.#tokens = Expression.#tokenize(this.#source);
+        this.#ast = this.#parseBinary(0);
+        if (this.#position < this.#tokens.length)
+            throw new SyntaxError(`Unexpected '${this.#tokens[this.#position]}' in expression '${this.#source}'.`);
+        this.#tokens = undefined;
+    }
+
+    static #tokenize(source) {
+        let tokens = new Array;
+        tokenPattern.lastIndex = 0;
+        while (tokenPattern.lastIndex < source.length) {
+            if (/^\s*$/.test(source.slice(tokenPattern.lastIndex)))
+                break;
+            const start = tokenPattern.lastIndex;
+            const match = tokenPattern.exec(source);
+            if (match === null)
+                throw new SyntaxError(`Unexpected character '${source.slice(start).trim()[0]}' in expression '${source}'.`);
+            tokens.push(match[1]);
+        }
+        return tokens;
+    }
+
+    #peek() {
+        return this.#tokens[this.#position];
+    }
+
+    #next() {
+        const token = this.#tokens[this.#position++];
+        if (typeof token === 'undefined')
+            throw new SyntaxError(`Unexpected end of expression '${this.#source}'.`);
+        return token;
+    }
+
+    #expect(token) {
+        const next = this.#next();
+        if (next !== token)
+            throw new SyntaxError(`Expected '${token}' but found '${next}' in expression '${this.#source}'.`);
+    }
+
+    #parseBinary(minPrecedence) {
+        let left = this.#parseUnary();
+        while (binaryPrecedence[this.#peek()] > minPrecedence) {
+            const operator = this.#next();
+            const right = this.#parseBinary(binaryPrecedence[operator]);
+            left = { operator, left, right };
+        }
+        return left;
+    }
+
+    #parseUnary() {
+        if (['!', '-', '~', '+'].includes(this.#peek())) {
+            const operator = this.#next();
+            return { operator, operand: this.#parseUnary() };
+        }
+        return this.#parsePostfix(this.#parsePrimary());
+    }
+
+    #parsePostfix(node) {
+        for (;;) {
+            if (this.#peek() === '.') {
+                this.#next();
+                const property = this.#next();
+                if (!/^[a-zA-Z_#][a-zA-Z0-9_]*$/.test(property))
+                    throw new SyntaxError(`Invalid member name '${property}' in expression '${this.#source}'.`);
+                node = { object: node, property: { literal: property } };
+            } else if (this.#peek() === '[') {
+                this.#next();
+                const property = this.#parseBinary(0);
+                this.#expect(']');
+                node = { object: node, property };
+            } else {
+                return node;
+            }
+        }
+    }
+
+    #parsePrimary() {
+        const token = this.#next();
+        if (token === '(') {
+            const node = this.#parseBinary(0);
+            this.#expect(')');
+            return node;
+        }
+        if (/^0x/i.test(token))
+            return { literal: parseInt(token, 16) };
+        if (/^0b/i.test(token))
+            return { literal: parseInt(token.slice(2), 2) };
+        if (/^[0-9]/.test(token))
+            return { literal: Number(token) };
+        if (token.startsWith('"'))
+            return { literal: JSON.parse(token) };
+        if (token.startsWith("'"))
+            return { literal: JSON.parse(`"${token.slice(1, -1).replaceAll('"', '\\"').replaceAll("\\'", "'")}"`) };
+        if (token === 'true' || token === 'false')
+            return { literal: token === 'true' };
+        if (/^[a-zA-Z_#]/.test(token)) {
+            this.#identifiers.add(token);
+            return { identifier: token };
+        }
+        throw new SyntaxError(`Unexpected '${token}' in expression '${this.#source}'.`);
+    }
+
+    /**
+     * Evaluates the expression.
+     * @param {Object} scope - The object whose properties the identifiers refer to (e.g. the partially read struct).
+     * @returns {*} The value of the expression.
+     */
+    evaluate(scope) {
+        return Expression.#evaluate(this.#ast, scope);
+    }
+
+    static #evaluate(node, scope) {
+        if ('literal' in node)
+            return node.literal;
+        if ('identifier' in node)
+            return scope[node.identifier];
+        if ('object' in node) {
+            const object = Expression.#evaluate(node.object, scope);
+            const property = Expression.#evaluate(node.property, scope);
+            return object === undefined || object === null ? undefined : object[property];
+        }
+        if ('operand' in node) {
+            const operand = Expression.#evaluate(node.operand, scope);
+            switch (node.operator) {
+                case '!': return !operand;
+                case '-': return -operand;
+                case '+': return typeof operand === 'bigint' ? operand : Number(operand);
+                case '~': return ~operand;
+            }
+        }
+
+        if (node.operator === '&&')
+            return Expression.#evaluate(node.left, scope) && Expression.#evaluate(node.right, scope);
+        if (node.operator === '||')
+            return Expression.#evaluate(node.left, scope) || Expression.#evaluate(node.right, scope);
+
+        return operate(node.operator, Expression.#evaluate(node.left, scope), Expression.#evaluate(node.right, scope));
+    }
+
+    /**
+     * The code of the `operate` function which the code generated by `toJS` applies binary operators with, to declare in the same scope.
+     * @type {string}
+     * @readonly
+     */
+    static get operateJS() { return operate.toString(); }
+
+    /**
+     * Converts the expression to JavaScript code, for code generators such as `Struct.prototype.toClass()`.
+     * The code evaluates as `evaluate` does, applying binary operators with an `operate` function declared by `Expression.operateJS`.
+     * @param {string} scopeName - The name of the variable holding the object the identifiers refer to.
+     * @returns {string} A JavaScript expression.
+     */
+    toJS(scopeName) {
+        return Expression.#toJS(this.#ast, scopeName);
+    }
+
+    static #toJS(node, scopeName) {
+        if ('literal' in node)
+            return JSON.stringify(node.literal);
+        if ('identifier' in node)
+            return `${scopeName}[${JSON.stringify(node.identifier)}]`;
+        if ('object' in node)
+            return `${Expression.#toJS(node.object, scopeName)}?.[${Expression.#toJS(node.property, scopeName)}]`;
+        if ('operand' in node)
+            return `${node.operator}(${Expression.#toJS(node.operand, scopeName)})`;
+
+        const left = Expression.#toJS(node.left, scopeName);
+        const right = Expression.#toJS(node.right, scopeName);
+        if (node.operator === '&&' || node.operator === '||')
+            return `(${left} ${node.operator} ${right})`;
+        return `operate('${node.operator}', ${left}, ${right})`;
+    }
+
+    toString() {
+        return this.#source;
+    }
+}
+
+module.exports = Expression;
\ No newline at end of file
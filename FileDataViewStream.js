@@ -0,0 +1,322 @@
+const fs = require('fs');
+const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
+const StructError = require('./StructError.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+const DataViewWriter = require('./DataViewWriter.js');
+
+/**
+ * A stream-like wrapper around a file for sequential and random-access reading and writing of binary data.
+ * Windows of the file are read on demand, so that files bigger than memory can be accessed. All operations are synchronous.
+ */
+class FileDataViewStream {
+    /**
+     * Seek mode: Set the position relative to the beginning of the file.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_SET () { return 0; }
+    /**
+     * Seek mode: Set the position relative to the current position.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_CUR () { return 1; }
+    /**
+     * Seek mode: Set the position relative to the end of the file.
+     * @type {number}
+     * @readonly
+     */
+    static get SEEK_END () { return 2; }
+
+    #fd;
+    /**
+     * The file descriptor of the file, or `undefined` once the stream is closed.
+     * @type {number}
+     * @readonly
+     */
+    get fd() { return this.#fd; }
+    #ownsFd;
+
+    #byteLength;
+    /**
+     * The size (in bytes) of the file.
+     * @type {number}
+     * @readonly
+     */
+    get byteLength() { return this.#byteLength; }
+
+    #writable;
+    /**
+     * Whether values can be written to the file.
+     * @type {boolean}
+     * @readonly
+     */
+    get writable() { return this.#writable; }
+
+    #maxBufferSize;
+    /**
+     * The maximum number of bytes read from the file at once to read a value.
+     * @type {number}
+     * @readonly
+     */
+    get maxBufferSize() { return this.#maxBufferSize; }
+
+    #registry;
+    /**
+     * The registry in which the types read and written by the stream are looked up.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    get registry() { return this.#registry; }
+
+    #windowSize;
+    #window = new DataView(new ArrayBuffer(0));
+    #windowOffset = 0;
+    #seek_head = 0;
+
+    /**
+     * Opens a file, or wraps an open file descriptor or `fs.promises.FileHandle`. The file is only closed by `close()` if the stream
+     * opened it: file descriptors and handles passed in are still owned, and closed, by the caller.
+     * @param {string|URL|number|FileHandle} file - The path of the file, a file descriptor, or a FileHandle whose descriptor is used.
+     * @param {Object} [options] - Additional options.
+     * @param {boolean} [options.writable=false] - Whether to open the file for writing too. The file must exist.
+     * @param {number} [options.windowSize=65536] - The number of bytes read from the file at once.
+     * @param {number} [options.maxBufferSize=16777216] - The maximum number of bytes read from the file at once to read a value, so that
+     * a corrupt length does not make the stream load the rest of the file.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry in which types are looked up.
+     * @throws {TypeError} If `options.registry` is not a StructRegistry, or `file` is a FileHandle which is closed.
+     * @throws {RangeError} If `options.windowSize` or `options.maxBufferSize` is not a positive integer.
+     */
+    constructor(file, options = {}) {
+        const { writable = false, windowSize = 65536, maxBufferSize = 16777216, registry = StructRegistry.default } = options;
+        if (!(registry instanceof StructRegistry))
+            throw new TypeError('Option registry is not of type StructRegistry.');
+        if (!Number.isSafeInteger(windowSize) || windowSize < 1)
+            throw new RangeError('Option windowSize should be a positive integer.');
+        if (!Number.isSafeInteger(maxBufferSize) || maxBufferSize < 1)
+            throw new RangeError('Option maxBufferSize should be a positive integer.');
+
+        // FileHandles are used through their descriptor, all operations being synchronous. It is -1 once the handle is closed.
+        if (typeof file === 'object' && file !== null && !(file instanceof URL) && 'fd' in file) {
+            if (typeof file.fd !== 'number' || file.fd < 0)
+                throw new TypeError('Parameter file is a FileHandle which is closed.');
+            file = file.fd;
+        }
+        this.#ownsFd = typeof file !== 'number';
+        this.#fd = this.#ownsFd ? fs.openSync(file, writable ? 'r+' : 'r') : file;
+        this.#byteLength = fs.fstatSync(this.#fd).size;
+        this.#writable = writable;
+        this.#windowSize = windowSize;
+        this.#maxBufferSize = maxBufferSize;
+        this.#registry = registry;
+    }
+
+    /**
+     * Moves the read/write head to a specific position.
+     * @param {number} offset - The position to seek to.
+     * @param {number} [whence=FileDataViewStream.SEEK_SET] - The seek mode (SEEK_SET, SEEK_CUR, SEEK_END).
+     * @returns {FileDataViewStream} The stream instance (for chaining).
+     * @throws {TypeError} If `offset` is not a number or `whence` is not a valid seek mode.
+     */
+    seek(offset, whence = FileDataViewStream.SEEK_SET) {
+        if (typeof offset !== 'number')
+            throw new TypeError('Parameter offset should be of type number.');
+        else if (Number.isNaN(offset))
+            throw new Error('Parameter offset should not be NaN.');
+        switch (whence) {
+            case FileDataViewStream.SEEK_SET:
+                this.#seek_head = offset;
+                break;
+
+            case FileDataViewStream.SEEK_CUR:
+                this.#seek_head += offset;
+                break;
+
+            case FileDataViewStream.SEEK_END:
+                this.#seek_head = this.#byteLength + offset;
+                break;
+
+            default:
+                throw new TypeError('Invalid value for parameter whence.');
+        }
+
+        return this;
+    }
+
+    /**
+     * Returns the current position of the read/write head.
+     * @returns {number} The current position.
+     */
+    tell() {
+        return this.#seek_head;
+    }
+
+    /**
+     * Reads a value of a given type from the current position and advances the read head.
+     * @param {string} type - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @returns {*} The parsed value or struct.
+     * @throws {Error} If `type` is a struct with pointers.
+     * @throws {RangeError} If the value does not fit in `maxBufferSize` bytes.
+     * @throws {StructError} If the value cannot be read, e.g. if it extends past the end of the file.
+     */
+    readNext(type, isLittleEndian = false, options) {
+        let readValue = this.#read(this.#seek_head, type, isLittleEndian, options);
+        this.#seek_head += readValue.count;
+        return readValue.value;
+    }
+
+    /**
+     * Reads a value of a given type from a specific position without modifying the read head.
+     * @param {number} offset - The position to read from.
+     * @param {string} type - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @returns {*} The parsed value or struct.
+     * @throws {TypeError} If `offset` is not a number.
+     * @throws {Error} If `type` is a struct with pointers.
+     * @throws {RangeError} If the value does not fit in `maxBufferSize` bytes.
+     * @throws {StructError} If the value cannot be read, e.g. if it extends past the end of the file.
+     */
+    readAt(offset, type, isLittleEndian = false, options) {
+        if (typeof offset !== 'number')
+            throw new TypeError('Parameter offset should be of type number.');
+        else if (Number.isNaN(offset))
+            throw new Error('Parameter offset should not be NaN.');
+        return this.#read(offset, type, isLittleEndian, options).value;
+    }
+
+    #read(offset, type, isLittleEndian, options) {
+        if (offset < 0)
+            throw new RangeError('Offset is outside the bounds of the file.');
+        this.#rejectPointers(type, 'read');
+
+        const sizeof = this.#registry.get(type)?.sizeof;
+        if (typeof sizeof === 'number' && sizeof > this.#maxBufferSize)
+            throw new RangeError(`Cannot read '${type}' at offset ${offset}, its ${sizeof} bytes exceed the maximum buffer size of ${this.#maxBufferSize} bytes.`);
+        let length = Math.min(Math.max(this.#windowSize, sizeof ?? 0), this.#maxBufferSize);
+        if (offset < this.#windowOffset || offset + (sizeof ?? 1) > this.#windowOffset + this.#window.byteLength)
+            this.#load(offset, length);
+
+        // The size of variable-size values is only known once read, so they are retried with larger windows until they fit.
+        const warnings = options?.warnings?.length;
+        for (;;) {
+            try {
+                return Struct.readValue(this.#window, offset - this.#windowOffset, type, isLittleEndian, options, this.#registry);
+            } catch (e) {
+                const cause = e instanceof StructError ? e.cause : e;
+                if (!(cause instanceof OutOfBoundsError) || this.#windowOffset + this.#window.byteLength >= this.#byteLength) {
+                    // Offsets in the window are relative to its start.
+                    if (e instanceof StructError)
+                        e.offset += this.#windowOffset;
+                    throw e;
+                }
+                // The value is read again from its start, so the warnings of the failed attempt are dropped.
+                if (typeof warnings !== 'undefined')
+                    options.warnings.length = warnings;
+                if (this.#windowOffset + this.#window.byteLength - offset >= this.#maxBufferSize)
+                    throw new RangeError(`Cannot read '${type}' at offset ${offset} within the maximum buffer size of ${this.#maxBufferSize} bytes.`, {cause: e});
+                length = Math.min(Math.max(length, this.#window.byteLength) * 2, this.#maxBufferSize);
+                this.#load(offset, length);
+            }
+        }
+    }
+
+    // Pointers are relative to the start of the DataView they are read from or written to, which is a window of the file here.
+    #rejectPointers(type, action) {
+        if (this.#registry.get(type)?.hasPointers === true)
+            throw new Error(`Struct '${type}' has pointers, which cannot be ${action} through a FileDataViewStream.`);
+    }
+
+    #load(offset, length) {
+        length = Math.max(0, Math.min(length, this.#byteLength - offset));
+        const bytes = new Uint8Array(length);
+        let read = 0;
+        while (read < length) {
+            const count = fs.readSync(this.#fd, bytes, read, length - read, offset + read);
+            if (count === 0)
+                break;
+            read += count;
+        }
+        this.#window = new DataView(bytes.buffer, 0, read);
+        this.#windowOffset = offset;
+    }
+
+    /**
+     * Writes a value of a given type at the current position and advances the read/write head.
+     * @param {*} value - The value to write.
+     * @param {string} type - The name of the type or struct to write.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the write function.
+     * @returns {number} - The number of bytes written.
+     * @throws {Error} If the stream is not writable, or `type` is a struct with pointers.
+     */
+    writeNext(value, type, isLittleEndian = false, options) {
+        let count = this.writeAt(this.#seek_head, value, type, isLittleEndian, options);
+        this.#seek_head += count;
+        return count;
+    }
+
+    /**
+     * Writes a value of a given type at a specific position. Writing past the end of the file extends it.
+     * @param {number} offset - The offset at which to start writing.
+     * @param {*} value - The value to write.
+     * @param {string} type - The name of the type or struct to write.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the write function.
+     * @returns {number} - The number of bytes written.
+     * @throws {Error} If the stream is not writable, or `type` is a struct with pointers.
+     * @throws {TypeError} If `offset` is not a number.
+     * @throws {RangeError} If `offset` is negative.
+     */
+    writeAt(offset, value, type, isLittleEndian = false, options) {
+        if (!this.#writable)
+            throw new Error('The stream was not opened for writing.');
+        if (typeof offset !== 'number')
+            throw new TypeError('Parameter offset should be of type number.');
+        else if (Number.isNaN(offset))
+            throw new Error('Parameter offset should not be NaN.');
+        if (offset < 0)
+            throw new RangeError('Offset is outside the bounds of the file.');
+        this.#rejectPointers(type, 'written');
+
+        const writer = new DataViewWriter(this.#registry.get(type)?.sizeof || 256, this.#registry);
+        writer.writeNext(value, type, isLittleEndian, options);
+        const bytes = writer.toUint8Array();
+        let written = 0;
+        while (written < bytes.length)
+            written += fs.writeSync(this.#fd, bytes, written, bytes.length - written, offset + written);
+
+        this.#byteLength = Math.max(this.#byteLength, offset + bytes.length);
+        if (offset < this.#windowOffset + this.#window.byteLength && offset + bytes.length > this.#windowOffset)
+            this.#window = new DataView(new ArrayBuffer(0));
+        return bytes.length;
+    }
+
+    /**
+     * Closes the file, if it was opened by the stream. File descriptors and FileHandles passed to the constructor are left open, for
+     * the caller to close.
+     */
+    close() {
+        if (this.#ownsFd)
+            fs.closeSync(this.#fd);
+        this.#fd = undefined;
+    }
+
+    /**
+     * Iterates through the file, yielding values of the specified type.
+     * @param {string} [type='u8'] - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @yields {*} The parsed value or struct.
+     */
+    *[Symbol.iterator](type = 'u8', isLittleEndian = false, options) {
+        while (this.#seek_head < this.#byteLength) {
+            yield this.readNext(type, isLittleEndian, options);
+        }
+    }
+}
+
+module.exports = FileDataViewStream;
\ No newline at end of file
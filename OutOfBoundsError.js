@@ -0,0 +1,19 @@
+/**
+ * The error thrown when a value extends past the end of the DataView it is read from or written to, which `DataViewWriter`,
+ * `StreamParser` and `FileDataViewStream` take as a need for more bytes. Types of variable size registered with
+ * `Struct.registerFromClass` throw it for their values to be retried with more data.
+ */
+class OutOfBoundsError extends RangeError {
+    /**
+     * Creates a new OutOfBoundsError.
+     * @param {string} [message='Offset is outside the bounds of the DataView'] - The error message.
+     * @param {Object} [options] - The options of the Error constructor, e.g. `{cause}`.
+     */
+    constructor(message = 'Offset is outside the bounds of the DataView', options) {
+        super(message, options);
+    }
+
+    get name() { return 'OutOfBoundsError'; }
+}
+
+module.exports = OutOfBoundsError;
\ No newline at end of file
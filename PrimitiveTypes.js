@@ -1,3 +1,324 @@
+const { codeUnitSize, decodeString, encodeString } = require('./Encoding.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+
+const stringLengthTypes = ['u8', 'u16', 'u32'];
+const fixedBaseTypes = ['u8', 's8', 'u16', 's16', 'u24', 's24', 'u32', 's32'];
+
+function readUint24(data, position, isLittleEndian) {
+    if (isLittleEndian)
+        return data.getUint16(position, true) + data.getUint8(position + 2) * 0x10000;
+    return data.getUint8(position) * 0x10000 + data.getUint16(position + 1);
+}
+
+function writeUint24(data, position, value, isLittleEndian) {
+    // Wraps around as the DataView setters do, two's complement for negative values.
+    value &= 0xFFFFFF;
+    if (isLittleEndian) {
+        data.setUint16(position, value & 0xFFFF, true);
+        data.setUint8(position + 2, value >>> 16);
+    } else {
+        data.setUint8(position, value >>> 16);
+        data.setUint16(position + 1, value & 0xFFFF);
+    }
+}
+
+function roundHalfToEven(value) {
+    const floor = Math.floor(value);
+    const rest = value - floor;
+    return rest > 0.5 || (rest === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+}
+
+// Decodes the bits of an IEEE 754 binary floating-point number with `exponentBits` bits of exponent and `fractionBits` bits of fraction.
+function decodeFloat(bits, exponentBits, fractionBits) {
+    const bias = 2 ** (exponentBits - 1) - 1;
+    const sign = (bits >>> (exponentBits + fractionBits)) & 1 ? -1 : 1;
+    const exponent = (bits >>> fractionBits) & (2 ** exponentBits - 1);
+    const fraction = bits & (2 ** fractionBits - 1);
+    if (exponent === 2 ** exponentBits - 1)
+        return fraction === 0 ? sign * Infinity : NaN;
+    if (exponent === 0)
+        return sign * fraction * 2 ** (1 - bias - fractionBits);
+    return sign * (2 ** fractionBits + fraction) * 2 ** (exponent - bias - fractionBits);
+}
+
+// Encodes a number as the bits of an IEEE 754 binary floating-point number, rounded to the nearest representable value (ties to even).
+// Numbers too large for the format become infinities, and NaN a quiet NaN.
+function encodeFloat(value, exponentBits, fractionBits) {
+    value = Number(value);
+    const bias = 2 ** (exponentBits - 1) - 1;
+    const maxExponent = 2 ** exponentBits - 1;
+    if (Number.isNaN(value))
+        return (maxExponent << fractionBits) | (1 << (fractionBits - 1));
+    const sign = value < 0 || Object.is(value, -0) ? 1 << (exponentBits + fractionBits) : 0;
+    value = Math.abs(value);
+    if (value === Infinity)
+        return sign | (maxExponent << fractionBits);
+
+    // The exponent of the value, or that of the subnormal numbers if it is lower. Math.log2 may be off by one near powers of two.
+    let exponent = Math.max(Math.floor(Math.log2(value)), 1 - bias);
+    if (exponent > 1 - bias && 2 ** exponent > value)
+        exponent--;
+    else if (2 ** (exponent + 1) <= value)
+        exponent++;
+    let significand = roundHalfToEven(value * 2 ** (fractionBits - exponent));
+    if (significand === 2 ** (fractionBits + 1)) {
+        significand /= 2;
+        exponent++;
+    }
+    if (significand < 2 ** fractionBits)
+        return sign | significand;
+    if (exponent + bias >= maxExponent)
+        return sign | (maxExponent << fractionBits);
+    return sign | ((exponent + bias) << fractionBits) | (significand - 2 ** fractionBits);
+}
+
+function fixedOptions(options = {}) {
+    const { type, fraction } = options;
+    if (!fixedBaseTypes.includes(type))
+        throw new TypeError(`Invalid fixed-point base type '${type}', expected one of ${fixedBaseTypes.join(', ')}.`);
+    const bits = primitiveTypes[type].sizeof * 8;
+    if (!Number.isInteger(fraction) || fraction < 0 || fraction > bits)
+        throw new RangeError(`Invalid number of fraction bits '${fraction}' of fixed<${type}>, expected 0 to ${bits}.`);
+    const signed = type.startsWith('s');
+    return { base: primitiveTypes[type], fraction, min: signed ? -(2 ** (bits - 1)) : 0, max: 2 ** (signed ? bits - 1 : bits) - 1 };
+}
+
+function readFixed(data, position, isLittleEndian, options) {
+    const { base, fraction } = fixedOptions(options);
+    return {count: base.sizeof, value: base.read(data, position, isLittleEndian) / 2 ** fraction};
+}
+
+function writeFixed(data, position, value, isLittleEndian, options) {
+    const { base, fraction, min, max } = fixedOptions(options);
+    const raw = roundHalfToEven(value * 2 ** fraction);
+    if (!(raw >= min && raw <= max))
+        throw new RangeError(`Value ${value} is out of the range of fixed<${options.type}, ${fraction}>.`);
+    base.write(data, position, raw, isLittleEndian);
+    return base.sizeof;
+}
+
+// Checks that `length` bytes at `position` are in `data` before accessing them, rather than relying on the engine's errors.
+function checkBounds(data, position, length) {
+    if (position < 0)
+        throw new RangeError('Offset is outside the bounds of the DataView');
+    if (position + length > data.byteLength)
+        throw new OutOfBoundsError();
+}
+
+function getBytes(data, position, length) {
+    checkBounds(data, position, length);
+    return new Uint8Array(data.buffer, data.byteOffset + position, length);
+}
+
+function setBytes(data, position, bytes) {
+    checkBounds(data, position, bytes.length);
+    new Uint8Array(data.buffer, data.byteOffset + position, bytes.length).set(bytes);
+    return bytes.length;
+}
+
+function findTerminator(data, position, unitSize, end = data.byteLength) {
+    for (let i = position; i + unitSize <= end; i += unitSize) {
+        if ((unitSize === 1 ? data.getUint8(i) : data.getUint16(i)) === 0)
+            return i;
+    }
+    return -1;
+}
+
+function readCString(data, position, isLittleEndian, options = {}) {
+    const encoding = options.encoding ?? 'utf-8';
+    const unitSize = codeUnitSize(encoding);
+    const end = findTerminator(data, position, unitSize);
+    if (end === -1)
+        throw new OutOfBoundsError('Unterminated string: offset is outside the bounds of the DataView');
+    return {count: end - position + unitSize, value: decodeString(getBytes(data, position, end - position), encoding)};
+}
+
+function writeCString(data, position, value, isLittleEndian, options = {}) {
+    const encoding = options.encoding ?? 'utf-8';
+    const bytes = encodeString(value, encoding);
+    const terminated = new Uint8Array(bytes.length + codeUnitSize(encoding));
+    terminated.set(bytes);
+    return setBytes(data, position, terminated);
+}
+
+function getLengthType(options) {
+    const lengthType = options.lengthType ?? 'u8';
+    if (!stringLengthTypes.includes(lengthType))
+        throw new TypeError(`Invalid pstring length type '${lengthType}', expected one of ${stringLengthTypes.join(', ')}.`);
+    return primitiveTypes[lengthType];
+}
+
+function readPString(data, position, isLittleEndian, options = {}) {
+    const lengthType = getLengthType(options);
+    checkBounds(data, position, lengthType.sizeof);
+    const length = lengthType.read(data, position, isLittleEndian);
+    const bytes = getBytes(data, position + lengthType.sizeof, length);
+    return {count: lengthType.sizeof + length, value: decodeString(bytes, options.encoding ?? 'utf-8')};
+}
+
+function writePString(data, position, value, isLittleEndian, options = {}) {
+    const lengthType = getLengthType(options);
+    const bytes = encodeString(value, options.encoding ?? 'utf-8');
+    if (bytes.length >= 2 ** (lengthType.sizeof * 8))
+        throw new RangeError(`String of ${bytes.length} bytes does not fit in a pstring<${options.lengthType ?? 'u8'}>.`);
+    checkBounds(data, position, lengthType.sizeof + bytes.length);
+    lengthType.write(data, position, bytes.length, isLittleEndian);
+    return lengthType.sizeof + setBytes(data, position + lengthType.sizeof, bytes);
+}
+
+function readFixedString(data, position, options) {
+    const encoding = options.encoding ?? 'utf-8';
+    const end = findTerminator(data, position, codeUnitSize(encoding), position + options.length);
+    let value = decodeString(getBytes(data, position, (end === -1 ? position + options.length : end) - position), encoding);
+    if (typeof options.padding === 'string' && options.padding.length > 0 && options.padding !== '\0') {
+        while (value.endsWith(options.padding))
+            value = value.slice(0, -options.padding.length);
+    }
+    return {count: options.length, value};
+}
+
+function writeFixedString(data, position, value, options) {
+    const encoding = options.encoding ?? 'utf-8';
+    const bytes = encodeString(value, encoding);
+    if (bytes.length > options.length)
+        throw new RangeError(`String of ${bytes.length} bytes does not fit in a string[${options.length}].`);
+    const padded = new Uint8Array(options.length);
+    padded.set(bytes);
+    if (typeof options.padding === 'string' && options.padding.length > 0 && options.padding !== '\0') {
+        const padding = encodeString(options.padding, encoding);
+        for (let i = bytes.length; i + padding.length <= options.length; i += padding.length)
+            padded.set(padding, i);
+    }
+    return setBytes(data, position, padded);
+}
+
+// Variable-length integers are read as numbers, or as BigInts when they do not fit in a safe integer.
+function toInteger(value) {
+    return value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value;
+}
+
+function toBigInt(value, type) {
+    if (typeof value !== 'bigint' && !Number.isInteger(value))
+        throw new TypeError(`Value ${value} of type ${type} should be an integer.`);
+    return BigInt(value);
+}
+
+function toUnsigned(value, type) {
+    value = toBigInt(value, type);
+    if (value < 0n)
+        throw new RangeError(`Value ${value} of type ${type} should not be negative.`);
+    return value;
+}
+
+// Variable-length integers hold up to 64 bits, which take at most 10 bytes, so that corrupt data with continuation bits on every byte ends.
+const varintMaxBytes = 10;
+
+function fitVarint(value, type, signed) {
+    if ((signed ? BigInt.asIntN(64, value) : BigInt.asUintN(64, value)) !== value)
+        throw new RangeError(`Value ${value} of type ${type} does not fit in 64 bits.`);
+    return value;
+}
+
+function toVarint(value, type, signed) {
+    return fitVarint(signed ? toBigInt(value, type) : toUnsigned(value, type), type, signed);
+}
+
+function readVarintByte(data, position, count, type) {
+    if (count >= varintMaxBytes)
+        throw new RangeError(`Value of type ${type} is longer than ${varintMaxBytes} bytes.`);
+    checkBounds(data, position + count, 1);
+    return data.getUint8(position + count);
+}
+
+// Reads the 7-bit groups of an LEB128 number, least significant first, each byte but the last having its high bit set.
+function readLEB128(data, position, signed, type) {
+    let value = 0n;
+    let shift = 0n;
+    let count = 0;
+    let byte;
+    do {
+        byte = readVarintByte(data, position, count++, type);
+        value |= BigInt(byte & 0x7F) << shift;
+        shift += 7n;
+    } while (byte & 0x80);
+    if (signed && byte & 0x40)
+        value -= 1n << shift;
+    // A 10th byte holds 7 bits past the 63 of the first nine, which should only be the 64th bit or, when signed, copies of it.
+    return {count, value: fitVarint(value, type, signed)};
+}
+
+function writeLEB128(data, position, value, signed) {
+    let bytes = new Array;
+    for (;;) {
+        const byte = Number(value & 0x7Fn);
+        value >>= 7n;
+        // Signed numbers end once the rest is only copies of the sign bit, which is the high bit of the last group.
+        const done = signed ? (value === 0n && !(byte & 0x40)) || (value === -1n && byte & 0x40) : value === 0n;
+        bytes.push(done ? byte : byte | 0x80);
+        if (done)
+            return setBytes(data, position, bytes);
+    }
+}
+
+function readULEB128(data, position) {
+    const { count, value } = readLEB128(data, position, false, 'uleb128');
+    return {count, value: toInteger(value)};
+}
+
+function readSLEB128(data, position) {
+    const { count, value } = readLEB128(data, position, true, 'sleb128');
+    return {count, value: toInteger(value)};
+}
+
+// Zigzag varints (Protocol Buffers' sint32 and sint64) map signed integers to unsigned ones, 0, -1, 1, -2 to 0, 1, 2, 3, stored as LEB128.
+function readZigzag(data, position) {
+    const { count, value } = readLEB128(data, position, false, 'zigzag');
+    return {count, value: toInteger(value & 1n ? -(value >> 1n) - 1n : value >> 1n)};
+}
+
+function writeZigzag(data, position, value) {
+    value = toVarint(value, 'zigzag', true);
+    return writeLEB128(data, position, value < 0n ? -value * 2n - 1n : value * 2n, false);
+}
+
+// VLQs (MIDI's variable-length quantities) store 7-bit groups most significant first, each byte but the last having its high bit set.
+function readVLQ(data, position) {
+    let value = 0n;
+    let count = 0;
+    let byte;
+    do {
+        byte = readVarintByte(data, position, count++, 'vlq');
+        value = (value << 7n) | BigInt(byte & 0x7F);
+    } while (byte & 0x80);
+    return {count, value: toInteger(fitVarint(value, 'vlq', false))};
+}
+
+function writeVLQ(data, position, value) {
+    value = toVarint(value, 'vlq', false);
+    let bytes = [Number(value & 0x7Fn)];
+    while ((value >>= 7n) > 0n)
+        bytes.unshift(Number(value & 0x7Fn) | 0x80);
+    return setBytes(data, position, bytes);
+}
+
+function pointerOptions([target]) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(target ?? ''))
+        throw new Error(`Invalid pointer target type '${target}'.`);
+    return {target};
+}
+
+function readString(data, position, isLittleEndian, options = {}) {
+    if (typeof options.length === 'number')
+        return readFixedString(data, position, options);
+    return readCString(data, position, isLittleEndian, {encoding: 'latin1', ...options});
+}
+
+function writeString(data, position, value, isLittleEndian, options = {}) {
+    if (typeof options.length === 'number')
+        return writeFixedString(data, position, value, options);
+    return writeCString(data, position, value, isLittleEndian, {encoding: 'latin1', ...options});
+}
+
 const primitiveTypes = {
     u8: {
         sizeof: 1,
@@ -19,6 +340,16 @@ const primitiveTypes = {
         read: (data, position, isLittleEndian) => data.getInt16(position, isLittleEndian),
         write: (data, position, value, isLittleEndian) => data.setInt16(position, value, isLittleEndian)
     },
+    u24: {
+        sizeof: 3,
+        read: readUint24,
+        write: writeUint24
+    },
+    s24: {
+        sizeof: 3,
+        read: (data, position, isLittleEndian) => readUint24(data, position, isLittleEndian) << 8 >> 8,
+        write: writeUint24
+    },
     u32: {
         sizeof: 4,
         read: (data, position, isLittleEndian) => data.getUint32(position, isLittleEndian),
@@ -49,6 +380,31 @@ const primitiveTypes = {
         read: (data, position, isLittleEndian) => data.getFloat64(position, isLittleEndian),
         write: (data, position, value, isLittleEndian) => data.setFloat64(position, value, isLittleEndian)
     },
+    f16: {
+        sizeof: 2,
+        read: (data, position, isLittleEndian) => decodeFloat(data.getUint16(position, isLittleEndian), 5, 10),
+        write: (data, position, value, isLittleEndian) => data.setUint16(position, encodeFloat(value, 5, 10), isLittleEndian)
+    },
+    // The upper half of a float, with its range and 8 bits of precision.
+    bfloat16: {
+        sizeof: 2,
+        read: (data, position, isLittleEndian) => decodeFloat(data.getUint16(position, isLittleEndian), 8, 7),
+        write: (data, position, value, isLittleEndian) => data.setUint16(position, encodeFloat(value, 8, 7), isLittleEndian)
+    },
+    // Fixed-point numbers stored as an integer of type `options.type` holding the value times 2 ** `options.fraction`.
+    // Their size depends on their options, which `sizeFor` gives.
+    fixed: {
+        sizeof: undefined,
+        sizeFor: options => fixedOptions(options).base.sizeof,
+        templateOptions: ([type, fraction]) => {
+            const options = {type, fraction: Number(fraction)};
+            fixedOptions(options);
+            return options;
+        },
+        read: (data, position, isLittleEndian, options) => readFixed(data, position, isLittleEndian, options).value,
+        readWithCount: readFixed,
+        write: writeFixed
+    },
     char: {
         sizeof: 1,
         read: (data, position) => String.fromCharCode(data.getUint8(position)),
@@ -61,13 +417,74 @@ const primitiveTypes = {
     },
     string: {
         sizeof: undefined,
-        read: (data, position) => {
-            let ret = new Array
-            for (let i = position; data.getUint8(i) != 0; i++) {
-                ret.push(String.fromCharCode(data.getUint8(i)));
-            }
-            return(ret.join(''));
-        }
+        sizeFor: options => options?.length,
+        alignment: 1,
+        read: (data, position, isLittleEndian, options) => readString(data, position, isLittleEndian, options).value,
+        readWithCount: readString,
+        write: writeString
+    },
+    cstring: {
+        sizeof: undefined,
+        read: (data, position, isLittleEndian, options) => readCString(data, position, isLittleEndian, options).value,
+        readWithCount: readCString,
+        write: writeCString
+    },
+    pstring: {
+        sizeof: undefined,
+        templateOptions: ([lengthType]) => {
+            getLengthType({lengthType});
+            return {lengthType};
+        },
+        read: (data, position, isLittleEndian, options) => readPString(data, position, isLittleEndian, options).value,
+        readWithCount: readPString,
+        write: writePString
+    },
+    // Variable-length integers, which report the number of bytes they take like strings do.
+    uleb128: {
+        sizeof: undefined,
+        read: (data, position) => readULEB128(data, position).value,
+        readWithCount: readULEB128,
+        write: (data, position, value) => writeLEB128(data, position, toVarint(value, 'uleb128', false), false)
+    },
+    sleb128: {
+        sizeof: undefined,
+        read: (data, position) => readSLEB128(data, position).value,
+        readWithCount: readSLEB128,
+        write: (data, position, value) => writeLEB128(data, position, toVarint(value, 'sleb128', true), true)
+    },
+    zigzag: {
+        sizeof: undefined,
+        read: (data, position) => readZigzag(data, position).value,
+        readWithCount: readZigzag,
+        write: writeZigzag
+    },
+    vlq: {
+        sizeof: undefined,
+        read: (data, position) => readVLQ(data, position).value,
+        readWithCount: readVLQ,
+        write: writeVLQ
+    },
+    // Pointers read and write their offset on their own. Struct members of these types follow the offset to their target type.
+    ptr16: {
+        sizeof: 2,
+        pointer: true,
+        templateOptions: pointerOptions,
+        read: (data, position, isLittleEndian) => data.getUint16(position, isLittleEndian),
+        write: (data, position, value, isLittleEndian) => data.setUint16(position, value, isLittleEndian)
+    },
+    ptr32: {
+        sizeof: 4,
+        pointer: true,
+        templateOptions: pointerOptions,
+        read: (data, position, isLittleEndian) => data.getUint32(position, isLittleEndian),
+        write: (data, position, value, isLittleEndian) => data.setUint32(position, value, isLittleEndian)
+    },
+    ptr64: {
+        sizeof: 8,
+        pointer: true,
+        templateOptions: pointerOptions,
+        read: (data, position, isLittleEndian) => Number(data.getBigUint64(position, isLittleEndian)),
+        write: (data, position, value, isLittleEndian) => data.setBigUint64(position, BigInt(value), isLittleEndian)
     }
 };
 
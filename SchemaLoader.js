@@ -0,0 +1,255 @@
+const Expression = require('./Expression.js');
+
+const spacePattern = /[\s;]*/y;
+const includePattern = /include\s+("(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*')/y;
+const constPattern = /const\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*=([^\n]*)/y;
+const enumPattern = /enum\s*<[^<>{}]*>\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\{[^{}]*\}/y;
+const structPattern = /struct\s+([a-zA-Z_][a-zA-Z0-9_]*)\s*(?::\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*)?\{/y;
+const keywordPattern = /[a-zA-Z_][a-zA-Z0-9_]*|\S/y;
+// Quoted strings are matched as a whole, so that the brackets in them are left as they are.
+const bracketPattern = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\[([^[\]]*)\]/g;
+const alignPattern = /^align\s+([a-zA-Z_][a-zA-Z0-9_]*)$/;
+
+/**
+ * Parses schema files declaring several structs and enums, for `Struct.loadSchema`:
+ * ```
+ * include "common.struct"
+ * const MAX_NAMES = 16 // Constants may be used as array lengths, e.g. cstring[MAX_NAMES].
+ * enum<u8> Kind { FILE, DIRECTORY }
+ * struct Entry {
+ *     Kind kind
+ *     cstring name
+ * }
+ * struct LinkEntry : Entry { // Extends Entry, as the `extends` option of the Struct constructor does.
+ *     cstring target
+ * }
+ * ```
+ * The body of a `struct` block is a struct definition, as given to the Struct constructor. Constants are numbers, or expressions
+ * over earlier constants, and replace their name in brackets (`u8[MAX + 1]`, `pad[RESERVED]`) and in `align` lines of struct bodies.
+ * Each file is included once, at the first `include` of it.
+ */
+class SchemaLoader {
+    #declarations = new Array;
+    /**
+     * The structs and enums declared in the files loaded, in order of declaration, with the location of their declaration.
+     * Structs have their definition in `info`, its lines in `lines` and the name of the struct they extend in `base`; enums their declaration in `info`.
+     * @type {Array.<{kind: ('struct'|'enum'), name: string, base: (string|undefined), info: string, lines: (Array.<{text: string, path: string, line: number, column: number}>|undefined), path: string, line: number, column: number}>}
+     * @readonly
+     */
+    get declarations() { return this.#declarations; }
+
+    #constants = new Object;
+    /**
+     * The constants defined in the files loaded.
+     * @type {Object.<string, number>}
+     * @readonly
+     */
+    get constants() { return this.#constants; }
+
+    #include;
+    #included = new Set;
+    #source;
+    #path;
+    #lineStarts;
+
+    /**
+     * Creates a loader.
+     * @param {function(string, string): {path: string, source: string}} include - The function reading the file included by an `include`
+     * line, given the path in the line and the path of the file including it, and returning the path of the file (which the paths of
+     * its own includes are relative to, and which identifies it) and its contents.
+     */
+    constructor(include) {
+        this.#include = include;
+    }
+
+    /**
+     * Parses a schema file, and the files it includes.
+     * @param {string} source - The contents of the file.
+     * @param {string} path - The path of the file, for error messages and the files it includes.
+     * @throws {SyntaxError} If a declaration cannot be parsed, with the path, line and column at which it failed in its message.
+     */
+    load(source, path) {
+        const saved = [this.#source, this.#path, this.#lineStarts];
+        this.#included.add(path);
+        source = source.replaceAll('\r', '');
+        this.#path = path;
+        this.#lineStarts = [0, ...[...source.matchAll(/\n/g)].map(match => match.index + 1)];
+        try {
+            this.#source = this.#stripComments(source);
+            let position = 0;
+            while (position < this.#source.length)
+                position = this.#parseTopLevel(position);
+        } finally {
+            [this.#source, this.#path, this.#lineStarts] = saved;
+        }
+    }
+
+    /**
+     * Formats an error at a location in a schema file.
+     * @param {string} message - The message.
+     * @param {{path: string, line: number, column: number}} location - The location.
+     * @param {Error} [cause] - The original error.
+     * @returns {SyntaxError} The error.
+     */
+    static error(message, location, cause) {
+        return new SyntaxError(`${location.path}:${location.line}:${location.column}: ${message}`, {cause});
+    }
+
+    // Replaces comments with spaces, keeping line breaks so that positions stay the same.
+    #stripComments(source) {
+        let ret = '';
+        let quote = null;
+        for (let i = 0; i < source.length; i++) {
+            const c = source[i];
+            if (quote !== null) {
+                if (c === '\\')
+                    ret += source[i++];
+                else if (c === quote || c === '\n')
+                    quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (source.startsWith('//', i) || source.startsWith('/*', i)) {
+                let end = source.startsWith('//', i) ? source.indexOf('\n', i) : source.indexOf('*/', i + 2);
+                if (end === -1 && source[i + 1] === '*')
+                    throw SchemaLoader.error('Unterminated comment.', this.#location(i));
+                end = end === -1 ? source.length : source[i + 1] === '*' ? end + 2 : end;
+                ret += source.slice(i, end).replace(/[^\n]/g, ' ');
+                i = end - 1;
+                continue;
+            }
+            ret += source[i] ?? '';
+        }
+        return ret;
+    }
+
+    #location(position) {
+        let line = this.#lineStarts.findLastIndex(start => start <= position);
+        return { path: this.#path, line: line + 1, column: position - this.#lineStarts[line] + 1 };
+    }
+
+    #match(pattern, position) {
+        pattern.lastIndex = position;
+        return pattern.exec(this.#source);
+    }
+
+    #parseTopLevel(position) {
+        position += this.#match(spacePattern, position)[0].length;
+        if (position >= this.#source.length)
+            return position;
+
+        let match;
+        if ((match = this.#match(includePattern, position)) !== null) {
+            this.#parseInclude(match[1], position);
+        } else if ((match = this.#match(constPattern, position)) !== null) {
+            this.#parseConstant(match[1], match[2], position);
+        } else if ((match = this.#match(enumPattern, position)) !== null) {
+            this.#declare({kind: 'enum', name: match[1], info: match[0]}, position);
+        } else if ((match = this.#match(structPattern, position)) !== null) {
+            const end = this.#closingBrace(position + match[0].length);
+            const lines = this.#structLines(position + match[0].length, end);
+            this.#declare({kind: 'struct', name: match[1], base: match[2], info: lines.map(line => line.text).join('\n'), lines}, position);
+            return end + 1;
+        } else {
+            const token = this.#match(keywordPattern, position)[0];
+            throw SchemaLoader.error(`Unexpected '${token}', expected 'struct', 'enum', 'const' or 'include'.`, this.#location(position));
+        }
+        return position + match[0].length;
+    }
+
+    #parseInclude(literal, position) {
+        const file = literal.startsWith('"') ? JSON.parse(literal) : literal.slice(1, -1).replace(/\\(.)/g, '$1');
+        let included;
+        try {
+            included = this.#include(file, this.#path);
+        } catch (e) {
+            throw SchemaLoader.error(`Cannot include '${file}': ${e.message}`, this.#location(position), e);
+        }
+        if (!this.#included.has(included.path))
+            this.load(included.source, included.path);
+    }
+
+    #parseConstant(name, text, position) {
+        if (Object.hasOwn(this.#constants, name))
+            throw SchemaLoader.error(`Constant '${name}' is already defined.`, this.#location(position));
+        let value;
+        try {
+            const expression = new Expression(text);
+            const unknown = expression.identifiers.find(identifier => !Object.hasOwn(this.#constants, identifier));
+            if (typeof unknown !== 'undefined')
+                throw new Error(`'${unknown}' is not a constant defined before.`);
+            value = expression.evaluate(this.#constants);
+        } catch (e) {
+            throw SchemaLoader.error(`Invalid value '${text.trim()}' of constant '${name}': ${e.message}`, this.#location(position), e);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value))
+            throw SchemaLoader.error(`Constant '${name}' should be a number, got ${value}.`, this.#location(position));
+        this.#constants[name] = value;
+    }
+
+    #declare(declaration, position) {
+        const previous = this.#declarations.find(d => d.name === declaration.name);
+        if (typeof previous !== 'undefined')
+            throw SchemaLoader.error(`'${declaration.name}' is already declared at ${previous.path}:${previous.line}:${previous.column}.`, this.#location(position));
+        this.#declarations.push({...declaration, ...this.#location(position)});
+    }
+
+    // The position of the brace closing a block opened before `start`, skipping nested braces and quoted strings.
+    #closingBrace(start) {
+        let depth = 0;
+        let quote = null;
+        for (let i = start; i < this.#source.length; i++) {
+            const c = this.#source[i];
+            if (quote !== null) {
+                if (c === '\\') i++;
+                else if (c === quote) quote = null;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === '{') {
+                depth++;
+            } else if (c === '}' && depth-- === 0) {
+                return i;
+            }
+        }
+        throw SchemaLoader.error('Missing \'}\' at the end of the struct.', this.#location(start - 1));
+    }
+
+    // The lines of the body of a struct between `start` and `end`, with the constants replaced by their value.
+    #structLines(start, end) {
+        let ret = new Array;
+        let position = start;
+        for (const text of this.#source.slice(start, end).split('\n')) {
+            const column = text.search(/\S/);
+            if (column !== -1)
+                ret.push({ text: this.#substitute(text.trim(), position + column), ...this.#location(position + column) });
+            position += text.length + 1;
+        }
+        return ret;
+    }
+
+    #substitute(text, position) {
+        const evaluate = (source) => {
+            let expression;
+            try {
+                expression = new Expression(source);
+            } catch {
+                return undefined;
+            }
+            if (expression.identifiers.length === 0 || !expression.identifiers.every(identifier => Object.hasOwn(this.#constants, identifier)))
+                return undefined;
+            const value = expression.evaluate(this.#constants);
+            if (!Number.isSafeInteger(value) || value < 0)
+                throw SchemaLoader.error(`'${source.trim()}' should be a non-negative integer, got ${value}.`, this.#location(position));
+            return value;
+        };
+        if (alignPattern.test(text))
+            return `align ${evaluate(alignPattern.exec(text)[1]) ?? alignPattern.exec(text)[1]}`;
+        return text.replace(bracketPattern, (match, source) => {
+            if (typeof source === 'undefined')
+                return match;
+            const value = evaluate(source);
+            return typeof value === 'undefined' ? match : `[${value}]`;
+        });
+    }
+}
+
+module.exports = SchemaLoader;
\ No newline at end of file
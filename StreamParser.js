@@ -0,0 +1,270 @@
+const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
+const StructError = require('./StructError.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+
+/**
+ * Parses values incrementally from chunked binary input (a Node.js `Readable`, a WHATWG `ReadableStream` or an (async) iterable of
+ * Buffers, Uint8Arrays or ArrayBuffers), buffering partial values across chunk boundaries. Only the bytes of the value being read are kept in memory.
+ */
+class StreamParser {
+    #chunks;
+    #done = false;
+    #bytes = new Uint8Array(0);
+    #begin = 0;
+    #end = 0;
+
+    #position = 0;
+
+    #maxBufferSize;
+    /**
+     * The maximum number of bytes buffered to read a value.
+     * @type {number}
+     * @readonly
+     */
+    get maxBufferSize() { return this.#maxBufferSize; }
+
+    #registry;
+    /**
+     * The registry in which the types read by the parser are looked up.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    get registry() { return this.#registry; }
+
+    /**
+     * Creates a new StreamParser reading from a source of chunks.
+     * @param {Readable|ReadableStream|AsyncIterable|Iterable} source - The source of the chunks.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry in which types are looked up.
+     * @param {Object} [options] - Additional options.
+     * @param {number} [options.maxBufferSize=16777216] - The maximum number of bytes buffered to read a value, so that a corrupt length
+     * does not make the parser buffer the rest of the stream.
+     * @throws {TypeError} If `source` is not a stream or iterable, or `registry` is not a StructRegistry.
+     * @throws {RangeError} If `options.maxBufferSize` is not a positive integer.
+     */
+    constructor(source, registry = StructRegistry.default, options = {}) {
+        const { maxBufferSize = 16777216 } = options;
+        if (!(registry instanceof StructRegistry))
+            throw new TypeError('Parameter registry is not of type StructRegistry.');
+        if (!Number.isSafeInteger(maxBufferSize) || maxBufferSize < 1)
+            throw new RangeError('Option maxBufferSize should be a positive integer.');
+
+        this.#chunks = StreamParser.#iterate(source);
+        this.#registry = registry;
+        this.#maxBufferSize = maxBufferSize;
+    }
+
+    static #iterate(source) {
+        if (typeof source?.[Symbol.asyncIterator] === 'function')
+            return source[Symbol.asyncIterator]();
+        if (typeof source?.getReader === 'function') {
+            const reader = source.getReader();
+            return {
+                next: () => reader.read(),
+                return: async () => {
+                    await reader.cancel();
+                    return {done: true};
+                },
+            };
+        }
+        if (typeof source?.[Symbol.iterator] === 'function' && typeof source !== 'string')
+            return source[Symbol.iterator]();
+        throw new TypeError('Parameter source is not a Readable, a ReadableStream or an iterable of chunks.');
+    }
+
+    /**
+     * Returns the position of the parser in the stream, i.e. the number of bytes read or skipped so far.
+     * @returns {number} The current position.
+     */
+    tell() {
+        return this.#position;
+    }
+
+    /**
+     * Reads a value of a given type from the current position and advances past it, waiting for more chunks as needed.
+     * @param {string} type - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @returns {Promise<*>} The parsed value or struct.
+     * @throws {Error} If `type` is a struct with pointers.
+     * @throws {RangeError} If the stream ends before the end of the value, or the value does not fit in `maxBufferSize` bytes.
+     * @throws {StructError} If the value cannot be read otherwise, with its offset in the stream.
+     */
+    async readNext(type, isLittleEndian = false, options) {
+        // Pointers are relative to the start of the DataView they are read from, which only holds the bytes of the value here.
+        if (this.#registry.get(type)?.hasPointers === true)
+            throw new Error(`Struct '${type}' has pointers, which cannot be read through a StreamParser.`);
+        const sizeof = this.#registry.get(type)?.sizeof;
+        if (typeof sizeof === 'number') {
+            if (sizeof > this.#maxBufferSize)
+                throw new RangeError(`Cannot read '${type}' at offset ${this.#position}, its ${sizeof} bytes exceed the maximum buffer size of ${this.#maxBufferSize} bytes.`);
+            await this.#ensure(sizeof);
+        }
+
+        // The size of variable-size values is only known once read, so they are retried with more data until they fit.
+        const warnings = options?.warnings?.length;
+        for (;;) {
+            try {
+                const read = Struct.readValue(this.#view(), 0, type, isLittleEndian, options, this.#registry);
+                this.#consume(read.count);
+                return read.value;
+            } catch (e) {
+                const cause = e instanceof StructError ? e.cause : e;
+                if (!(cause instanceof OutOfBoundsError)) {
+                    // Offsets in the buffered data are relative to the current position.
+                    if (e instanceof StructError)
+                        e.offset += this.#position;
+                    throw e;
+                }
+                // The value is read again from its start, so the warnings of the failed attempt are dropped.
+                if (typeof warnings !== 'undefined')
+                    options.warnings.length = warnings;
+                const buffered = this.#end - this.#begin;
+                if (buffered >= this.#maxBufferSize)
+                    throw new RangeError(`Cannot read '${type}' at offset ${this.#position} within the maximum buffer size of ${this.#maxBufferSize} bytes.`, {cause: e});
+                // Each attempt reads the value from its start, so the next one waits for twice the bytes (or the end of the stream),
+                // which keeps the work linear in the size of the value however small the chunks are.
+                await this.#ensure(Math.min(Math.max(buffered * 2, 1), this.#maxBufferSize));
+                if (this.#end - this.#begin === buffered)
+                    throw new RangeError(`Unexpected end of stream while reading '${type}' at offset ${this.#position}.`, {cause: e});
+            }
+        }
+    }
+
+    /**
+     * Skips a number of bytes, discarding them as they arrive.
+     * @param {number} count - The number of bytes to skip.
+     * @returns {Promise<StreamParser>} The parser instance (for chaining).
+     * @throws {RangeError} If `count` is negative or the stream ends before.
+     */
+    async skip(count) {
+        if (!Number.isSafeInteger(count) || count < 0)
+            throw new RangeError('Parameter count should be a non-negative integer.');
+
+        while (this.#end - this.#begin < count) {
+            count -= this.#end - this.#begin;
+            this.#consume(this.#end - this.#begin);
+            if (!(await this.#fill()))
+                throw new RangeError(`Unexpected end of stream while skipping to offset ${this.#position + count}.`);
+        }
+        this.#consume(count);
+        return this;
+    }
+
+    /**
+     * Moves forward to a position in the stream. Streams cannot be rewound.
+     * @param {number} offset - The position to seek to.
+     * @returns {Promise<StreamParser>} The parser instance (for chaining).
+     * @throws {RangeError} If `offset` is before the current position or past the end of the stream.
+     */
+    async seek(offset) {
+        if (offset < this.#position)
+            throw new RangeError(`Cannot seek backwards from offset ${this.#position} to ${offset}.`);
+        return this.skip(offset - this.#position);
+    }
+
+    /**
+     * Returns whether all the data of the stream has been read.
+     * @returns {Promise<boolean>}
+     */
+    async atEnd() {
+        while (this.#end === this.#begin) {
+            if (!(await this.#fill()))
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Stops reading the source (e.g. destroys a Node.js `Readable` or cancels a `ReadableStream`).
+     * @returns {Promise<void>}
+     */
+    async close() {
+        this.#done = true;
+        await this.#chunks.return?.();
+    }
+
+    /**
+     * Iterates through the stream, yielding values of the specified type until the end of the stream.
+     * @param {string} [type='u8'] - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @yields {*} The parsed value or struct.
+     * @throws {RangeError} If the stream ends in the middle of a value.
+     */
+    async *[Symbol.asyncIterator](type = 'u8', isLittleEndian = false, options) {
+        while (!(await this.atEnd())) {
+            yield await this.readNext(type, isLittleEndian, options);
+        }
+    }
+
+    /**
+     * Iterates through the records of a struct until the end of the stream, e.g. `for await (const packet of parser.records('Packet'))`.
+     * @param {string} type - The name of the type or struct to read.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {object} [options] - Optional parameter to pass to the read function.
+     * @returns {AsyncGenerator<*>} An async iterator over the parsed values.
+     */
+    records(type, isLittleEndian = false, options) {
+        return this[Symbol.asyncIterator](type, isLittleEndian, options);
+    }
+
+    #view() {
+        return new DataView(this.#bytes.buffer, this.#bytes.byteOffset + this.#begin, this.#end - this.#begin);
+    }
+
+    #consume(count) {
+        this.#begin += count;
+        this.#position += count;
+        if (this.#begin === this.#end)
+            this.#begin = this.#end = 0;
+    }
+
+    async #ensure(count) {
+        while (this.#end - this.#begin < count) {
+            if (!(await this.#fill()))
+                return;
+        }
+    }
+
+    // Appends the next chunk to the buffered bytes, and returns false once the source is exhausted.
+    async #fill() {
+        let chunk;
+        do {
+            if (this.#done)
+                return false;
+            const next = await this.#chunks.next();
+            if (next.done) {
+                this.#done = true;
+                return false;
+            }
+            chunk = StreamParser.#toUint8Array(next.value);
+        } while (chunk.length === 0);
+
+        const length = this.#end - this.#begin;
+        if (this.#end + chunk.length > this.#bytes.length) {
+            let bytes = this.#bytes;
+            if (length + chunk.length > bytes.length)
+                bytes = new Uint8Array(Math.max(bytes.length * 2, length + chunk.length));
+            bytes.set(this.#bytes.subarray(this.#begin, this.#end));
+            this.#bytes = bytes;
+            this.#begin = 0;
+            this.#end = length;
+        }
+        this.#bytes.set(chunk, this.#end);
+        this.#end += chunk.length;
+        return true;
+    }
+
+    static #toUint8Array(chunk) {
+        if (chunk instanceof Uint8Array)
+            return chunk;
+        if (ArrayBuffer.isView(chunk))
+            return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+        if (chunk instanceof ArrayBuffer)
+            return new Uint8Array(chunk);
+        throw new TypeError('Chunks should be Buffers, typed arrays or ArrayBuffers.');
+    }
+}
+
+module.exports = StreamParser;
\ No newline at end of file
@@ -1,30 +1,272 @@
 const varPattern = /^(.+) +(#?[a-zA-Z_][a-zA-Z0-9_]*?)$/;
-const arrayPattern = /([a-zA-Z_][a-zA-Z0-9]*)\[([0-9]+)\]/;
-const bitfieldPattern = /^(Bitfield(?:8|16|32|64))\{(.+)\}$/;
+const typePattern = /^([a-zA-Z_][a-zA-Z0-9_]*)(?:<([^<>]*)>)?(?:\{(.*)\})?(?:\[([0-9]+|[a-zA-Z_][a-zA-Z0-9_]*)\])?$/;
+const directivePattern = /^@([a-zA-Z]+)\s+(.+)$/;
+const padPattern = /^pad\[([0-9]+)\]$/;
+const alignPattern = /^align +([0-9]+)$/;
+const switchPattern = /^switch *(\(.*\)) *\{(.*)\}$/;
+const conditionPattern = /^if *\(/;
+const constantPattern = /^(.+?)\s*=\s*(-?(?:0x[0-9a-fA-F]+|[0-9]+)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\[.*\])$/;
+const constantElementPattern = /^(-?(?:0x[0-9a-fA-F]+|[0-9]+)|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')$/;
+const checksumPattern = /^(.+?)\s*=\s*([a-zA-Z_][a-zA-Z0-9_]*)\s*\(([^()]*)\)$/;
+const checksumRangePattern = /^([a-zA-Z_][a-zA-Z0-9_]*|[0-9]+|0x[0-9a-fA-F]+)(?:\s*\.\.\s*([a-zA-Z_][a-zA-Z0-9_]*|[0-9]+|0x[0-9a-fA-F]+))?$/;
+const checksumTypes = ['u8', 'u16', 'u32', 'u64'];
+// The values the constants of integer members may have, booleans being written as 0 or 1.
+const integerRanges = {
+    u8: [0, 0xFF], s8: [-0x80, 0x7F],
+    u16: [0, 0xFFFF], s16: [-0x8000, 0x7FFF],
+    u24: [0, 0xFFFFFF], s24: [-0x800000, 0x7FFFFF],
+    u32: [0, 0xFFFFFFFF], s32: [-0x80000000, 0x7FFFFFFF],
+    u64: [0n, 0xFFFFFFFFFFFFFFFFn], s64: [-0x8000000000000000n, 0x7FFFFFFFFFFFFFFFn],
+    bool: [0, 1],
+};
+const identifierPattern = /^#?[a-zA-Z_][a-zA-Z0-9_]*$/;
+const casePattern = /^(default|-?[0-9]+|0x[0-9a-fA-F]+|"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[a-zA-Z_][a-zA-Z0-9_]*) *: *(.+)$/;
+const endianSuffixPattern = /^([a-zA-Z_][a-zA-Z0-9_]*?)(le|be)$/;
+const optionPattern = /\s*(#?[a-zA-Z_][a-zA-Z0-9_]*)\s*:\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,]*?)\s*(?:,|$)/y;
+const bitfieldPattern = /^Bitfield(8|16|32|64)$/;
+const fixedPointPattern = /^(U?)Q([0-9]+)\.([0-9]+)(le|be)?((?:\{.*\})?(?:\[[^\]]*\])?)$/;
+
+const cTypes = {
+    u8: 'uint8_t', s8: 'int8_t',
+    u16: 'uint16_t', s16: 'int16_t',
+    u32: 'uint32_t', s32: 'int32_t',
+    u64: 'uint64_t', s64: 'int64_t',
+    float: 'float', double: 'double',
+    // The `bool` primitive is 4 bytes wide, unlike C's bool.
+    char: 'char', bool: 'uint32_t',
+    // Stored as their bits, without a portable C type.
+    f16: 'uint16_t', bfloat16: 'uint16_t',
+    ptr16: 'uint16_t', ptr32: 'uint32_t', ptr64: 'uint64_t',
+};
+const tsTypes = {
+    u8: 'number', s8: 'number',
+    u16: 'number', s16: 'number',
+    u32: 'number', s32: 'number',
+    u64: 'bigint', s64: 'bigint',
+    u24: 'number', s24: 'number',
+    float: 'number', double: 'number',
+    f16: 'number', bfloat16: 'number', fixed: 'number',
+    char: 'string', bool: 'boolean',
+    string: 'string', cstring: 'string', pstring: 'string',
+    uleb128: 'number | bigint', sleb128: 'number | bigint', zigzag: 'number | bigint', vlq: 'number | bigint',
+};
+// Code of the DataView calls inlined by `Struct.prototype.compile()`, as in PrimitiveTypes.js.
+const compiledPrimitives = {
+    u8: { read: (pos) => `data.getUint8(${pos})`, write: (pos, value) => `data.setUint8(${pos}, ${value})` },
+    s8: { read: (pos) => `data.getInt8(${pos})`, write: (pos, value) => `data.setInt8(${pos}, ${value})` },
+    u16: { read: (pos, le) => `data.getUint16(${pos}, ${le})`, write: (pos, value, le) => `data.setUint16(${pos}, ${value}, ${le})` },
+    s16: { read: (pos, le) => `data.getInt16(${pos}, ${le})`, write: (pos, value, le) => `data.setInt16(${pos}, ${value}, ${le})` },
+    u32: { read: (pos, le) => `data.getUint32(${pos}, ${le})`, write: (pos, value, le) => `data.setUint32(${pos}, ${value}, ${le})` },
+    s32: { read: (pos, le) => `data.getInt32(${pos}, ${le})`, write: (pos, value, le) => `data.setInt32(${pos}, ${value}, ${le})` },
+    u64: { read: (pos, le) => `data.getBigUint64(${pos}, ${le})`, write: (pos, value, le) => `data.setBigUint64(${pos}, ${value}, ${le})` },
+    s64: { read: (pos, le) => `data.getBigInt64(${pos}, ${le})`, write: (pos, value, le) => `data.setBigInt64(${pos}, ${value}, ${le})` },
+    float: { read: (pos, le) => `data.getFloat32(${pos}, ${le})`, write: (pos, value, le) => `data.setFloat32(${pos}, ${value}, ${le})` },
+    double: { read: (pos, le) => `data.getFloat64(${pos}, ${le})`, write: (pos, value, le) => `data.setFloat64(${pos}, ${value}, ${le})` },
+    char: { read: (pos) => `String.fromCharCode(data.getUint8(${pos}))`, write: (pos, value) => `data.setUint8(${pos}, ${value}.charCodeAt(0))` },
+    bool: { read: (pos, le) => `Boolean(data.getUint32(${pos}, ${le}))`, write: (pos, value) => `data.setUint8(${pos}, Boolean(${value}))` },
+};
 
 const primitiveTypes = require('./PrimitiveTypes.js');
+const Expression = require('./Expression.js');
+const StructRegistry = require('./StructRegistry.js');
+const CHeader = require('./CHeader.js');
+const StructError = require('./StructError.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+const Checksums = require('./Checksums.js');
+const SchemaLoader = require('./SchemaLoader.js');
+
+/**
+ * Parses a number (decimal or hexadecimal) or quoted string literal. Anything else is returned as is.
+ */
+function parseLiteral(text) {
+    if (/^-?[0-9]+$/.test(text))
+        return parseInt(text);
+    if (/^0x[0-9a-f]+$/i.test(text))
+        return parseInt(text, 16);
+    if (text.startsWith('"'))
+        return JSON.parse(text);
+    if (text.startsWith("'"))
+        return JSON.parse(`"${text.slice(1, -1).replaceAll('"', '\\"').replaceAll("\\'", "'")}"`);
+    return text;
+}
+
+/**
+ * Parses the expected value of a constant member: a number (as a BigInt if it is not a safe integer), a quoted string, or an array of them.
+ */
+function parseConstant(text) {
+    if (text.startsWith('['))
+        return splitTopLevel(text.slice(1, -1)).map(parseConstant);
+    if (!constantElementPattern.test(text))
+        throw new Error(`Invalid constant '${text}', expected a number or a quoted string.`);
+    const value = parseLiteral(text);
+    if (typeof value === 'number' && !Number.isSafeInteger(value))
+        return text.startsWith('-') ? -BigInt(text.slice(1)) : BigInt(text);
+    return value;
+}
+
+/**
+ * Formats a constant or the value read in its place for error messages, in hexadecimal for numbers of more than a byte.
+ */
+function formatConstant(value) {
+    if (Array.isArray(value) && value.length > 0 && value.every(c => typeof c === 'string'))
+        return JSON.stringify(value.join(''));
+    if (Array.isArray(value))
+        return `[${value.map(formatConstant).join(', ')}]`;
+    if ((typeof value === 'number' && Number.isInteger(value)) || typeof value === 'bigint')
+        return value >= 0x100 ? `0x${value.toString(16).toUpperCase()}` : String(value);
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Parses the contents of a type's `{...}` options block (e.g. `flagA: 1, flagB: 3` or `encoding: "utf-16le"`).
+ * Values are parsed as JSON when possible, quoted values as strings, and anything else is kept as a bare string.
+ */
+function parseTypeOptions(text) {
+    let ret = new Object;
+    optionPattern.lastIndex = 0;
+    while (optionPattern.lastIndex < text.length) {
+        const match = optionPattern.exec(text);
+        if (match === null || match[0].length === 0)
+            throw new Error(`Malformed type options '${text}'.`);
+        let [, key, value] = match;
+        if (value.startsWith("'") || /^0x[0-9a-f]+$/i.test(value))
+            value = parseLiteral(value);
+        else {
+            try {
+                value = JSON.parse(value);
+            } catch(e) {
+                if (value.startsWith('"') || value.length === 0)
+                    throw new Error(`Malformed type options '${text}'.`, {cause: e});
+            }
+        }
+        ret[key] = value;
+    }
+    return ret;
+}
+
+/**
+ * Splits a string on commas that are not nested in brackets or quotes.
+ */
+function splitTopLevel(text) {
+    let ret = new Array;
+    let depth = 0;
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote !== null) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if ('({[<'.includes(c)) {
+            depth++;
+        } else if (')}]>'.includes(c)) {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            ret.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    ret.push(text.slice(start).trim());
+    return ret.filter(part => part.length > 0);
+}
+
+/**
+ * Returns the index of the parenthesis closing the one at `start`, or -1 if it is not closed.
+ */
+function findClosingParenthesis(text, start) {
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+        const c = text[i];
+        if (quote !== null) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '(') {
+            depth++;
+        } else if (c === ')' && --depth === 0) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+function alignUp(offset, alignment) {
+    return Math.ceil(offset / alignment) * alignment;
+}
+
+const dumpColors = [36, 33, 32, 35, 34, 31];
+const dumpMaxElements = 16;
+
+/**
+ * Formats the value of a dump entry, integers in decimal and hexadecimal (but for array elements) and long arrays cut short.
+ */
+function formatDumpValue(value, type, element = false) {
+    if (Array.isArray(value) && /^char\[/.test(type))
+        return JSON.stringify(value.join(''));
+    if (Array.isArray(value)) {
+        const more = value.length > dumpMaxElements ? `, ... ${value.length - dumpMaxElements} more` : '';
+        return `[${value.slice(0, dumpMaxElements).map(v => formatDumpValue(v, undefined, true)).join(', ')}${more}]`;
+    }
+    if ((typeof value === 'number' && Number.isInteger(value)) || typeof value === 'bigint')
+        return value >= 10 && !element ? `${value} (0x${value.toString(16).toUpperCase()})` : String(value);
+    return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Formats dump entries as lines of hexadecimal and ASCII, 16 bytes at most per line, labelled with the path, type and value of each entry.
+ * The fields of bitfields follow on their own lines, showing their bits among those of the bitfield.
+ */
+function formatDump(entries, colors) {
+    const paint = (text, code) => colors ? `\x1b[${code}m${text}\x1b[0m` : text;
+    const blank = ' '.repeat(8 + 2 + 47 + 2 + 16);
+    let ret = `Offset    ${[...Array(16).keys()].map(i => i.toString(16).padStart(2, '0').toUpperCase()).join(' ')}  ASCII\n`;
+    let index = 0;
+    for (const entry of entries) {
+        const code = entry.type === 'padding' ? 2 : dumpColors[index++ % dumpColors.length];
+        const label = entry.type === 'padding' ? `${entry.path} padding` : `${entry.path} ${entry.type} = ${formatDumpValue(entry.value, entry.type)}`;
+        for (let i = 0; i === 0 || i < entry.size; i += 16) {
+            const bytes = [...entry.bytes.subarray(i, i + 16)];
+            const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join(' ').padEnd(47);
+            const ascii = bytes.map(b => b >= 0x20 && b < 0x7F ? String.fromCharCode(b) : '.').join('');
+            const offset = (entry.offset + i).toString(16).padStart(8, '0');
+            ret += `${offset}  ${paint(hex, code)}  ${paint(i === 0 ? ascii.padEnd(16) : ascii, code)}${i === 0 ? '  ' + paint(label, code) : ''}\n`;
+        }
+        for (const field of entry.fields ?? []) {
+            const bits = [...Array(entry.size * 8).keys()]
+                .map(bit => bit >= field.bit && bit < field.bit + field.size ? field.bits[bit - field.bit] : '.')
+                .join('').replace(/(.{8})(?!$)/g, '$1 ');
+            ret += `${blank}    ${paint(`.${field.name}`, code)} ${bits} = ${formatDumpValue(field.value)}\n`;
+        }
+    }
+    return ret;
+}
+
+function parseAlignment(value, what) {
+    const alignment = parseInt(value);
+    if (!/^[0-9]+$/.test(value) || alignment < 1 || (alignment & (alignment - 1)) !== 0)
+        throw new Error(`Invalid ${what} '${value}', expected a power of two.`);
+    return alignment;
+}
 
 /**
  * Represents a binary data structure and provides methods for defining and reading binary data.
  */
 class Struct {
-    static #loadedStructs = new Object;
-    
     /**
-     * Retrieves all registered structs and primitive types.
+     * Retrieves all structs and primitive types visible from the default registry.
      * @type {Object.<string, {sizeof: number, read: function}>}
      * @readonly
      */
-    static get loadedStructs() { return Struct.#loadedStructs; }
-    static {
-        for (let i in primitiveTypes)
-            this.#loadedStructs[i] = primitiveTypes[i];
-    }
+    static get loadedStructs() { return StructRegistry.default.toObject(); }
 
     #sizeof = 0;
     /**
-     * The total size (in bytes) of the struct.
-     * @type {number}
+     * The total size (in bytes) of the struct, or `undefined` if its size depends on the data (e.g. variable-length arrays).
+     * @type {number|undefined}
      * @readonly
      */
     get sizeof() { return this.#sizeof; }
@@ -32,11 +274,42 @@ class Struct {
     #props = new Array;
     /**
      * The list of properties (members) in the struct.
-     * @type {Array.<{type: string, name: string, arrayLength: number}>}
+     * `arrayLength` is either a fixed number of elements or the name of an earlier member holding the element count.
+     * `endian` is the byte order declared in the schema, if any, and `endianFrom` the name of an earlier byte order marker member.
+     * `padding` is the number of explicit padding bytes inserted before the member, and `align` the alignment its offset is rounded up to.
+     * Tagged unions have the type `'switch'`, the expression selecting the variant in `switchOn` and their variants in `cases`.
+     * `condition` is the source of the expression over earlier members which must hold for a conditional member to be present.
+     * `constant` is the value a constant member (e.g. `char[4] magic = "RIFF"`) must have, in the form it is written in.
+     * `checksum` is the algorithm of a checksum member (e.g. `u32 crc = crc32(header..payload)`) and the range it is computed over,
+     * from the start of the member or offset `from` to the end of the member or offset `to`, offsets being relative to the start of the struct.
+     * @type {Array.<{type: string, name: string, arrayLength: (number|string), endian: ('little'|'big'|undefined), endianFrom: (string|undefined), padding: (number|undefined), align: (number|undefined), switchOn: (string|undefined), cases: (Array|undefined), condition: (string|undefined), constant: *, checksum: ({algorithm: string, from: (string|number), to: (string|number)}|undefined)}>}
      * @readonly
      */
     get props() { return this.#props; }
 
+    #checksums = new Array;
+    #hasPointers = false;
+    /**
+     * Whether the struct has pointer members, including through its nested structs and switch variants.
+     * @type {boolean}
+     * @readonly
+     */
+    get hasPointers() { return this.#hasPointers; }
+
+    #alignment = 1;
+    /**
+     * The alignment requirement (in bytes) of the struct when it is nested in another struct with natural alignment.
+     * @type {number}
+     * @readonly
+     */
+    get alignment() { return this.#alignment; }
+
+    #trailingPadding = 0;
+    // The byte order, packing and offset at the end of the definition, where the definitions of the structs extending this one continue.
+    #continuation;
+
+    static #expressions = new Map;
+
     #name;
     /**
      * The name of the struct.
@@ -45,79 +318,594 @@ class Struct {
      */
     get name() { return this.#name; }
 
+    #registry;
+    /**
+     * The registry the struct is registered in, and in which the types of its members are looked up.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    get registry() { return this.#registry; }
+
+    #base;
+    /**
+     * The struct this struct extends, whose members come first in its `props`, or `undefined`.
+     * @type {Struct|undefined}
+     * @readonly
+     */
+    get base() { return this.#base; }
+
+    #compiled;
+    /**
+     * Whether the struct is read and written by the functions generated by `compile()`.
+     * @type {boolean}
+     * @readonly
+     */
+    get compiled() { return typeof this.#compiled !== 'undefined'; }
+
+    #structInfo;
+    #options;
+
     /**
      * Creates and registers a new struct type.
      * @param {string} structInfo - A string defining the struct's members (e.g., "u16 id\nu8 age").
-     * @param {string} structName - The unique name of the struct.
-     * @throws {Error} If the struct name conflicts with a primitive type or an existing struct.
+     * @param {string} structName - The name of the struct, unique within its registry.
+     * @param {Object} [options] - Additional options.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the struct in.
+     * @param {boolean} [options.lenient=false] - Whether constant and checksum members which do not have their expected value are accepted on read instead of throwing.
+     * @param {string} [options.extends] - The name of a struct to extend: its members come first, and the definition continues after them
+     * (at the size of the base struct, with the byte order and alignment mode in effect at the end of its definition).
+     * @throws {Error} If the struct name conflicts with a primitive type or an existing struct, or the struct to extend is not registered.
+     * @throws {TypeError} If `options.registry` is not a StructRegistry.
      */
-    constructor(structInfo, structName) {
+    constructor(structInfo, structName, options = {}) {
         structInfo = structInfo.replaceAll('\r', '');
+        const registry = options.registry ?? StructRegistry.default;
+        if (!(registry instanceof StructRegistry))
+            throw new TypeError('Option registry is not of type StructRegistry.');
         if (typeof primitiveTypes[structName]  !== 'undefined')
             throw new Error(`Cannot redefine primitive type '${structName}'.`);
-        if (typeof Struct.loadedStructs[structName] !== 'undefined')
+        if (registry.has(structName))
             throw new Error(`struct named '${structName}' already registered.`);
 
+        this.#registry = registry;
+        this.#structInfo = structInfo;
+        this.#options = options;
+
         let lines = structInfo.split('\n');
 
         this.#name = structName;
+        let byteOrder = new Object;
+        let packing = 1;
+        let padding = 0;
+        let align = 1;
+        if (typeof options.extends !== 'undefined') {
+            const base = this.#base = Struct.#baseStruct(options.extends, registry);
+            this.#props.push(...base.#props);
+            ({ byteOrder, packing, offset: this.#sizeof } = base.#continuation);
+            this.#alignment = base.#alignment;
+            // The trailing padding of the base comes before the first member, which starts at the size of the base.
+            padding = base.#trailingPadding;
+            align = base.#alignment;
+        }
     
         for(let line of lines) {
             line = line.trim();
             if (line.length == 0) continue;
             let varSize = 0;
-            if (!varPattern.test(line))
-                throw new Error(`Invalid field declaration '${line}'`);
-            let [varType, varName] = varPattern.exec(line).slice(1);
-            if (varType == 'string')
-                throw new Error("Struct members cannot be of type 'string'. Please use a char[] array.");
-            let arrayLength = 1;
-            if (bitfieldPattern.test(varType)) {
-                let bitfieldOptions;
-                [varType, bitfieldOptions] = bitfieldPattern.exec(varType).slice(1);
-                try {
-                    bitfieldOptions = JSON.parse(`{ ${bitfieldOptions.split(/, */).map(f => f.replace(/^(#?[a-zA-Z][a-zA-Z0-9_]*)/, '"$1"')).join(', ')} }`);
-                } catch(e) {
-                    throw new Error(`Malformed bitfield descriptor '${bitfieldOptions}'.`, {cause: e});
+            if (directivePattern.test(line)) {
+                let [directive, argument] = directivePattern.exec(line).slice(1);
+                argument = argument.trim();
+                if (directive === 'endian') {
+                    if (['little', 'le'].includes(argument))
+                        byteOrder = { endian: 'little' };
+                    else if (['big', 'be'].includes(argument))
+                        byteOrder = { endian: 'big' };
+                    else if (this.#props.some(p => p.name === argument))
+                        byteOrder = { endianFrom: argument };
+                    else
+                        throw new Error(`Invalid byte order '${argument}', expected 'little', 'big' or the name of an earlier field.`);
+                } else if (directive === 'align') {
+                    if (argument === 'natural')
+                        packing = Infinity;
+                    else if (argument === 'packed')
+                        packing = 1;
+                    else
+                        throw new Error(`Invalid alignment mode '${argument}', expected 'natural' or 'packed'.`);
+                } else if (directive === 'pack') {
+                    packing = parseAlignment(argument, 'packing');
+                } else {
+                    throw new Error(`Unknown directive '@${directive}'.`);
                 }
-                this.#props.push({ "type": varType, "name": varName, arrayLength, "options": bitfieldOptions });
-                this.#sizeof += Struct.loadedStructs[varType].sizeof;
                 continue;
-            } else if (arrayPattern.test(varType)) {
-                [varType, arrayLength] = arrayPattern.exec(varType).slice(1);
-                arrayLength = parseInt(arrayLength);
             }
-            if (typeof Struct.loadedStructs[varType] === 'undefined') {
-                throw new Error(`No struct or type named '${varType}' registered.`);
-            } else {
-                varSize = arrayLength * Struct.loadedStructs[varType].sizeof;
+            if (padPattern.test(line)) {
+                padding += parseInt(padPattern.exec(line)[1]);
+                continue;
             }
+            if (alignPattern.test(line)) {
+                align = Math.max(align, parseAlignment(alignPattern.exec(line)[1], 'alignment'));
+                continue;
+            }
+            let condition;
+            if (conditionPattern.test(line)) {
+                const start = line.indexOf('(');
+                const end = findClosingParenthesis(line, start);
+                if (end === -1)
+                    throw new Error(`Unbalanced parentheses in condition '${line}'`);
+                condition = this.#parseExpression(line.slice(start + 1, end), line);
+                line = line.slice(end + 1).trim();
+            }
+            let constant;
+            let checksum;
+            if (constantPattern.test(line)) {
+                let text;
+                [line, text] = constantPattern.exec(line).slice(1);
+                constant = parseConstant(text);
+            } else if (checksumPattern.test(line)) {
+                let algorithm, range;
+                [line, algorithm, range] = checksumPattern.exec(line).slice(1);
+                checksum = Struct.#parseChecksum(algorithm, range.trim());
+            }
+            if (!varPattern.test(line))
+                throw new Error(`Invalid field declaration '${line}'`);
+            let [varType, varName] = varPattern.exec(line).slice(1);
+            let spec = this.#parseType(varType, varName, byteOrder);
+            varSize = typeof condition === 'undefined' ? Struct.#specSize(spec, registry) : undefined;
+            if (typeof condition !== 'undefined')
+                spec.condition = condition;
+            if (typeof constant !== 'undefined')
+                spec.constant = Struct.#parseConstantFor(spec, varName, constant);
+            if (typeof checksum !== 'undefined') {
+                if (spec.arrayLength !== 1 || !checksumTypes.includes(spec.type) || registry.get(spec.type) !== primitiveTypes[spec.type])
+                    throw new Error(`Checksum '${varName}' should be of type ${checksumTypes.join(', ')}.`);
+                spec.checksum = checksum;
+            }
+
+            let layout = new Object;
+            if (padding > 0)
+                layout.padding = padding;
+            align = Math.max(align, Math.min(Struct.#specAlignment(spec, registry), packing));
+            if (align > 1)
+                layout.align = align;
     
-            this.#props.push({ "type": varType, "name": varName, arrayLength });
-            this.#sizeof += varSize;
+            const { type, arrayLength, ...rest } = spec;
+            this.#props.push({ type, "name": varName, arrayLength, ...rest, ...layout });
+            this.#sizeof = alignUp(this.#sizeof + padding, align) + varSize;
+            this.#alignment = Math.max(this.#alignment, align);
+            padding = 0;
+            align = 1;
+        }
+
+        this.#continuation = { byteOrder, packing, offset: this.#sizeof };
+        this.#trailingPadding = padding;
+        this.#alignment = Math.max(this.#alignment, align);
+        this.#sizeof = alignUp(this.#sizeof + padding, this.#alignment);
+
+        if (Number.isNaN(this.#sizeof))
+            this.#sizeof = undefined;
+
+        this.#hasPointers = this.#props.some(prop => Struct.#specHasPointers(prop, registry));
+        this.#checksums = this.#props.filter(prop => typeof prop.checksum !== 'undefined');
+        for (const prop of this.#checksums) {
+            for (const bound of [prop.checksum.from, prop.checksum.to]) {
+                if (typeof bound === 'string' && !this.#props.some(p => p.name === bound))
+                    throw new Error(`'${bound}' in the range of checksum '${prop.name}' does not refer to a field.`);
+            }
         }
 
         Object.freeze(this.#props);
 
-        Struct.#loadedStructs[structName] = this;
+        registry.register(structName, this);
+    }
+
+    /**
+     * Defines the same struct in another registry, where the types of its members are looked up instead.
+     * Used by `StructRegistry.prototype.clone()`.
+     * @param {StructRegistry} registry - The registry to define the struct in.
+     * @returns {Struct} The new struct.
+     */
+    cloneInto(registry) {
+        const ret = new Struct(this.#structInfo, this.#name, {...this.#options, registry});
+        return this.compiled ? ret.compile() : ret;
+    }
+
+    static #baseStruct(name, registry) {
+        if (typeof name !== 'string')
+            throw new TypeError('Option extends is not the name of a struct.');
+        const base = registry.get(name);
+        if (typeof base === 'undefined')
+            throw new Error(`No struct named '${name}' registered to extend.`);
+        if (!(base instanceof Struct))
+            throw new Error(`Cannot extend '${name}', which is not a struct.`);
+        return base;
+    }
+
+    #parseType(varType, varName, byteOrder) {
+        if (switchPattern.test(varType))
+            return this.#parseSwitch(varType, varName, byteOrder);
+
+        // Q notation: `Q16.16` has 16 integer bits (including the sign) and 16 fraction bits, `UQ8.8` is unsigned.
+        if (fixedPointPattern.test(varType)) {
+            const [unsigned, integer, fraction, suffix, rest] = fixedPointPattern.exec(varType).slice(1);
+            varType = `fixed${suffix ?? ''}<${unsigned ? 'u' : 's'}${parseInt(integer) + parseInt(fraction)}, ${fraction}>${rest}`;
+        }
+        if (!typePattern.test(varType))
+            throw new Error(`Invalid type '${varType}' for field '${varName}'.`);
+        let [typeName, templateArgs, typeOptions, arrayLength] = typePattern.exec(varType).slice(1);
+        varType = typeName;
+        if (!this.#registry.has(varType) && endianSuffixPattern.test(varType)) {
+            let [baseType, suffix] = endianSuffixPattern.exec(varType).slice(1);
+            if (this.#registry.has(baseType)) {
+                varType = baseType;
+                byteOrder = { endian: suffix === 'le' ? 'little' : 'big' };
+            }
+        }
+        const type = this.#registry.get(varType);
+        if (typeof type === 'undefined')
+            throw new Error(`No struct or type named '${varType}' registered.`);
+
+        let options;
+        if (typeof templateArgs !== 'undefined') {
+            if (typeof type.templateOptions !== 'function')
+                throw new Error(`Type '${varType}' does not take template arguments.`);
+            options = type.templateOptions(templateArgs.split(',').map(arg => arg.trim()));
+        }
+        if (typeof typeOptions !== 'undefined')
+            options = {...options, ...parseTypeOptions(typeOptions)};
+
+        if (type.pointer === true) {
+            if (typeof options?.target === 'undefined')
+                throw new Error(`Pointer '${varName}' needs a target type, e.g. ${varType}<Header>.`);
+            const base = options.base ?? 'buffer';
+            if (!['buffer', 'parent', 'self'].includes(base) && typeof base !== 'number' && !this.#props.some(p => p.name === base && p.arrayLength === 1))
+                throw new Error(`Invalid base '${base}' of pointer '${varName}', expected 'buffer', 'parent', 'self', an offset or the name of an earlier scalar field.`);
+        }
+
+        if (varType === 'string') {
+            if (typeof arrayLength === 'undefined' || !/^[0-9]+$/.test(arrayLength))
+                throw new Error("Struct members of type 'string' need a fixed width (e.g. string[32]). Please use cstring or pstring<u8> for variable-length strings.");
+            options = {...options, length: parseInt(arrayLength)};
+            arrayLength = undefined;
+        }
+
+        if (typeof arrayLength === 'undefined') {
+            arrayLength = 1;
+        } else if (/^[0-9]+$/.test(arrayLength)) {
+            arrayLength = parseInt(arrayLength);
+        } else if (!this.#props.some(p => p.name === arrayLength && p.arrayLength === 1)) {
+            throw new Error(`Array length '${arrayLength}' of field '${varName}' does not refer to an earlier scalar field.`);
+        }
+
+        if (typeof options === 'undefined')
+            return { "type": varType, arrayLength, ...byteOrder };
+        return { "type": varType, arrayLength, options, ...byteOrder };
+    }
+
+    #parseExpression(source, context) {
+        let expression;
+        try {
+            expression = Struct.#expression(source);
+        } catch (e) {
+            throw new Error(`Invalid expression '${source}' in '${context}': ${e.message}`, {cause: e});
+        }
+        for (const identifier of expression.identifiers) {
+            if (!this.#props.some(p => p.name === identifier))
+                throw new Error(`'${identifier}' in expression '${source}' does not refer to an earlier field.`);
+        }
+        return expression.source;
+    }
+
+    static #expression(source) {
+        if (!Struct.#expressions.has(source))
+            Struct.#expressions.set(source, new Expression(source));
+        return Struct.#expressions.get(source);
+    }
+
+    #parseSwitch(varType, varName, byteOrder) {
+        let [switchOn, body] = switchPattern.exec(varType).slice(1);
+        if (findClosingParenthesis(switchOn, 0) !== switchOn.length - 1)
+            throw new Error(`Invalid type '${varType}' for field '${varName}'.`);
+        switchOn = this.#parseExpression(switchOn.slice(1, -1), varType);
+
+        let cases = new Array;
+        for (const entry of splitTopLevel(body)) {
+            if (!casePattern.test(entry))
+                throw new Error(`Invalid case '${entry}' in switch of field '${varName}'.`);
+            let [label, caseType] = casePattern.exec(entry).slice(1);
+            const caseSpec = this.#parseType(caseType.trim(), varName, byteOrder);
+            if (caseSpec.type === 'switch')
+                throw new Error(`Nested switch in field '${varName}' is not supported.`);
+            if (label === 'default') {
+                if (cases.some(c => c.default))
+                    throw new Error(`Switch of field '${varName}' has more than one default case.`);
+                cases.push({ "default": true, ...caseSpec });
+            } else {
+                cases.push({ "value": parseLiteral(label), ...caseSpec });
+            }
+        }
+        if (cases.length === 0)
+            throw new Error(`Switch of field '${varName}' has no cases.`);
+
+        return { "type": 'switch', "arrayLength": 1, switchOn, cases };
+    }
+
+    // Converts the expected value of a constant member to the form it is written in (e.g. an array of chars for char arrays).
+    static #parseConstantFor(spec, name, constant) {
+        if (spec.type === 'switch')
+            throw new Error(`Switch '${name}' cannot be a constant.`);
+        const range = integerRanges[spec.type];
+        const convert = (value) => {
+            if (['u64', 's64'].includes(spec.type) && typeof value === 'number')
+                value = BigInt(value);
+            if ((typeof value === 'bigint' && !['u64', 's64'].includes(spec.type)) || (typeof range !== 'undefined' && (value < range[0] || value > range[1])))
+                throw new Error(`Constant ${value} of member '${name}' does not fit in type '${spec.type}'.`);
+            if (typeof range !== 'undefined' && typeof value === 'string')
+                throw new Error(`Constant ${JSON.stringify(value)} of member '${name}' should be a number, as its type is '${spec.type}'.`);
+            return value;
+        };
+        if (spec.arrayLength === 1)
+            return convert(constant);
+        if (typeof constant === 'string' && spec.type === 'char')
+            constant = [...constant];
+        if (!Array.isArray(constant))
+            throw new Error(`Constant of array '${name}' should be an array${spec.type === 'char' ? ' or a string' : ''}.`);
+        if (typeof spec.arrayLength === 'number' && constant.length !== spec.arrayLength)
+            throw new Error(`Constant of array '${name}' has ${constant.length} elements, expected ${spec.arrayLength}.`);
+        return constant.map(convert);
+    }
+
+    // Parses the algorithm and range of a checksum member, e.g. `crc32(header..payload)`, `sum8(payload)` or `crc16(0..0x20)`.
+    static #parseChecksum(algorithm, range) {
+        if (!Checksums.has(algorithm))
+            throw new Error(`No checksum algorithm named '${algorithm}' registered.`);
+        if (!checksumRangePattern.test(range))
+            throw new Error(`Invalid range '${range}' of checksum ${algorithm}, expected a field name or 'start..end'.`);
+        let [from, to] = checksumRangePattern.exec(range).slice(1);
+        if (typeof to === 'undefined') {
+            if (!identifierPattern.test(from))
+                throw new Error(`Invalid range '${range}' of checksum ${algorithm}, expected a field name or 'start..end'.`);
+            to = from;
+        }
+        const bound = (text) => identifierPattern.test(text) ? text : parseLiteral(text);
+        return { algorithm, "from": bound(from), "to": bound(to) };
+    }
+
+    static #specHasPointers(spec, registry) {
+        if (spec.type === 'switch')
+            return spec.cases.some(c => Struct.#specHasPointers(c, registry));
+        const type = registry.get(spec.type);
+        return type?.pointer === true || (type instanceof Struct && type.#hasPointers);
+    }
+
+    static #specSize(spec, registry) {
+        if (spec.type === 'switch') {
+            const sizes = spec.cases.map(c => Struct.#specSize(c, registry));
+            return sizes.every(size => size === sizes[0]) ? sizes[0] : undefined;
+        }
+        const sizeof = Struct.#typeSize(spec.type, spec.options, registry);
+        if (typeof spec.arrayLength !== 'number' || typeof sizeof !== 'number')
+            return undefined;
+        return spec.arrayLength * sizeof;
+    }
+
+    static #specAlignment(spec, registry) {
+        if (spec.type === 'switch')
+            return Math.max(...spec.cases.map(c => Struct.#specAlignment(c, registry)));
+        return Struct.#typeAlignment(spec.type, spec.options, registry);
+    }
+
+    // The size of a value of a type, given by `sizeFor` for the types whose size depends on their options (e.g. `string[16]`).
+    static #typeSize(type, options, registry) {
+        const t = registry.get(type);
+        if (typeof t.sizeFor === 'function')
+            return t.sizeFor(options);
+        return t.sizeof;
+    }
+
+    static #typeAlignment(type, options, registry) {
+        const t = registry.get(type);
+        if (typeof t.alignment === 'number')
+            return t.alignment;
+        const sizeof = Struct.#typeSize(type, options, registry);
+        if (typeof sizeof !== 'number' || sizeof < 1)
+            return 1;
+        // Largest power of two dividing the size, as C compilers do for the primitive types.
+        return Math.min(sizeof & -sizeof, 8);
     }
 
     /**
      * Registers a new struct from a JavaScript class.
      * @param {class} Class A JavaScript class with (at least) a static `name` property, a static `sizeof` property, and a static `read` method.
+     * Classes of variable size leave `sizeof` undefined and provide a static `readWithCount` method instead, throwing an `OutOfBoundsError` when the data ends before their value.
+     * A class replaces any struct or class of the same name previously registered in `registry`.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry to register the class in.
      * @throws {TypeError} If `Class` is not a JavaScript class or it does not have the required elements.
      */
-    static registerFromClass(Class) {
+    static registerFromClass(Class, registry = StructRegistry.default) {
         if (typeof Class !== 'function')
             throw new TypeError(`Class is not a JavaScript class.`);
         if (typeof Class.name !== 'string')
             throw new TypeError(`Class should have a static property 'name' of type string.`);
-        if (typeof Class.sizeof !== 'number')
-            throw new TypeError(`Class should have a static property 'sizeof' of type number.`);
+        if (typeof Class.sizeof !== 'number' && typeof Class.readWithCount !== 'function')
+            throw new TypeError(`Class should have a static property 'sizeof' of type number or a static 'readWithCount' method.`);
         if (typeof Class.read !== 'function')
             throw new TypeError(`Class should have a static 'read' method.`);
 
-        Struct.#loadedStructs[Class.name] = Class;
+        registry.unregister(Class.name);
+        registry.register(Class.name, Class);
+    }
+
+    /**
+     * Creates and registers the structs declared in a C header (`typedef struct { ... } Name;` and `struct Name { ... };`).
+     * Bitfields are grouped into `BitfieldN` members named `bitfield0`, `bitfield1`, etc.
+     * @param {string} source - The contents of the C header file.
+     * @param {Object} [options] - Additional options, passed to the constructor of each struct.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the structs in.
+     * @returns {Array.<Struct>} The new structs, in order of declaration.
+     * @throws {SyntaxError} If a declaration cannot be parsed.
+     * @throws {Error} If a struct cannot be represented, or its name conflicts with an existing struct.
+     */
+    static fromCHeader(source, options = {}) {
+        return new CHeader(source).structs.map(({name, structInfo}) => new Struct(structInfo, name, options));
+    }
+
+    /**
+     * Creates and registers the structs and enums declared in a schema file, i.e. `struct Name { ... }` blocks holding struct definitions,
+     * enum declarations, `const` definitions usable as array lengths, `include` lines and comments. See `SchemaLoader` for the syntax.
+     * Types may be declared in any order: each is created after the types of its members declared in the same files.
+     * @param {string} source - The contents of the schema file.
+     * @param {Object} [options] - Additional options, passed to the constructor of each struct and enum.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the types in.
+     * @param {string} [options.path='schema'] - The path of the file, for error messages and the files it includes.
+     * @param {function(string, string): {path: string, source: string}} [options.include] - The function reading included files, given the
+     * path in the `include` line and the path of the including file, and returning the path of the included file and its contents.
+     * @returns {Array.<(Struct|Enum)>} The new types, in the order they were created.
+     * @throws {SyntaxError} If a declaration cannot be parsed, a type cannot be created (e.g. one of its members is invalid), or types
+     * contain each other in a cycle. The message starts with the path, line and column of the failure, and the original error is the cause.
+     */
+    static loadSchema(source, options = {}) {
+        const { path = 'schema', include = () => { throw new Error('No include option given to read included files.'); }, ...typeOptions } = options;
+        const loader = new SchemaLoader(include);
+        loader.load(source, path);
+
+        // Enum requires this module, so it can only be required once both are loaded.
+        const Enum = require('./Enum.js');
+        return Struct.#createAll(Struct.#declarationOrder(loader.declarations), typeOptions.registry, declaration => {
+            if (declaration.kind === 'enum') {
+                try {
+                    return new Enum(declaration.info, typeOptions);
+                } catch (e) {
+                    throw SchemaLoader.error(e.message, declaration, e);
+                }
+            }
+            const extension = typeof declaration.base === 'undefined' ? {} : {extends: declaration.base};
+            try {
+                return new Struct(declaration.info, declaration.name, {...typeOptions, ...extension});
+            } catch (e) {
+                throw SchemaLoader.error(e.message, Struct.#failingLine(declaration, {...extension, registry: typeOptions.registry ?? StructRegistry.default}), e);
+            }
+        });
+    }
+
+    /**
+     * Creates and registers the structs and enums declared in a schema file, as `Struct.loadSchema` does, reading it and the files it
+     * includes (relative to the including file) from the file system.
+     * @param {string} path - The path of the schema file.
+     * @param {Object} [options] - Additional options, passed to the constructor of each struct and enum.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the types in.
+     * @returns {Array.<(Struct|Enum)>} The new types, in the order they were created.
+     * @throws {SyntaxError} If a declaration cannot be parsed or a type cannot be created, as for `Struct.loadSchema`.
+     * @throws {Error} If the file cannot be read.
+     */
+    static loadSchemaFile(path, options = {}) {
+        // Required here rather than with the other modules, so that the rest of the library does not depend on Node.js.
+        const fs = require('fs');
+        const { resolve, dirname } = require('path');
+        const include = (file, from) => {
+            const resolved = resolve(dirname(from), file);
+            return { path: resolved, source: fs.readFileSync(resolved, 'utf-8') };
+        };
+        return Struct.loadSchema(fs.readFileSync(path, 'utf-8'), {...options, path: resolve(path), include});
+    }
+
+    // Creates the types of a schema in order, unregistering the ones already created if one fails, so that the schema can be loaded
+    // again once fixed.
+    static #createAll(items, registry = StructRegistry.default, create) {
+        let ret = new Array;
+        try {
+            for (const item of items)
+                ret.push(create(item));
+        } catch (e) {
+            for (const type of ret) {
+                if (registry.get(type.name) === type)
+                    registry.unregister(type.name);
+            }
+            throw e;
+        }
+        return ret;
+    }
+
+    // Orders the declarations of a schema file so that each comes after the struct it extends and the types of its members declared in the same files.
+    static #declarationOrder(declarations) {
+        const byName = new Map(declarations.map(declaration => [declaration.name, declaration]));
+        let ret = new Array;
+        let visiting = new Set;
+        const visit = (declaration) => {
+            if (ret.includes(declaration))
+                return;
+            if (visiting.has(declaration))
+                throw SchemaLoader.error(`Struct '${declaration.name}' contains itself through the types of its members or the structs it extends.`, declaration);
+            visiting.add(declaration);
+            if (byName.has(declaration.base))
+                visit(byName.get(declaration.base));
+            for (const line of declaration.lines ?? []) {
+                for (let type of Struct.#lineTypes(line.text)) {
+                    if (!byName.has(type) && endianSuffixPattern.test(type))
+                        type = endianSuffixPattern.exec(type)[1];
+                    if (byName.has(type))
+                        visit(byName.get(type));
+                }
+            }
+            ret.push(declaration);
+        };
+        declarations.forEach(visit);
+        return ret;
+    }
+
+    // The names of the types of the member declared by a line of a struct definition (all the variants of a switch), if it declares one.
+    // Pointer targets are left out, as they do not need to be registered before the struct.
+    static #lineTypes(line) {
+        if (conditionPattern.test(line))
+            line = line.slice(findClosingParenthesis(line, line.indexOf('(')) + 1).trim();
+        if (constantPattern.test(line))
+            line = constantPattern.exec(line)[1];
+        else if (checksumPattern.test(line))
+            line = checksumPattern.exec(line)[1];
+        if (!varPattern.test(line))
+            return [];
+        const varType = varPattern.exec(line)[1];
+        const types = switchPattern.test(varType)
+            ? splitTopLevel(switchPattern.exec(varType)[2]).filter(c => casePattern.test(c)).map(c => casePattern.exec(c)[2].trim())
+            : [varType];
+        return types.filter(type => typePattern.test(type)).map(type => typePattern.exec(type)[1]);
+    }
+
+    // The location of the line of a struct declared in a schema file which its definition fails at: the first line with which the
+    // definition fails to create a struct, in a scratch registry. The declaration itself if it fails without any line (e.g. its name is taken).
+    static #failingLine(declaration, options) {
+        for (let i = 0; i <= declaration.lines.length; i++) {
+            try {
+                new Struct(declaration.lines.slice(0, i).map(line => line.text).join('\n'), declaration.name, {...options, registry: new StructRegistry(options.registry)});
+            } catch {
+                return i === 0 ? declaration : declaration.lines[i - 1];
+            }
+        }
+        return declaration;
+    }
+
+    /**
+     * Creates and registers a struct from a schema made by `toSchema`, or all the structs and enums of a schema made by
+     * `StructRegistry.prototype.toSchema`. Types are created after the types their members refer to, whatever their order in the schema.
+     * @param {Object|string} schema - The schema, or its JSON text.
+     * @param {Object} [options] - Additional options, passed to the constructor of each struct and enum.
+     * @param {StructRegistry} [options.registry=StructRegistry.default] - The registry to register the types in.
+     * @returns {Struct|Array.<(Struct|Enum)>} The new struct, or the new types of a registry schema in the order they were created.
+     * @throws {Error} If the schema is malformed or of an unsupported version, its types refer to each other in a cycle, or they cannot be
+     * created (e.g. their names conflict with existing types).
+     */
+    static fromSchema(schema, options = {}) {
+        if (typeof schema === 'string')
+            schema = JSON.parse(schema);
+        if (schema?.version !== StructRegistry.schemaVersion)
+            throw new Error(`Unsupported schema version '${schema?.version}', expected ${StructRegistry.schemaVersion}.`);
+        if (!Array.isArray(schema.types))
+            return Struct.#fromStructSchema(schema, options);
+
+        const Enum = require('./Enum.js');
+        return Struct.#createAll(Struct.#schemaOrder(schema.types), options.registry, type => {
+            const typeSchema = {version: schema.version, ...type};
+            return type.kind === 'enum' ? Enum.fromSchema(typeSchema, options) : Struct.#fromStructSchema(typeSchema, options);
+        });
     }
 
     /**
@@ -125,11 +913,35 @@ class Struct {
      * @param {DataView} data - The DataView containing the binary data.
      * @param {number} position - The offset at which to start reading.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {Object} [options] - Read options, also passed to the structs nested in this one.
+     * @param {boolean} [options.lenient] - Overrides the `lenient` option of the struct.
+     * @param {Array.<string>} [options.warnings] - An array to which a message is added for each mismatching constant accepted in lenient mode.
+     * @param {boolean} [options.partial=false] - Whether a StructError thrown by the read carries the part of the value decoded before the failure.
      * @returns {Object} An object representing the struct's fields and values.
      * @throws {TypeError} If `data` is not a DataView.
+     * @throws {StructError} If a member cannot be read, e.g. if it extends past the end of `data`, or if a constant member does not have
+     * its expected value and the struct is not read in lenient mode.
      */
-    read(data, position, isLittleEndian = false) {
-        return Struct.readStruct(data, position, this.name, isLittleEndian);
+    read(data, position, isLittleEndian = false, options) {
+        return this.readWithCount(data, position, isLittleEndian, options).value;
+    }
+
+    /**
+     * Reads an instance of the struct from a DataView and reports how many bytes were consumed.
+     * @param {DataView} data - The DataView containing the binary data.
+     * @param {number} position - The offset at which to start reading.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {Object} [options] - Read options (`lenient`, `warnings` and `partial`), as for `read`.
+     * @returns {{count: number, value: Object}} An object containing the number of bytes read and the struct's fields and values.
+     * @throws {TypeError} If `data` is not a DataView.
+     * @throws {StructError} If a member cannot be read, e.g. if it extends past the end of `data`, or if a constant member does not have
+     * its expected value and the struct is not read in lenient mode.
+     */
+    readWithCount(data, position, isLittleEndian = false, options) {
+        if (!DataView.prototype.isPrototypeOf(data))
+            throw new TypeError('Parameter data is not of type DataView.');
+
+        return Struct.#readStruct(data, position, this, isLittleEndian, options);
     }
 
     /**
@@ -138,40 +950,458 @@ class Struct {
      * @param {number} position - The offset at which to start reading.
      * @param {string} structName - The name of the struct to read.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry to look the struct up in.
      * @returns {Object} An object representing the struct's fields and values.
      * @throws {Error} If the struct name is not registered.
      * @throws {TypeError} If `data` is not a DataView.
+     * @throws {StructError} If a member cannot be read.
      */
-    static readStruct(data, position, structName, isLittleEndian = false) {
+    static readStruct(data, position, structName, isLittleEndian = false, registry = StructRegistry.default) {
         if (!DataView.prototype.isPrototypeOf(data))
             throw new TypeError('Parameter data is not of type DataView.');
-    
-        if (typeof Struct.#loadedStructs[structName] === 'undefined')
+
+        const struct = registry.get(structName);
+        if (!(struct instanceof Struct))
             throw new Error(`No struct named '${structName}' registered.`);
-    
+
+        return Struct.#readStruct(data, position, struct, isLittleEndian).value;
+    }
+
+    static #readStruct(data, position, struct, isLittleEndian, options) {
+        // The outermost struct with pointers is the first of the targets being read, which its pointers may lead back to.
+        if (struct.#hasPointers && typeof options?.following === 'undefined')
+            options = {...options, following: new Set([`${struct.name}@${position}`])};
+        if (typeof struct.#compiled !== 'undefined') {
+            const warnings = options?.warnings?.length;
+            try {
+                return struct.#compiled.read(data, position, isLittleEndian, options);
+            } catch {
+                // Read again without the compiled function to locate the failure, dropping the warnings of the first attempt.
+                if (typeof warnings !== 'undefined')
+                    options.warnings.length = warnings;
+            }
+        }
+
         let iter = position;
-        let struct = Struct.#loadedStructs[structName];
         let ret = {};
     
         for (let p in struct.props) {
             let prop = struct.props[p];
-            if (prop.arrayLength == 1) {
-                let read = Struct.readValue(data, iter, prop.type, isLittleEndian, prop.options);
+            try {
+                if (!Struct.#isPresent(prop, ret))
+                    continue;
+                iter = position + Struct.#memberOffset(prop, iter - position);
+                let read = Struct.#readMember(data, iter, prop, ret, isLittleEndian, struct.registry, options, position);
+                if (typeof prop.constant !== 'undefined')
+                    Struct.#checkConstant(struct, prop, read.value, iter, options);
                 iter += read.count;
-                ret[prop.name] = read.value;
-            } else {
-                let value = [];
-                for (let i = 0; i < prop.arrayLength; i++) {
-                    let read = Struct.readValue(data, iter, prop.type, isLittleEndian, prop.options);
-                    iter += read.count;
-                    value.push(read.value);
+                Struct.#setMember(ret, prop.name, read);
+            } catch (e) {
+                const error = StructError.from(e, 'read', prop.type, iter);
+                if (options?.partial) {
+                    if (typeof error.partial !== 'undefined')
+                        ret[prop.name] = error.partial;
+                    error.partial = ret;
                 }
-                ret[prop.name] = value;
+                throw error.within(`.${prop.name}`, struct.name);
+            }
+        }
+        if (struct.#checksums.length > 0)
+            Struct.#verifyChecksums(struct, data, position, ret, isLittleEndian, options);
+        return {count: alignUp(iter - position + struct.#trailingPadding, struct.alignment), value: ret};
+    }
+
+    // Reads a member at `position` of a struct at `origin`.
+    static #readMember(data, position, prop, parent, isLittleEndian, registry, context, origin = 0) {
+        if (prop.type === 'switch')
+            return Struct.#readMember(data, position, Struct.#selectCase(prop, parent), parent, isLittleEndian, registry, context, origin);
+
+        let memberLittleEndian = Struct.#memberEndian(prop, parent, isLittleEndian);
+        let options = Struct.#memberOptions(prop, registry, context);
+        const pointer = registry.get(prop.type)?.pointer === true;
+        const readValue = (at) => pointer
+            ? Struct.#readPointer(data, at, prop, parent, memberLittleEndian, registry, context, origin)
+            : Struct.readValue(data, at, prop.type, memberLittleEndian, options, registry);
+        if (prop.arrayLength === 1)
+            return readValue(position);
+
+        let length = Struct.#arrayLength(prop, parent);
+        let ret = {count: 0, value: []};
+        for (let i = 0; i < length; i++) {
+            try {
+                let read = readValue(position + ret.count);
+                ret.count += read.count;
+                Struct.#setMember(ret.value, i, read);
+            } catch (e) {
+                const error = StructError.from(e, 'read', prop.type, position + ret.count);
+                if (context?.partial)
+                    error.partial = typeof error.partial === 'undefined' ? ret.value : [...ret.value, error.partial];
+                throw error.within(`[${i}]`);
             }
         }
         return ret;
     }
 
+    // The options of a member, with the read options of the parent struct (`lenient`, `warnings` and `partial`), the targets of the
+    // pointers being followed (`following`) and the targets of the pointers being written (`heap`) passed down to nested structs.
+    static #memberOptions(prop, registry, context) {
+        if (typeof context === 'undefined' || !(registry.get(prop.type) instanceof Struct))
+            return prop.options;
+        return {...prop.options, lenient: context.lenient, warnings: context.warnings, partial: context.partial, following: context.following, heap: context.heap};
+    }
+
+    // Sets a member of a value read, as an accessor reading the target of a lazy pointer when first accessed.
+    static #setMember(value, key, read) {
+        if (typeof read.deref !== 'function') {
+            value[key] = read.value;
+            return;
+        }
+        const define = (target) => Object.defineProperty(value, key, { value: target, writable: true, enumerable: true, configurable: true });
+        Object.defineProperty(value, key, {
+            get: () => {
+                const target = read.deref();
+                define(target);
+                return target;
+            },
+            set: define,
+            enumerable: true,
+            configurable: true,
+        });
+    }
+
+    // Reads the offset of a pointer member at `position` and the value it points to, or `null` for an offset of 0.
+    // The targets being read are tracked in `following`, so that pointers leading back to one of them throw instead of recursing forever.
+    static #readPointer(data, position, prop, parent, isLittleEndian, registry, context, origin) {
+        const offset = Struct.readValue(data, position, prop.type, isLittleEndian, undefined, registry);
+        if (offset.value === 0)
+            return {count: offset.count, value: null};
+        const { target, base, lazy, ...options } = prop.options;
+        const at = Struct.#pointerBase(prop, parent, position, origin) + offset.value;
+        const deref = (following) => {
+            const key = `${target}@${at}`;
+            if (following.has(key))
+                throw new Error(`Pointer '${prop.name}' at offset ${position} leads back to the '${target}' at offset ${at}, which is being read.`);
+            following.add(key);
+            try {
+                return Struct.readValue(data, at, target, isLittleEndian, Struct.#memberOptions({type: target, options}, registry, {...context, following}), registry).value;
+            } finally {
+                following.delete(key);
+            }
+        };
+        // Lazy targets are read once the value is read, through a chain of pointers of their own.
+        return lazy
+            ? {count: offset.count, deref: () => deref(new Set)}
+            : {count: offset.count, value: deref(context?.following ?? new Set)};
+    }
+
+    // The position which the offset of a pointer member at `position`, in a struct at `origin`, is relative to.
+    static #pointerBase(prop, parent, position, origin) {
+        const base = prop.options.base ?? 'buffer';
+        if (base === 'buffer')
+            return 0;
+        if (base === 'parent')
+            return origin;
+        if (base === 'self')
+            return position;
+        if (typeof base === 'number')
+            return base;
+        return Number(parent[base]);
+    }
+
+    static #checkConstant(struct, prop, value, position, options) {
+        if (Struct.#constantMatches(prop.constant, value))
+            return;
+        Struct.#mismatch(struct, `Member '${prop.name}' of '${struct.name}' should be ${formatConstant(prop.constant)}, got ${formatConstant(value)} at offset ${position}.`, options);
+    }
+
+    // Throws the message of a constant or checksum member which does not have its expected value, or adds it to the warnings in lenient mode.
+    static #mismatch(struct, message, options) {
+        if (!(options?.lenient ?? struct.#options.lenient ?? false))
+            throw new Error(message);
+        options?.warnings?.push(message);
+    }
+
+    static #verifyChecksums(struct, data, position, value, isLittleEndian, options) {
+        const ranges = Struct.#memberRanges(struct, data, position, value, isLittleEndian);
+        struct.#checksums.forEach((prop, index) => {
+            if (!Object.hasOwn(ranges, prop.name))
+                return;
+            const at = position + ranges[prop.name][0];
+            try {
+                const expected = Struct.#computeChecksum(struct, index, data, position, ranges);
+                if (expected !== value[prop.name])
+                    Struct.#mismatch(struct, `Checksum '${prop.name}' of '${struct.name}' should be ${formatConstant(expected)}, got ${formatConstant(value[prop.name])} at offset ${at}.`, options);
+            } catch (e) {
+                const error = StructError.from(e, 'read', prop.type, at);
+                if (options?.partial)
+                    error.partial = value;
+                throw error.within(`.${prop.name}`, struct.name);
+            }
+        });
+    }
+
+    // Computes the checksum members in declaration order, once the rest of the struct is written, and the targets of its pointers if any.
+    static #writeChecksums(struct, data, position, value, isLittleEndian, context) {
+        if (typeof context?.heap !== 'undefined') {
+            context.heap.checksums.push(() => Struct.#writeChecksums(struct, data, position, value, isLittleEndian));
+            return;
+        }
+        const ranges = Struct.#memberRanges(struct, data, position, value, isLittleEndian);
+        struct.#checksums.forEach((prop, index) => {
+            if (!Object.hasOwn(ranges, prop.name))
+                return;
+            const at = position + ranges[prop.name][0];
+            try {
+                const checksum = Struct.#computeChecksum(struct, index, data, position, ranges);
+                Struct.writeValue(data, at, checksum, prop.type, Struct.#memberEndian(prop, value, isLittleEndian), prop.options, struct.#registry);
+            } catch (e) {
+                throw StructError.from(e, 'write', prop.type, at).within(`.${prop.name}`, struct.name);
+            }
+        });
+    }
+
+    // Computes the checksum of its range for the `index`th checksum member, counting it and the checksum members after it as zero.
+    static #computeChecksum(struct, index, data, position, ranges) {
+        const prop = struct.#checksums[index];
+        const bound = (member, side) => {
+            if (typeof member === 'number')
+                return member;
+            if (!Object.hasOwn(ranges, member))
+                throw new Error(`Member '${member}' in the range of checksum '${prop.name}' is not present.`);
+            return ranges[member][side];
+        };
+        const start = bound(prop.checksum.from, 0);
+        const end = bound(prop.checksum.to, 1);
+        if (end < start)
+            throw new RangeError(`Range of checksum '${prop.name}' ends at offset ${end}, before its start at ${start}.`);
+        if (position + end > data.byteLength)
+            throw new RangeError(`Range of checksum '${prop.name}' is outside the bounds of the DataView.`);
+
+        const bytes = new Uint8Array(data.buffer, data.byteOffset + position + start, end - start).slice();
+        for (const later of struct.#checksums.slice(index)) {
+            const range = ranges[later.name];
+            if (typeof range === 'undefined')
+                continue;
+            const from = Math.max(range[0], start) - start;
+            const to = Math.min(range[1], end) - start;
+            if (from < to)
+                bytes.fill(0, from, to);
+        }
+        const checksum = BigInt.asUintN(primitiveTypes[prop.type].sizeof * 8, BigInt(Checksums.compute(prop.checksum.algorithm, bytes)));
+        return prop.type === 'u64' ? checksum : Number(checksum);
+    }
+
+    // The checksum members of a value to write set to zero, until they are computed over the rest of the struct.
+    static #clearChecksums(struct, value) {
+        if (struct.#checksums.length === 0)
+            return value;
+        let ret = {...value};
+        for (const prop of struct.#checksums)
+            ret[prop.name] = prop.type === 'u64' ? 0n : 0;
+        return ret;
+    }
+
+    // The offsets of the start and end of each member present in an instance of the struct, relative to the start of the struct.
+    static #memberRanges(struct, data, position, value, isLittleEndian) {
+        let ret = new Object;
+        let offset = 0;
+        for (const prop of struct.#props) {
+            if (!Struct.#isPresent(prop, value))
+                continue;
+            offset = Struct.#memberOffset(prop, offset);
+            const size = Struct.#specSize(prop, struct.#registry) ?? Struct.#readMember(data, position + offset, prop, value, isLittleEndian, struct.#registry).count;
+            ret[prop.name] = [offset, offset + size];
+            offset += size;
+        }
+        return ret;
+    }
+
+    static #constantMatches(constant, value) {
+        if (Array.isArray(constant))
+            return Array.isArray(value) && value.length === constant.length && constant.every((c, i) => Struct.#constantMatches(c, value[i]));
+        // Booleans are read from the constants of bool members, which are numbers.
+        if (typeof value === 'boolean' && typeof constant === 'number')
+            return value === Boolean(constant);
+        return value === constant;
+    }
+
+    // Fills in the constant members left undefined in `value`.
+    static #fillConstants(struct, value) {
+        let ret = value;
+        for (const prop of struct.props) {
+            if (typeof prop.constant === 'undefined' || typeof value[prop.name] !== 'undefined')
+                continue;
+            if (ret === value)
+                ret = {...value};
+            ret[prop.name] = prop.constant;
+        }
+        return ret;
+    }
+
+    // Writes a member at `position` of a struct at `origin`.
+    static #writeMember(data, position, value, prop, parent, isLittleEndian, registry, context, origin = 0) {
+        if (prop.type === 'switch')
+            return Struct.#writeMember(data, position, value, Struct.#selectCase(prop, parent), parent, isLittleEndian, registry, context, origin);
+
+        let memberLittleEndian = Struct.#memberEndian(prop, parent, isLittleEndian);
+        let options = Struct.#memberOptions(prop, registry, context);
+        const writeValue = registry.get(prop.type)?.pointer === true
+            ? (at, element) => Struct.#writePointer(data, at, element, prop, parent, memberLittleEndian, registry, context, origin)
+            : (at, element) => Struct.writeValue(data, at, element, prop.type, memberLittleEndian, options, registry);
+        if (prop.arrayLength === 1)
+            return writeValue(position, value);
+
+        let length = Struct.#arrayLength(prop, parent);
+        if (typeof prop.arrayLength === 'string' && value.length !== length)
+            throw new RangeError(`Array '${prop.name}' has ${value.length} elements but '${prop.arrayLength}' is ${length}.`);
+        let count = 0;
+        for (let i = 0; i < length; i++) {
+            try {
+                count += writeValue(position + count, value[i]);
+            } catch (e) {
+                throw StructError.from(e, 'write', prop.type, position + count).within(`[${i}]`);
+            }
+        }
+        return count;
+    }
+
+    // Writes a placeholder offset for a pointer member at `position`, leaving its target to be written after the outermost struct.
+    static #writePointer(data, position, value, prop, parent, isLittleEndian, registry, context, origin) {
+        const count = Struct.writeValue(data, position, 0, prop.type, isLittleEndian, undefined, registry);
+        if (value === null || typeof value === 'undefined')
+            return count;
+        if (typeof context?.heap === 'undefined')
+            throw new Error(`Pointer '${prop.name}' can only be written as a member of a struct.`);
+        context.heap.targets.push({ value, prop, position, base: Struct.#pointerBase(prop, parent, position, origin), isLittleEndian, registry });
+        return count;
+    }
+
+    // Writes the targets of the pointers written in a struct after its `count` bytes, back-patching their offsets, then computes the
+    // checksums (which may cover the offsets). Returns the number of bytes written, including the targets.
+    static #writeHeap(data, position, count, heap) {
+        let end = position + count;
+        // Targets are appended to while they are written, for the pointers in them.
+        for (let i = 0; i < heap.targets.length; i++) {
+            const { value, prop, position: at, base, isLittleEndian, registry } = heap.targets[i];
+            const { target, base: _, lazy, ...options } = prop.options;
+            const start = Struct.#fillPadding(data, 0, end, alignUp(end, registry.get(target)?.alignment ?? 1));
+            end = start + Struct.writeValue(data, start, value, target, isLittleEndian, Struct.#memberOptions({type: target, options}, registry, {heap}), registry);
+
+            const offset = start - base;
+            const sizeof = registry.get(prop.type).sizeof;
+            if (offset <= 0 || offset >= 2 ** (sizeof * 8))
+                throw new RangeError(`Offset ${offset} of the target of pointer '${prop.name}' does not fit in '${prop.type}'.`);
+            Struct.writeValue(data, at, offset, prop.type, isLittleEndian, undefined, registry);
+        }
+        heap.checksums.forEach(write => write());
+        return end - position;
+    }
+
+    static #selectCase(prop, parent) {
+        const discriminator = Struct.#expression(prop.switchOn).evaluate(parent);
+        const selected = prop.cases.find(c => !c.default && Struct.#caseMatches(c.value, discriminator)) ?? prop.cases.find(c => c.default);
+        if (typeof selected === 'undefined')
+            throw new Error(`No case of switch '${prop.name}' matches ${prop.switchOn} = ${discriminator}.`);
+        return { "name": prop.name, ...selected };
+    }
+
+    static #caseMatches(label, discriminator) {
+        if (Array.isArray(discriminator))
+            discriminator = discriminator.join('');
+        if (typeof discriminator === 'bigint' && typeof label === 'number')
+            return discriminator === BigInt(label);
+        return discriminator === label;
+    }
+
+    // Fills in the discriminators left undefined in `value` from the shape of the variant given for each switch.
+    static #inferDiscriminators(struct, value) {
+        let ret = value;
+        for (const prop of struct.props) {
+            if (prop.type !== 'switch' || typeof Struct.#expression(prop.switchOn).evaluate(ret) !== 'undefined')
+                continue;
+            if (!identifierPattern.test(prop.switchOn))
+                throw new Error(`Cannot infer discriminator '${prop.switchOn}' of switch '${prop.name}', it is not a member name.`);
+            const variant = value[prop.name];
+            const candidates = prop.cases.filter(c => !c.default && Struct.#variantMatches(c, variant, struct.registry));
+            const selected = candidates.find(c => Struct.#variantMatches(c, variant, struct.registry, true)) ?? candidates[0];
+            if (typeof selected === 'undefined')
+                throw new Error(`Cannot infer discriminator '${prop.switchOn}' from the value of switch '${prop.name}'.`);
+            if (ret === value)
+                ret = {...value};
+            ret[prop.switchOn] = selected.value;
+        }
+        return ret;
+    }
+
+    static #variantMatches(spec, variant, registry, exact = false) {
+        if (spec.arrayLength !== 1)
+            return Array.isArray(variant) && (typeof spec.arrayLength !== 'number' || variant.length === spec.arrayLength);
+        const t = registry.get(spec.type);
+        if (typeof variant !== 'object' || variant === null)
+            return false;
+        if (typeof t === 'function')
+            return variant instanceof t;
+        if (!(t instanceof Struct))
+            return false;
+        const names = t.props.map(prop => prop.name);
+        if (!names.every(name => name in variant))
+            return false;
+        return !exact || Object.keys(variant).length === names.length;
+    }
+
+    static #isPresent(prop, value) {
+        return typeof prop.condition === 'undefined' || Boolean(Struct.#expression(prop.condition).evaluate(value));
+    }
+
+    static #memberOffset(prop, offset) {
+        return alignUp(offset + (prop.padding ?? 0), prop.align ?? 1);
+    }
+
+    static #fillPadding(data, position, from, to) {
+        if (position + to > data.byteLength)
+            throw new OutOfBoundsError('Padding is outside the bounds of the DataView');
+        for (let i = from; i < to; i++)
+            data.setUint8(position + i, 0);
+        return to;
+    }
+
+    static #arrayLength(prop, value) {
+        if (typeof prop.arrayLength === 'number')
+            return prop.arrayLength;
+
+        let length = Number(value[prop.arrayLength]);
+        if (!Number.isSafeInteger(length) || length < 0)
+            throw new RangeError(`Invalid length ${value[prop.arrayLength]} in field '${prop.arrayLength}' for array '${prop.name}'.`);
+        return length;
+    }
+
+    static #memberEndian(prop, value, isLittleEndian) {
+        if (typeof prop.endian !== 'undefined')
+            return prop.endian === 'little';
+        if (typeof prop.endianFrom !== 'undefined')
+            return Struct.byteOrderFromMarker(value[prop.endianFrom]);
+        return isLittleEndian;
+    }
+
+    /**
+     * Interprets the value of a byte order marker field.
+     * Accepts TIFF-style markers ('II' or 0x4949 for little-endian, 'MM' or 0x4D4D for big-endian), the strings 'little'/'le' and 'big'/'be', and booleans.
+     * @param {*} marker - The value of the marker field (a string, an array of chars, a number or a boolean).
+     * @returns {boolean} Whether the marker denotes little-endian byte order.
+     * @throws {Error} If the marker is not recognized.
+     */
+    static byteOrderFromMarker(marker) {
+        if (Array.isArray(marker))
+            marker = marker.join('');
+        if (typeof marker === 'boolean')
+            return marker;
+        if (['II', 'little', 'le', 0x4949].includes(marker))
+            return true;
+        if (['MM', 'big', 'be', 0x4D4D].includes(marker))
+            return false;
+        throw new Error(`Unrecognized byte order marker '${marker}'.`);
+    }
+
     /**
      * Reads a value of a registered type (primitive or struct) from a DataView.
      * @param {DataView} data - The DataView containing the binary data.
@@ -179,28 +1409,40 @@ class Struct {
      * @param {string} type - The name of the type or struct to read.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
      * @param {object} [options] - Optional parameter to pass to the read function.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry to look the type up in.
      * @returns {{count: number, value: *}} An object containing the size of the value and the parsed value.
+     * Types of variable size (strings, variable-length integers...) give the size of each value with the `count` their `readWithCount` function returns.
      * @throws {Error} If the type is not registered.
      * @throws {TypeError} If `data` is not a DataView.
+     * @throws {StructError} If the value cannot be read.
      */
-    static readValue(data, position, type, isLittleEndian = false, options) {
+    static readValue(data, position, type, isLittleEndian = false, options, registry = StructRegistry.default) {
         if (!DataView.prototype.isPrototypeOf(data))
             throw new TypeError('Parameter data is not of type DataView.');
     
         let ret = {count: 0, value: 0};
         let t;
     
-        if (typeof Struct.#loadedStructs[type] !== 'undefined') {
-            t = Struct.#loadedStructs[type];
+        if (registry.has(type)) {
+            t = registry.get(type);
         } else {
             throw new Error(`No struct named '${type}' registered.`);
         }
     
-        ret.value = t.read(data, position, isLittleEndian, options);
-        if (type === 'string') {
-            ret.count = ret.value.length + 1;
-        } else {
-            ret.count = t.sizeof;
+        try {
+            // Values of a known size are checked to be in the data before being read, so that reading past its end throws an
+            // OutOfBoundsError whatever the type does. The members of structs are checked on their own.
+            const size = t instanceof Struct ? undefined : Struct.#typeSize(type, options, registry);
+            if (typeof size === 'number' && position >= 0 && position + size > data.byteLength)
+                throw new OutOfBoundsError('position is outside the bounds of the DataView');
+            if (typeof t.readWithCount === 'function') {
+                ret = t.readWithCount(data, position, isLittleEndian, options);
+            } else {
+                ret.value = t.read(data, position, isLittleEndian, options);
+                ret.count = Struct.#typeSize(type, options, registry);
+            }
+        } catch (e) {
+            throw StructError.from(e, 'read', type, position);
         }
     
         return ret;
@@ -212,12 +1454,16 @@ class Struct {
      * @param {number} position - The offset at which to start writing.
      * @param {Object} value - The value to write.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
-     * @returns {number} - The number of bytes written.
+     * @param {Object} [options] - Write options, passed down by the struct this one is nested in.
+     * @returns {number} - The number of bytes written, including the targets of its pointers.
      * @throws {TypeError} If `data` is not a DataView.
-     * @throws {RangeError} If `position` is such that it would write beyond the end of `data`.
+     * @throws {StructError} If a member cannot be written, or if `position` is such that it would write beyond the end of `data`.
      */
-    write(data, position, value, isLittleEndian = false) {
-        return Struct.writeStruct(data, position, value, this.name, isLittleEndian);
+    write(data, position, value, isLittleEndian = false, options) {
+        if (!DataView.prototype.isPrototypeOf(data))
+            throw new TypeError('Parameter data is not of type DataView.');
+
+        return Struct.#writeStruct(data, position, value, this, isLittleEndian, options);
     }
 
     /**
@@ -227,36 +1473,76 @@ class Struct {
      * @param {Object} value - The value to write.
      * @param {string} structName - The name of the struct to write.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry to look the struct up in.
      * @returns {number} - The number of bytes written.
+     * @throws {Error} - If the struct name is not registered.
      * @throws {TypeError} - If `data` is not a DataView.
-     * @throws {RangeError} - If `position` is such that it would write beyond the end of `data`.
+     * @throws {StructError} - If a member cannot be written, or if `position` is such that it would write beyond the end of `data`.
      */
-    static writeStruct(data, position, value, structName, isLittleEndian = false) {
+    static writeStruct(data, position, value, structName, isLittleEndian = false, registry = StructRegistry.default) {
         if (!DataView.prototype.isPrototypeOf(data))
             throw new TypeError('Parameter data is not of type DataView.');
 
-        if (typeof Struct.#loadedStructs[structName] === 'undefined')
+        let struct = registry.get(structName);
+        if (!(struct instanceof Struct))
             throw new Error(`No struct named '${structName}' registered.`);
 
+        return Struct.#writeStruct(data, position, value, struct, isLittleEndian);
+    }
+
+    static #writeStruct(data, position, value, struct, isLittleEndian, options) {
+        // The outermost struct with pointers writes their targets after itself.
+        const owner = struct.#hasPointers && typeof options?.heap === 'undefined';
+        const context = owner ? {...options, heap: {targets: new Array, checksums: new Array}} : options;
+        const count = Struct.#writeMembers(data, position, value, struct, isLittleEndian, context);
+        return owner ? Struct.#writeHeap(data, position, count, context.heap) : count;
+    }
+
+    static #writeMembers(data, position, value, struct, isLittleEndian, context) {
+        if (typeof struct.#compiled !== 'undefined') {
+            const targets = context?.heap?.targets.length;
+            const checksums = context?.heap?.checksums.length;
+            try {
+                return struct.#compiled.write(data, position, value, isLittleEndian, context);
+            } catch {
+                // Write again without the compiled function to locate the failure, dropping the pointers and checksums of the first attempt.
+                if (typeof targets !== 'undefined') {
+                    context.heap.targets.length = targets;
+                    context.heap.checksums.length = checksums;
+                }
+            }
+        }
+
         let count = 0;
-        let struct = Struct.#loadedStructs[structName];
 
-        if (position < 0 || position + struct.sizeof > data.byteLength)
-            throw new RangeError('position is outside the bounds of the DataView.');
+        try {
+            if (position < 0)
+                throw new RangeError('position is outside the bounds of the DataView.');
+            if (position + struct.sizeof > data.byteLength)
+                throw new OutOfBoundsError('position is outside the bounds of the DataView.');
 
-        if (Number.isNaN(position))
-            throw new RangeError('position should not be NaN.');
+            if (Number.isNaN(position))
+                throw new RangeError('position should not be NaN.');
+
+            value = Struct.#inferDiscriminators(struct, Struct.#clearChecksums(struct, Struct.#fillConstants(struct, value)));
+        } catch (e) {
+            throw StructError.from(e, 'write', struct.name, position);
+        }
 
         for (let p in struct.props) {
             let prop = struct.props[p];
-            if (prop.arrayLength == 1) {
-                count += Struct.writeValue(data, position + count, value[prop.name], prop.type, isLittleEndian, prop.options);
-            } else {
-                for (let i = 0; i < prop.arrayLength; i++) {
-                    count += Struct.writeValue(data, position + count, value[prop.name][i], prop.type, isLittleEndian, prop.options);
-                }
+            try {
+                if (!Struct.#isPresent(prop, value))
+                    continue;
+                count = Struct.#fillPadding(data, position, count, Struct.#memberOffset(prop, count));
+                count += Struct.#writeMember(data, position + count, value[prop.name], prop, value, isLittleEndian, struct.registry, context, position);
+            } catch (e) {
+                throw StructError.from(e, 'write', prop.type, position + count).within(`.${prop.name}`, struct.name);
             }
         }
+        count = Struct.#fillPadding(data, position, count, alignUp(count + struct.#trailingPadding, struct.alignment));
+        if (struct.#checksums.length > 0)
+            Struct.#writeChecksums(struct, data, position, value, isLittleEndian, context);
         return count;
     }
 
@@ -268,19 +1554,20 @@ class Struct {
      * @param {string} type - The name of the type or struct to write.
      * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
      * @param {object} [options] - Optional parameter to pass to the write function.
-     * @returns {number} - The number of bytes written.
+     * @param {StructRegistry} [registry=StructRegistry.default] - The registry to look the type up in.
+     * @returns {number} - The number of bytes written. For structs and types of variable size, this is the count reported by their write function.
      * @throws {Error} If the type is not registered.
      * @throws {TypeError} If `data` is not a DataView or if the type or struct to write does not have a write function.
-     * @throws {RangeError} - If `position` is such that it would write beyond the end of `data`.
+     * @throws {StructError} - If the value cannot be written, or if `position` is such that it would write beyond the end of `data`.
      */
-    static writeValue(data, position, value, type, isLittleEndian = false, options) {
+    static writeValue(data, position, value, type, isLittleEndian = false, options, registry = StructRegistry.default) {
         if (!DataView.prototype.isPrototypeOf(data))
             throw new TypeError('Parameter data is not of type DataView.');
     
         let t;
     
-        if (typeof Struct.#loadedStructs[type] !== 'undefined') {
-            t = Struct.#loadedStructs[type];
+        if (registry.has(type)) {
+            t = registry.get(type);
         } else {
             throw new Error(`No struct named '${type}' registered.`);
         }
@@ -288,91 +1575,1097 @@ class Struct {
         if (typeof t.write !== 'function')
             throw new TypeError(`Data value type '${type}' cannot be written.`);
 
-        if (position < 0 || position + t.sizeof > data.byteLength)
-            throw new RangeError('position is outside the bounds of the DataView');
-        
+        let sizeof;
+        let count;
+        try {
+            sizeof = Struct.#typeSize(type, options, registry);
+            if (position < 0)
+                throw new RangeError('position is outside the bounds of the DataView');
+            if (position + sizeof > data.byteLength)
+                throw new OutOfBoundsError('position is outside the bounds of the DataView');
+
+            if (Number.isNaN(position))
+                throw new RangeError('position should not be NaN.');
+
+            count = t.write(data, position, value, isLittleEndian, options);
+        } catch (e) {
+            throw StructError.from(e, 'write', type, position);
+        }
+    
+        return typeof sizeof === 'number' && !(t instanceof Struct) ? sizeof : count;
+    }
+
+    /**
+     * Returns a view of an instance of the struct in a DataView, whose properties read the members from the DataView when accessed,
+     * and whose setters write them straight back to it. Nothing is copied: changes to the underlying buffer are visible through the view.
+     * Nested structs, arrays and bitfields are views too, e.g. `view.header.flags.dirty = 1` only writes the byte holding the `dirty` bit.
+     * Absent conditional members are `undefined` and cannot be set. Members of variable size can only be set to values of the same size,
+     * and the members which the layout of others depends on (array lengths, discriminators, conditions and byte order markers) cannot be
+     * changed through the view.
+     * @param {DataView} data - The DataView containing the binary data.
+     * @param {number} [position=0] - The offset of the struct in the DataView.
+     * @param {boolean} [isLittleEndian=false] - Whether to use little-endian byte order.
+     * @returns {Object} A sealed object with one accessor property per member.
+     * @throws {TypeError} If `data` is not a DataView.
+     * @throws {RangeError} If the struct does not fit in `data` at `position`.
+     */
+    view(data, position = 0, isLittleEndian = false) {
+        if (!DataView.prototype.isPrototypeOf(data))
+            throw new TypeError('Parameter data is not of type DataView.');
         if (Number.isNaN(position))
             throw new RangeError('position should not be NaN.');
+        if (position < 0 || position + (this.#sizeof ?? 0) > data.byteLength)
+            throw new RangeError('position is outside the bounds of the DataView.');
 
-        t.write(data, position, value, isLittleEndian, options);
-    
-        return t.sizeof;
+        return this.#view(data, position, isLittleEndian, write => write());
+    }
+
+    // A view of the struct whose writes go through `guard`, which the view of the enclosing struct checks them with.
+    #view(data, position, isLittleEndian, guard) {
+        const dependencies = this.#layoutDependencies();
+        let ret = new Object;
+        this.#props.forEach((prop, index) => {
+            const member = () => {
+                const offset = this.#viewOffset(ret, data, position, isLittleEndian, index);
+                if (typeof offset === 'undefined')
+                    return undefined;
+                const spec = prop.type === 'switch' ? Struct.#selectCase(prop, ret) : prop;
+                return { spec, position: position + offset, isLittleEndian: Struct.#memberEndian(spec, ret, isLittleEndian) };
+            };
+            // Writes to the members which the layout depends on, including through their nested views, must leave it as it is.
+            const memberGuard = (m) => dependencies.has(prop.name)
+                ? write => guard(() => this.#keepLayout(ret, data, position, isLittleEndian, m, prop.name, write))
+                : guard;
+            Object.defineProperty(ret, prop.name, {
+                get: () => {
+                    const m = member();
+                    return typeof m === 'undefined' ? undefined : this.#viewMember(ret, data, m.position, m.spec, m.isLittleEndian, memberGuard(m));
+                },
+                set: (value) => {
+                    const m = member();
+                    if (typeof m === 'undefined')
+                        throw new Error(`Cannot set member '${prop.name}' of '${this.#name}', it is not present.`);
+                    const write = this.#registry.get(m.spec.type)?.pointer === true
+                        ? (view, pos) => Struct.#writeOffsets(view, pos, value, m.spec, ret, m.isLittleEndian, this.#registry)
+                        : (view, pos) => Struct.#writeMember(view, pos, value, m.spec, ret, isLittleEndian, this.#registry);
+                    memberGuard(m)(() => {
+                        if (typeof Struct.#specSize(m.spec, this.#registry) === 'number')
+                            write(data, m.position);
+                        else
+                            this.#overwrite(data, m.position, Struct.#readMember(data, m.position, m.spec, ret, isLittleEndian, this.#registry).count, prop.name, write);
+                    });
+                },
+                enumerable: true,
+            });
+        });
+        return Object.seal(ret);
+    }
+
+    // Writes the offset held by a pointer member of a view, or by each element of an array of pointers, as they are read, leaving the targets as they are.
+    static #writeOffsets(data, position, value, spec, parent, isLittleEndian, registry) {
+        const sizeof = registry.get(spec.type).sizeof;
+        if (spec.arrayLength === 1)
+            return Struct.writeValue(data, position, value, spec.type, isLittleEndian, undefined, registry);
+
+        const length = Struct.#arrayLength(spec, parent);
+        if (!Array.isArray(value) || value.length !== length)
+            throw new RangeError(`Array '${spec.name}' has ${length} elements, got ${Array.isArray(value) ? value.length : 'a ' + typeof value}.`);
+        value.forEach((offset, i) => Struct.writeValue(data, position + i * sizeof, offset, spec.type, isLittleEndian, undefined, registry));
+        return length * sizeof;
+    }
+
+    // Offset of a member in the struct viewed at `position`, computed from the sizes of the members before it, or undefined if it is not present.
+    #viewOffset(view, data, position, isLittleEndian, index) {
+        let offset = 0;
+        for (let i = 0; i <= index; i++) {
+            const prop = this.#props[i];
+            if (!Struct.#isPresent(prop, view))
+                continue;
+            offset = Struct.#memberOffset(prop, offset);
+            if (i === index)
+                return offset;
+            offset += Struct.#specSize(prop, this.#registry) ?? Struct.#readMember(data, position + offset, prop, view, isLittleEndian, this.#registry).count;
+        }
+        return undefined;
+    }
+
+    // The names of the members which the presence, size or byte order of other members depend on.
+    #layoutDependencies() {
+        let ret = new Set;
+        for (const prop of this.#props) {
+            for (const spec of [prop, ...(prop.cases ?? [])]) {
+                if (typeof spec.arrayLength === 'string')
+                    ret.add(spec.arrayLength);
+                if (typeof spec.endianFrom !== 'undefined')
+                    ret.add(spec.endianFrom);
+            }
+            for (const source of [prop.switchOn, prop.condition].filter(source => typeof source !== 'undefined'))
+                Struct.#expression(source).identifiers.forEach(identifier => ret.add(identifier));
+        }
+        return ret;
+    }
+
+    // Makes a write to member `name` of a view, undoing it and throwing if it changes the layout of the struct: the offsets, variants,
+    // array lengths or byte orders of its members.
+    #keepLayout(view, data, position, isLittleEndian, member, name, write) {
+        const layout = () => {
+            try {
+                return JSON.stringify(this.#props.map((prop, index) => {
+                    const offset = this.#viewOffset(view, data, position, isLittleEndian, index);
+                    if (typeof offset === 'undefined')
+                        return null;
+                    const spec = prop.type === 'switch' ? Struct.#selectCase(prop, view) : prop;
+                    return [offset, spec.type, Struct.#arrayLength(spec, view), Struct.#memberEndian(spec, view, isLittleEndian)];
+                }));
+            } catch {
+                return undefined;
+            }
+        };
+        const size = Struct.#specSize(member.spec, this.#registry) ?? Struct.#readMember(data, member.position, member.spec, view, isLittleEndian, this.#registry).count;
+        const bytes = new Uint8Array(data.buffer, data.byteOffset + member.position, size);
+        const before = { bytes: bytes.slice(), layout: layout() };
+        write();
+        if (layout() === before.layout)
+            return;
+        bytes.set(before.bytes);
+        throw new Error(`Cannot change member '${name}' of a view of '${this.#name}' in a way which changes the layout of the other members.`);
+    }
+
+    #viewMember(parent, data, position, spec, isLittleEndian, guard) {
+        if (spec.arrayLength === 1)
+            return Struct.#viewValue(data, position, spec.type, isLittleEndian, spec.options, this.#registry, guard);
+
+        const length = Struct.#arrayLength(spec, parent);
+        const sizeof = Struct.#typeSize(spec.type, spec.options, this.#registry);
+        const elementPosition = (index) => {
+            if (typeof sizeof === 'number')
+                return position + index * sizeof;
+            let ret = position;
+            for (let i = 0; i < index; i++)
+                ret += Struct.readValue(data, ret, spec.type, isLittleEndian, spec.options, this.#registry).count;
+            return ret;
+        };
+        const isNumber = (key) => typeof key === 'string' && /^(0|[1-9][0-9]*)$/.test(key);
+        const isIndex = (key) => isNumber(key) && Number(key) < length;
+
+        return new Proxy(new Array(length), {
+            get: (target, key, receiver) => isIndex(key)
+                ? Struct.#viewValue(data, elementPosition(Number(key)), spec.type, isLittleEndian, spec.options, this.#registry, guard)
+                : Reflect.get(target, key, receiver),
+            set: (target, key, value) => {
+                if (isNumber(key) && !isIndex(key))
+                    throw new RangeError(`Index ${key} is outside the bounds of array '${spec.name}' of length ${length}.`);
+                if (!isIndex(key))
+                    return false;
+                const at = elementPosition(Number(key));
+                const write = (view, pos) => Struct.writeValue(view, pos, value, spec.type, isLittleEndian, spec.options, this.#registry);
+                guard(() => {
+                    if (typeof sizeof === 'number')
+                        write(data, at);
+                    else
+                        this.#overwrite(data, at, Struct.readValue(data, at, spec.type, isLittleEndian, spec.options, this.#registry).count, `${spec.name}[${key}]`, write);
+                });
+                return true;
+            },
+            has: (target, key) => isIndex(key) || Reflect.has(target, key),
+            ownKeys: () => [...Array.from({length}, (_, i) => String(i)), 'length'],
+            getOwnPropertyDescriptor: (target, key) => isIndex(key)
+                ? { value: Struct.#viewValue(data, elementPosition(Number(key)), spec.type, isLittleEndian, spec.options, this.#registry, guard), writable: true, enumerable: true, configurable: true }
+                : Reflect.getOwnPropertyDescriptor(target, key),
+            deleteProperty: () => false,
+            defineProperty: () => false,
+        });
+    }
+
+    static #viewValue(data, position, type, isLittleEndian, options, registry, guard) {
+        const t = registry.get(type);
+        if (t instanceof Struct)
+            return t.#view(data, position, isLittleEndian, guard);
+        if (bitfieldPattern.test(type) && t === StructRegistry.builtins.get(type))
+            return Struct.#bitfieldView(data, position, type, isLittleEndian, options, registry, guard);
+        return Struct.readValue(data, position, type, isLittleEndian, options, registry).value;
+    }
+
+    static #bitfieldView(data, position, type, isLittleEndian, options, registry, guard) {
+        const read = () => Struct.readValue(data, position, type, isLittleEndian, options, registry).value;
+        let ret = new Object;
+        for (const name of ['value', ...Object.keys(options ?? {})]) {
+            Object.defineProperty(ret, name, {
+                get: () => read()[name],
+                set: (value) => {
+                    const bitfield = read();
+                    bitfield[name] = value;
+                    guard(() => Struct.writeValue(data, position, bitfield, type, isLittleEndian, options, registry));
+                },
+                enumerable: !name.startsWith('#'),
+            });
+        }
+        Object.defineProperty(ret, 'toJSON', { value: () => read().toJSON() });
+        return Object.seal(ret);
+    }
+
+    // Writes a value of variable size over one of `size` bytes, first into a scratch buffer of that size so that a value of another size is not partially written.
+    #overwrite(data, position, size, name, write) {
+        const scratch = new DataView(new ArrayBuffer(size));
+        let count;
+        try {
+            count = write(scratch, 0);
+        } catch (e) {
+            const cause = e instanceof StructError ? e.cause : e;
+            if (cause instanceof OutOfBoundsError)
+                throw new RangeError(`Cannot resize member '${name}' of a view of '${this.#name}' from ${size} bytes.`, {cause: e});
+            throw e;
+        }
+        if (count !== size)
+            throw new RangeError(`Cannot resize member '${name}' of a view of '${this.#name}' from ${size} to ${count} bytes.`);
+        new Uint8Array(data.buffer, data.byteOffset + position, size).set(new Uint8Array(scratch.buffer));
+    }
+
+    /**
+     * Returns an annotated hex dump of an instance of the struct in a DataView, labelling the bytes of each member with its path, type
+     * and decoded value. The members of nested structs and of arrays of structs are listed one by one, other arrays as a whole, and the
+     * fields of bitfields bit by bit. Padding bytes have entries of their own.
+     * @param {DataView} data - The DataView containing the binary data.
+     * @param {number} [position=0] - The offset of the struct in the DataView.
+     * @param {Object} [options] - Dump options.
+     * @param {boolean} [options.isLittleEndian=false] - Whether to use little-endian byte order.
+     * @param {'text'|'entries'} [options.format='text'] - Whether to return the dump as text or as an array of entries for tooling.
+     * @param {boolean} [options.colors=false] - Whether to color the text with ANSI escape codes, for terminals.
+     * @returns {string|Array.<{path: string, offset: number, size: number, type: string, bytes: Uint8Array, value: *, fields: (Array|undefined)}>}
+     * The text of the dump, or one entry per member (and padding) in order of offset in the DataView. Pointers are listed as the offsets
+     * they hold, and bitfields as their whole value with their `fields` as `{name, bit, size, bits, value}`, `bit` counted from the most
+     * significant bit. Padding entries have the type 'padding' and the path of their struct.
+     * @throws {TypeError} If `data` is not a DataView.
+     * @throws {Error} If the format is invalid.
+     * @throws {StructError} If a member cannot be read.
+     */
+    dump(data, position = 0, options = {}) {
+        if (!DataView.prototype.isPrototypeOf(data))
+            throw new TypeError('Parameter data is not of type DataView.');
+        const { isLittleEndian = false, format = 'text', colors = false } = options;
+        if (format !== 'text' && format !== 'entries')
+            throw new Error(`Invalid dump format '${format}', expected 'text' or 'entries'.`);
+
+        let entries = new Array;
+        Struct.#dumpStruct(data, position, this, isLittleEndian, this.#name, entries);
+        return format === 'entries' ? entries : formatDump(entries, colors);
+    }
+
+    // Adds the entries of an instance of a struct at `position` to `entries`, and returns its size and value.
+    static #dumpStruct(data, position, struct, isLittleEndian, path, entries) {
+        let offset = 0;
+        let ret = {};
+        const pad = (to) => {
+            if (to > offset)
+                entries.push(Struct.#dumpEntry(data, position + offset, to - offset, path, 'padding'));
+            offset = to;
+        };
+        for (const prop of struct.#props) {
+            try {
+                if (!Struct.#isPresent(prop, ret))
+                    continue;
+                pad(Struct.#memberOffset(prop, offset));
+                const spec = prop.type === 'switch' ? Struct.#selectCase(prop, ret) : prop;
+                const memberLittleEndian = Struct.#memberEndian(spec, ret, isLittleEndian);
+                const read = Struct.#dumpMember(data, position + offset, spec, ret, memberLittleEndian, struct.#registry, `${path}.${prop.name}`, entries);
+                offset += read.count;
+                ret[prop.name] = read.value;
+            } catch (e) {
+                throw StructError.from(e, 'read', prop.type, position + offset).within(`.${prop.name}`, struct.#name);
+            }
+        }
+        pad(alignUp(offset + struct.#trailingPadding, struct.alignment));
+        return {count: offset, value: ret};
+    }
+
+    // Adds the entries of a member at `position` to `entries`: one for a value or an array of values, or those of the members of its structs.
+    static #dumpMember(data, position, spec, parent, isLittleEndian, registry, path, entries) {
+        const type = registry.get(spec.type);
+        const readValue = (at, elementPath) => type instanceof Struct
+            ? Struct.#dumpStruct(data, at, type, isLittleEndian, elementPath, entries)
+            : Struct.readValue(data, at, spec.type, isLittleEndian, spec.options, registry);
+        let ret;
+        if (spec.arrayLength === 1)
+            ret = readValue(position, path);
+        else {
+            const length = Struct.#arrayLength(spec, parent);
+            ret = {count: 0, value: []};
+            for (let i = 0; i < length; i++) {
+                try {
+                    const read = readValue(position + ret.count, `${path}[${i}]`);
+                    ret.count += read.count;
+                    ret.value.push(read.value);
+                } catch (e) {
+                    throw StructError.from(e, 'read', spec.type, position + ret.count).within(`[${i}]`);
+                }
+            }
+        }
+        if (type instanceof Struct)
+            return ret;
+
+        let name = type?.pointer === true ? `${spec.type}<${spec.options.target}>` : spec.type;
+        if (spec.arrayLength !== 1)
+            name += `[${spec.arrayLength}]`;
+        if (!bitfieldPattern.test(spec.type)) {
+            entries.push(Struct.#dumpEntry(data, position, ret.count, path, name, ret.value));
+            return ret;
+        }
+        const value = spec.arrayLength === 1 ? ret.value.value : ret.value.map(bitfield => bitfield.value);
+        entries.push(Struct.#dumpEntry(data, position, ret.count, path, name, value, spec.arrayLength === 1 ? Struct.#bitfieldFields(spec, value) : undefined));
+        return ret;
+    }
+
+    // The fields of a bitfield member, with their bits (from the most significant bit of `value`) and their values.
+    static #bitfieldFields(spec, value) {
+        const size = parseInt(bitfieldPattern.exec(spec.type)[1]);
+        const bits = BigInt.asUintN(size, BigInt(value)).toString(2).padStart(size, '0');
+        let ret = new Array;
+        let bit = 0;
+        for (const [name, length] of Object.entries(spec.options ?? {})) {
+            const fieldBits = bits.slice(bit, bit + length);
+            ret.push({name, bit, size: length, bits: fieldBits, value: parseInt(fieldBits, 2)});
+            bit += length;
+        }
+        return ret;
+    }
+
+    static #dumpEntry(data, position, size, path, type, value, fields) {
+        let ret = {path, offset: position, size, type, bytes: new Uint8Array(data.buffer, data.byteOffset + position, size).slice(), value};
+        if (typeof fields !== 'undefined')
+            ret.fields = fields;
+        return ret;
+    }
+
+    /**
+     * Generates read and write functions specialized for the struct (with `new Function`), which are then used instead of the generic
+     * member-by-member implementation by `read`, `write` and every other way of reading or writing the struct, including as a nested member.
+     * Members of primitive types are read and written with inlined DataView calls, at constant offsets up to the first member of variable size.
+     * Other members are still read and written through `Struct.readValue` and `Struct.writeValue`; nested structs can be compiled too.
+     * @returns {Struct} The struct (for chaining).
+     */
+    compile() {
+        if (typeof this.#compiled !== 'undefined')
+            return this;
+
+        const lib = {
+            arrayLength: (prop, value) => Struct.#arrayLength(prop, value),
+            fillPadding: (data, position, from, to) => Struct.#fillPadding(data, position, from, to),
+            checkConstant: (prop, value, position, options) => Struct.#checkConstant(this, prop, value, position, options),
+            fillConstants: value => Struct.#fillConstants(this, value),
+            clearChecksums: value => Struct.#clearChecksums(this, value),
+            verifyChecksums: (data, position, value, isLittleEndian, options) => Struct.#verifyChecksums(this, data, position, value, isLittleEndian, options),
+            writeChecksums: (data, position, value, isLittleEndian, options) => Struct.#writeChecksums(this, data, position, value, isLittleEndian, options),
+            setMember: (value, key, read) => Struct.#setMember(value, key, read),
+            inferDiscriminators: value => Struct.#inferDiscriminators(this, value),
+            memberOptions: (prop, options) => Struct.#memberOptions(prop, this.#registry, options),
+            readMember: (data, position, prop, parent, isLittleEndian, options, origin) => Struct.#readMember(data, position, prop, parent, isLittleEndian, this.#registry, options, origin),
+            writeMember: (data, position, value, prop, parent, isLittleEndian, options, origin) => Struct.#writeMember(data, position, value, prop, parent, isLittleEndian, this.#registry, options, origin),
+        };
+        const expressions = this.#props.map(prop => typeof prop.condition === 'undefined' ? undefined : Struct.#expression(prop.condition));
+        const factory = new Function('Struct', 'registry', 'props', 'expressions', 'lib', this.#compiledCode());
+        this.#compiled = factory(Struct, this.#registry, this.#props, expressions, lib);
+        return this;
+    }
+
+    #compiledCode() {
+        // The offset of the next member while it is known in advance, and undefined once it is tracked in `count`.
+        let offset = 0;
+        let read = '';
+        let write = '';
+        const toCount = (indent) => {
+            if (typeof offset !== 'number')
+                return;
+            read += `${indent}count = ${offset};\n`;
+            write += `${indent}count = ${offset};\n`;
+            offset = undefined;
+        };
+
+        this.#props.forEach((prop, index) => {
+            let indent = '        ';
+            if (typeof prop.condition !== 'undefined') {
+                toCount(indent);
+                read += `${indent}if (expressions[${index}].evaluate(fromObj)) {\n`;
+                write += `${indent}if (expressions[${index}].evaluate(value)) {\n`;
+                indent += '    ';
+            }
+            if (typeof offset === 'number') {
+                const start = Struct.#memberOffset(prop, offset);
+                if (start > offset) {
+                    write += `${indent}for (let i = ${offset}; i < ${start}; i++)\n`;
+                    write += `${indent}    data.setUint8(position + i, 0);\n`;
+                }
+                offset = start;
+            } else {
+                const start = Struct.#alignCode(prop.padding ?? 0, prop.align ?? 1);
+                if (start !== '') {
+                    read += `${indent}count = ${start};\n`;
+                    write += `${indent}count = lib.fillPadding(data, position, count, ${start});\n`;
+                }
+            }
+            const size = Struct.#specSize(prop, this.#registry);
+            if (typeof size !== 'number')
+                toCount(indent);
+
+            const position = typeof offset === 'number' ? `position + ${offset}` : 'position + count';
+            read += this.#compiledMemberCode(prop, index, position, typeof offset !== 'number', indent, false);
+            if (typeof prop.constant !== 'undefined')
+                read += `${indent}lib.checkConstant(props[${index}], fromObj[${JSON.stringify(prop.name)}], ${position}, options);\n`;
+            write += this.#compiledMemberCode(prop, index, position, typeof offset !== 'number', indent, true);
+            if (typeof offset === 'number')
+                offset += size;
+
+            if (typeof prop.condition !== 'undefined') {
+                read += `        }\n`;
+                write += `        }\n`;
+            }
+        });
+
+        let ret = `return {\n`;
+        ret += `    read(data, position, isLittleEndian, options) {\n`;
+        ret += `        const fromObj = new Object;\n`;
+        ret += `        let count = 0, read, array, end, at;\n`;
+        ret += read;
+        if (this.#checksums.length > 0)
+            ret += `        lib.verifyChecksums(data, position, fromObj, isLittleEndian, options);\n`;
+        if (typeof offset === 'number') {
+            ret += `        return {count: ${alignUp(offset + this.#trailingPadding, this.#alignment)}, value: fromObj};\n`;
+        } else {
+            const trailing = Struct.#alignCode(this.#trailingPadding, this.#alignment);
+            if (trailing !== '')
+                ret += `        count = ${trailing};\n`;
+            ret += `        return {count, value: fromObj};\n`;
+        }
+        ret += `    },\n`;
+
+        ret += `    write(data, position, value, isLittleEndian, options) {\n`;
+        ret += `        if (position < 0${typeof this.#sizeof === 'number' ? ` || position + ${this.#sizeof} > data.byteLength` : ''})\n`;
+        ret += `            throw new RangeError('position is outside the bounds of the DataView.');\n`;
+        ret += `        if (Number.isNaN(position))\n`;
+        ret += `            throw new RangeError('position should not be NaN.');\n`;
+        if (this.#props.some(prop => typeof prop.constant !== 'undefined'))
+            ret += `        value = lib.fillConstants(value);\n`;
+        if (this.#checksums.length > 0)
+            ret += `        value = lib.clearChecksums(value);\n`;
+        if (this.#props.some(prop => prop.type === 'switch'))
+            ret += `        value = lib.inferDiscriminators(value);\n`;
+        ret += `        let count = 0, array, end, at;\n`;
+        ret += write;
+        if (typeof offset === 'number') {
+            const end = alignUp(offset + this.#trailingPadding, this.#alignment);
+            if (end > offset) {
+                ret += `        for (let i = ${offset}; i < ${end}; i++)\n`;
+                ret += `            data.setUint8(position + i, 0);\n`;
+            }
+            if (this.#checksums.length > 0)
+                ret += `        lib.writeChecksums(data, position, value, isLittleEndian, options);\n`;
+            ret += `        return ${end};\n`;
+        } else {
+            const trailing = Struct.#alignCode(this.#trailingPadding, this.#alignment);
+            if (trailing !== '')
+                ret += `        count = lib.fillPadding(data, position, count, ${trailing});\n`;
+            if (this.#checksums.length > 0)
+                ret += `        lib.writeChecksums(data, position, value, isLittleEndian, options);\n`;
+            ret += `        return count;\n`;
+        }
+        ret += `    },\n`;
+        ret += `};\n`;
+        return ret;
+    }
+
+    // Code reading (or writing) one member at `position`, which also advances `count` if `counted`.
+    #compiledMemberCode(prop, index, position, counted, indent, isWrite) {
+        const objName = isWrite ? 'value' : 'fromObj';
+        const member = `${objName}[${JSON.stringify(prop.name)}]`;
+        let ret = '';
+        if (prop.type === 'switch' || this.#registry.get(prop.type)?.pointer === true) {
+            if (isWrite)
+                return `${indent}${counted ? 'count += ' : ''}lib.writeMember(data, ${position}, ${member}, props[${index}], value, isLittleEndian, options, position);\n`;
+            ret += `${indent}read = lib.readMember(data, ${position}, props[${index}], fromObj, isLittleEndian, options, position);\n`;
+            ret += `${indent}lib.setMember(fromObj, ${JSON.stringify(prop.name)}, read);\n`;
+            if (counted)
+                ret += `${indent}count += read.count;\n`;
+            return ret;
+        }
+
+        const endian = Struct.#endianCode(prop, objName);
+        const type = JSON.stringify(prop.type);
+        const options = `(typeof options === 'undefined' ? props[${index}].options : lib.memberOptions(props[${index}], options))`;
+        const inline = Object.hasOwn(compiledPrimitives, prop.type) && this.#registry.get(prop.type) === primitiveTypes[prop.type]
+            ? compiledPrimitives[prop.type] : undefined;
+        const sizeof = primitiveTypes[prop.type]?.sizeof;
+
+        if (prop.arrayLength === 1) {
+            if (typeof inline !== 'undefined') {
+                ret += isWrite ? `${indent}${inline.write(position, member, endian)};\n` : `${indent}${member} = ${inline.read(position, endian)};\n`;
+                if (counted)
+                    ret += `${indent}count += ${sizeof};\n`;
+            } else if (isWrite) {
+                ret += `${indent}${counted ? 'count += ' : ''}Struct.writeValue(data, ${position}, ${member}, ${type}, ${endian}, ${options}, registry);\n`;
+            } else {
+                ret += `${indent}read = Struct.readValue(data, ${position}, ${type}, ${endian}, ${options}, registry);\n`;
+                ret += `${indent}${member} = read.value;\n`;
+                if (counted)
+                    ret += `${indent}count += read.count;\n`;
+            }
+            return ret;
+        }
+
+        ret += `${indent}end = ${typeof prop.arrayLength === 'number' ? prop.arrayLength : `lib.arrayLength(props[${index}], ${objName})`};\n`;
+        if (isWrite) {
+            ret += `${indent}array = ${member};\n`;
+            if (typeof prop.arrayLength === 'string') {
+                ret += `${indent}if (array.length !== end)\n`;
+                ret += `${indent}    throw new RangeError(\`Array '${prop.name}' has \${array.length} elements but '${prop.arrayLength}' is \${end}.\`);\n`;
+            }
+        } else {
+            ret += `${indent}array = new Array;\n`;
+        }
+        if (typeof inline !== 'undefined') {
+            ret += `${indent}for (let i = 0; i < end; i++)\n`;
+            ret += isWrite
+                ? `${indent}    ${inline.write(`${position} + i * ${sizeof}`, 'array[i]', endian)};\n`
+                : `${indent}    array.push(${inline.read(`${position} + i * ${sizeof}`, endian)});\n`;
+            if (counted)
+                ret += `${indent}count += end * ${sizeof};\n`;
+        } else {
+            ret += `${indent}at = ${position};\n`;
+            ret += `${indent}for (let i = 0; i < end; i++) {\n`;
+            if (isWrite) {
+                ret += `${indent}    at += Struct.writeValue(data, at, array[i], ${type}, ${endian}, ${options}, registry);\n`;
+            } else {
+                ret += `${indent}    const read = Struct.readValue(data, at, ${type}, ${endian}, ${options}, registry);\n`;
+                ret += `${indent}    array.push(read.value);\n`;
+                ret += `${indent}    at += read.count;\n`;
+            }
+            ret += `${indent}}\n`;
+            if (counted)
+                ret += `${indent}count = at - position;\n`;
+        }
+        if (!isWrite)
+            ret += `${indent}${member} = array;\n`;
+        return ret;
     }
 
     /**
      * Statically converts a registered Struct instance to a JavaScript class.
+     * The class of a struct extending another extends the class of that struct, required from `./<name of the base>.js`.
+     * Its members are looked up in the registry it is registered in by its static `register(registry)` method, which the class calls
+     * itself with the default registry if the struct is registered there.
      * @returns The code of a JavaScript class made from the current Struct instance.
      */
     toClass() {
-        let ret = `const { Struct } = require('@urayu/structjs');\n\n`;
+        const base = this.#base?.name;
+        let ret = `const { Struct, StructRegistry } = require('@urayu/structjs');\n`;
+        if (typeof base !== 'undefined')
+            ret += `const ${base} = require('./${base}.js');\n`;
+        ret += `\n`;
+        if (this.props.some(prop => prop.type === 'switch' || typeof prop.condition !== 'undefined'))
+            ret += `${Expression.operateJS}\n\n`;
 
-        ret += `class ${this.name} {\n`;
+        ret += typeof base === 'undefined' ? `class ${this.name} {\n` : `class ${this.name} extends ${base} {\n`;
         ret += `    static get sizeof() { return ${this.sizeof}; }\n`;
-        ret += `    static get name() { return '${this.name}'; }\n\n`;
+        ret += `    static get name() { return '${this.name}'; }\n`;
+        if (this.alignment > 1)
+            ret += `    static get alignment() { return ${this.alignment}; }\n`;
+        ret += `    // The registry the class is registered in, where the types of its members are looked up.\n`;
+        ret += `    static registry = StructRegistry.default;\n`;
+        ret += `\n`;
 
-        for (let prop of this.props) {
+        // Fields declared again would be reset after the constructor of the base class sets them.
+        const ownProps = this.props.slice(this.#base?.props.length ?? 0);
+        for (let prop of ownProps) {
             ret += `    ${prop.name};\n`;
         }
         ret += `\n`;
 
-        let pos = 0;
-        ret += `    static read(data, position, isLittleEndian = false) {\n`;
-        ret += `        let fromObj = new Object;\n`;
-        for (let prop of this.props) {
-            if (prop.arrayLength > 1) {
-                ret += `        fromObj['${prop.name}'] = new Array;\n`;
-                for (let i = 0; i < prop.arrayLength; i++) {
-                    ret += `        fromObj['${prop.name}'].push(Struct.readValue(data, position + ${pos}, '${prop.type}', isLittleEndian, ${JSON.stringify(prop.options)}).value);\n`;
-                    pos += Struct.loadedStructs[prop.type].sizeof;
+        if (typeof this.sizeof === 'number' && this.props.every(prop => prop.type !== 'switch')) {
+            let pos = 0;
+            ret += `    static read(data, position, isLittleEndian = false) {\n`;
+            ret += `        const registry = ${this.name}.registry;\n`;
+            ret += `        let fromObj = new Object;\n`;
+            for (let prop of this.props) {
+                pos = Struct.#memberOffset(prop, pos);
+                if (prop.arrayLength > 1) {
+                    ret += `        fromObj['${prop.name}'] = new Array;\n`;
+                    for (let i = 0; i < prop.arrayLength; i++) {
+                        ret += `        fromObj['${prop.name}'].push(Struct.readValue(data, position + ${pos}, '${prop.type}', ${Struct.#endianCode(prop, 'fromObj')}, ${JSON.stringify(prop.options)}, registry).value);\n`;
+                        pos += Struct.#typeSize(prop.type, prop.options, this.registry);
+                    }
+                } else {
+                    ret += `        fromObj['${prop.name}'] = Struct.readValue(data, position + ${pos}, '${prop.type}', ${Struct.#endianCode(prop, 'fromObj')}, ${JSON.stringify(prop.options)}, registry).value;\n`;
+                    pos += Struct.#typeSize(prop.type, prop.options, this.registry);
                 }
-            } else {
-                ret += `        fromObj['${prop.name}'] = Struct.readValue(data, position + ${pos}, '${prop.type}', isLittleEndian, ${JSON.stringify(prop.options)}).value;\n`;
-                pos += Struct.loadedStructs[prop.type].sizeof;
             }
-        }
-        ret += `\n`;
-        ret += `        return new ${this.name}({fromObj});\n`;
-        ret += `    }\n\n`;
+            ret += `\n`;
+            ret += `        return new ${this.name}({fromObj});\n`;
+            ret += `    }\n\n`;
 
-        pos = 0;
-        ret += `    static write(data, position, value, isLittleEndian = false) {\n`;
-        ret += `        if (position < 0 || position + ${this.name}.sizeof > data.byteLength)\n`;
-        ret += `            throw new RangeError('position is outside the bounds of the DataView');\n`
-        for (let prop of this.props) {
-            if (prop.arrayLength > 1) {
-                for (let i = 0; i < prop.arrayLength; i++) {
-                    ret += `        Struct.writeValue(data, position + ${pos}, value.${prop.name}[${i}], '${prop.type}', isLittleEndian, ${JSON.stringify(prop.options)});\n`;
-                    pos += Struct.loadedStructs[prop.type].sizeof;
+            pos = 0;
+            ret += `    static write(data, position, value, isLittleEndian = false) {\n`;
+            ret += `        if (position < 0 || position + ${this.name}.sizeof > data.byteLength)\n`;
+            ret += `            throw new RangeError('position is outside the bounds of the DataView');\n`;
+            ret += `        const registry = ${this.name}.registry;\n`;
+            if (this.#hasPadding())
+                ret += `        new Uint8Array(data.buffer, data.byteOffset + position, ${this.name}.sizeof).fill(0);\n`;
+            for (let prop of this.props) {
+                pos = Struct.#memberOffset(prop, pos);
+                if (prop.arrayLength > 1) {
+                    for (let i = 0; i < prop.arrayLength; i++) {
+                        ret += `        Struct.writeValue(data, position + ${pos}, value.${prop.name}[${i}], '${prop.type}', ${Struct.#endianCode(prop, 'value')}, ${JSON.stringify(prop.options)}, registry);\n`;
+                        pos += Struct.#typeSize(prop.type, prop.options, this.registry);
+                    }
+                } else {
+                    ret += `        Struct.writeValue(data, position + ${pos}, value.${prop.name}, '${prop.type}', ${Struct.#endianCode(prop, 'value')}, ${JSON.stringify(prop.options)}, registry);\n`;
+                    pos += Struct.#typeSize(prop.type, prop.options, this.registry);
                 }
-            } else {
-                ret += `        Struct.writeValue(data, position + ${pos}, value.${prop.name}, '${prop.type}', isLittleEndian, ${JSON.stringify(prop.options)});\n`;
-                pos += Struct.loadedStructs[prop.type].sizeof;
             }
+            ret += `        return ${this.name}.sizeof;\n`;
+            ret += `    }\n\n`;
+        } else {
+            ret += this.#variableSizeClassMethods();
         }
-        ret += `        return ${this.name}.sizeof;\n`;
-        ret += `    }\n\n`;
 
         ret += `    write(data, position, isLittleEndian = false) {\n`;
         ret += `        return ${this.name}.write(data, position, this, isLittleEndian);\n`;
         ret += `    }\n\n`;
 
         ret += `    constructor(options) {\n`
+        if (typeof base !== 'undefined')
+            ret += `        super(options);\n`;
         ret += `        if (typeof options.fromObj === 'object') {\n`;
-        for (let prop of this.props) {
+        for (let prop of ownProps) {
             ret += `            this.${prop.name} = options.fromObj['${prop.name}'];\n`;
         }
         ret += `        }\n`
         ret += `    }\n\n`;
 
-        ret += `    static {\n`;
-        ret += `        Struct.registerFromClass(${this.name});\n`;
+        ret += `    static register(registry = StructRegistry.default) {\n`;
+        ret += `        ${this.name}.registry = registry;\n`;
+        ret += `        Struct.registerFromClass(${this.name}, registry);\n`;
+        ret += `        return ${this.name};\n`;
         ret += `    }\n`;
+        // Classes of structs in other registries are registered by calling `register` with the registry.
+        if (this.#registry === StructRegistry.default) {
+            ret += `\n`;
+            ret += `    static {\n`;
+            ret += `        ${this.name}.register();\n`;
+            ret += `    }\n`;
+        }
 
         ret += '}\n\n';
 
         ret += `module.exports = ${this.name};`;
         return ret;
     }
+
+    #hasPadding() {
+        return this.#trailingPadding > 0 || this.#alignment > 1 || this.props.some(prop => typeof prop.padding !== 'undefined');
+    }
+
+    static #alignCode(padding, align) {
+        if (padding === 0 && align === 1)
+            return '';
+        if (align === 1)
+            return `count + ${padding}`;
+        if (padding === 0)
+            return `Math.ceil(count / ${align}) * ${align}`;
+        return `Math.ceil((count + ${padding}) / ${align}) * ${align}`;
+    }
+
+    static #endianCode(prop, objName) {
+        if (typeof prop.endian !== 'undefined')
+            return String(prop.endian === 'little');
+        if (typeof prop.endianFrom !== 'undefined')
+            return `Struct.byteOrderFromMarker(${objName}['${prop.endianFrom}'])`;
+        return 'isLittleEndian';
+    }
+
+    #variableSizeClassMethods() {
+        const trailing = Struct.#alignCode(this.#trailingPadding, this.#alignment);
+        let ret = '';
+        ret += `    static readWithCount(data, position, isLittleEndian = false) {\n`;
+        ret += `        const registry = ${this.name}.registry;\n`;
+        ret += `        let fromObj = new Object;\n`;
+        ret += `        let count = 0;\n`;
+        ret += `        let read;\n`;
+        for (let prop of this.props) {
+            const indent = typeof prop.condition === 'undefined' ? '        ' : '            ';
+            if (typeof prop.condition !== 'undefined')
+                ret += `        if (${Struct.#expression(prop.condition).toJS('fromObj')}) {\n`;
+            const offset = Struct.#alignCode(prop.padding ?? 0, prop.align ?? 1);
+            if (offset !== '')
+                ret += `${indent}count = ${offset};\n`;
+            ret += Struct.#readMemberCode(prop, prop.name, indent);
+            if (typeof prop.condition !== 'undefined')
+                ret += `        }\n`;
+        }
+        if (trailing !== '')
+            ret += `        count = ${trailing};\n`;
+        ret += `\n`;
+        ret += `        return {count, value: new ${this.name}({fromObj})};\n`;
+        ret += `    }\n\n`;
+
+        ret += `    static read(data, position, isLittleEndian = false) {\n`;
+        ret += `        return ${this.name}.readWithCount(data, position, isLittleEndian).value;\n`;
+        ret += `    }\n\n`;
+
+        ret += `    static write(data, position, value, isLittleEndian = false) {\n`;
+        ret += `        const registry = ${this.name}.registry;\n`;
+        ret += `        let count = 0;\n`;
+        for (let prop of this.props) {
+            const indent = typeof prop.condition === 'undefined' ? '        ' : '            ';
+            if (typeof prop.condition !== 'undefined')
+                ret += `        if (${Struct.#expression(prop.condition).toJS('value')}) {\n`;
+            const offset = Struct.#alignCode(prop.padding ?? 0, prop.align ?? 1);
+            if (offset !== '') {
+                ret += `${indent}for (const end = ${offset}; count < end; count++)\n`;
+                ret += `${indent}    data.setUint8(position + count, 0);\n`;
+            }
+            ret += Struct.#writeMemberCode(prop, prop.name, indent);
+            if (typeof prop.condition !== 'undefined')
+                ret += `        }\n`;
+        }
+        if (trailing !== '') {
+            ret += `        for (const end = ${trailing}; count < end; count++)\n`;
+            ret += `            data.setUint8(position + count, 0);\n`;
+        }
+        ret += `        return count;\n`;
+        ret += `    }\n\n`;
+        return ret;
+    }
+
+    static #switchCode(prop, objName, name, indent, memberCode) {
+        let ret = '';
+        const cases = prop.cases.filter(c => !c.default);
+        const defaultCase = prop.cases.find(c => c.default);
+        cases.forEach((c, i) => {
+            const discriminator = Struct.#expression(prop.switchOn).toJS(objName);
+            const condition = `operate('==', ${discriminator}, ${JSON.stringify(c.value)})`;
+            ret += `${indent}${i === 0 ? '' : '} else '}if (${condition}) {\n`;
+            ret += memberCode(c, name, indent + '    ');
+        });
+        ret += `${indent}} else {\n`;
+        if (typeof defaultCase !== 'undefined')
+            ret += memberCode(defaultCase, name, indent + '    ');
+        else
+            ret += `${indent}    throw new Error(\`No case of switch '${name}' matches ${prop.switchOn} = \${${Struct.#expression(prop.switchOn).toJS(objName)}}.\`);\n`;
+        ret += `${indent}}\n`;
+        return ret;
+    }
+
+    static #readMemberCode(prop, name, indent) {
+        if (prop.type === 'switch')
+            return Struct.#switchCode(prop, 'fromObj', name, indent, Struct.#readMemberCode);
+
+        let ret = '';
+        const readCall = `Struct.readValue(data, position + count, '${prop.type}', ${Struct.#endianCode(prop, 'fromObj')}, ${JSON.stringify(prop.options)}, registry)`;
+        if (prop.arrayLength === 1) {
+            ret += `${indent}read = ${readCall};\n`;
+            ret += `${indent}fromObj['${name}'] = read.value;\n`;
+            ret += `${indent}count += read.count;\n`;
+        } else {
+            const length = typeof prop.arrayLength === 'number' ? prop.arrayLength : `Number(fromObj['${prop.arrayLength}'])`;
+            ret += `${indent}fromObj['${name}'] = new Array;\n`;
+            ret += `${indent}for (let i = 0; i < ${length}; i++) {\n`;
+            ret += `${indent}    read = ${readCall};\n`;
+            ret += `${indent}    fromObj['${name}'].push(read.value);\n`;
+            ret += `${indent}    count += read.count;\n`;
+            ret += `${indent}}\n`;
+        }
+        return ret;
+    }
+
+    static #writeMemberCode(prop, name, indent) {
+        if (prop.type === 'switch')
+            return Struct.#switchCode(prop, 'value', name, indent, Struct.#writeMemberCode);
+
+        let ret = '';
+        if (prop.arrayLength === 1) {
+            ret += `${indent}count += Struct.writeValue(data, position + count, value.${name}, '${prop.type}', ${Struct.#endianCode(prop, 'value')}, ${JSON.stringify(prop.options)}, registry);\n`;
+        } else {
+            const length = typeof prop.arrayLength === 'number' ? prop.arrayLength : `Number(value.${prop.arrayLength})`;
+            ret += `${indent}for (let i = 0; i < ${length}; i++)\n`;
+            ret += `${indent}    count += Struct.writeValue(data, position + count, value.${name}[i], '${prop.type}', ${Struct.#endianCode(prop, 'value')}, ${JSON.stringify(prop.options)}, registry);\n`;
+        }
+        return ret;
+    }
+
+    /**
+     * Converts the struct, and the structs nested in it, to packed C struct declarations checked with `static_assert`.
+     * Padding bytes are declared as explicit `uint8_t` arrays, tagged unions as unions and bitfields as C bitfields (in GCC's little-endian layout).
+     * Other nested types providing a `toCHeader` method (such as enums) are declared with it.
+     * @returns {string} The code of a C header declaring the struct.
+     * @throws {Error} If the struct or a struct nested in it has a variable size.
+     */
+    toCHeader() {
+        const types = this.#nestedTypes();
+        const structs = types.filter(type => type instanceof Struct);
+        const guard = `${this.name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_H`;
+        let ret = `#ifndef ${guard}\n#define ${guard}\n\n`;
+        ret += `#include <assert.h>\n#include <stdint.h>\n\n`;
+        for (const type of types.filter(type => !(type instanceof Struct)))
+            ret += type.toCHeader() + `\n`;
+        ret += `#pragma pack(push, 1)\n`;
+        for (const struct of structs)
+            ret += struct.#cStruct() + `\n`;
+        ret += `#pragma pack(pop)\n\n`;
+        for (const struct of structs)
+            ret += `static_assert(sizeof(${struct.name}) == ${struct.sizeof}, "${struct.name} should be ${struct.sizeof} bytes");\n`;
+        ret += `\n#endif\n`;
+        return ret;
+    }
+
+    /**
+     * Converts the struct, and the structs nested in it, to TypeScript interfaces describing the objects returned by `read()`.
+     * Other nested types providing a `toTypeScript` method (such as enums) are declared with it.
+     * @returns {string} The code of the TypeScript declarations.
+     */
+    toTypeScript() {
+        return this.#nestedTypes(true).map(type => type instanceof Struct ? type.#tsInterface() : type.toTypeScript()).join('\n');
+    }
+
+    /**
+     * Describes the struct as a JSON schema, which `Struct.fromSchema` turns back into the same struct, e.g. in another registry or program.
+     * The types of its members are referred to by name; `StructRegistry.prototype.toSchema()` describes all the structs of a registry at once.
+     * @returns {{kind: 'struct', version: number, name: string, extends: (string|undefined), lenient: (boolean|undefined), members: Array.<Object>, trailingPadding: (number|undefined), alignment: (number|undefined)}}
+     * The schema, whose members are the struct's `props` (after those of the struct it extends) with BigInt constants as decimal strings.
+     */
+    toSchema() {
+        let ret = { kind: 'struct', version: StructRegistry.schemaVersion, name: this.#name };
+        if (typeof this.#base !== 'undefined')
+            ret.extends = this.#base.name;
+        if (typeof this.#options.lenient !== 'undefined')
+            ret.lenient = this.#options.lenient;
+        const props = this.#props.slice(this.#base?.props.length ?? 0);
+        ret.members = JSON.parse(JSON.stringify(props, (key, value) => typeof value === 'bigint' ? String(value) : value));
+        if (this.#trailingPadding > 0)
+            ret.trailingPadding = this.#trailingPadding;
+        if (this.#alignment > 1)
+            ret.alignment = this.#alignment;
+        return ret;
+    }
+
+    // Creates a struct from its schema, through the struct definition the schema describes.
+    static #fromStructSchema(schema, options) {
+        if ((schema.kind ?? 'struct') !== 'struct' || typeof schema.name !== 'string' || !Array.isArray(schema.members))
+            throw new Error(`Invalid struct schema '${schema.name}'.`);
+        const extension = typeof schema.extends === 'undefined' ? {} : {extends: schema.extends};
+        const base = typeof schema.extends === 'undefined' ? undefined : Struct.#baseStruct(schema.extends, options.registry ?? StructRegistry.default);
+        // The padding of the first member, or the trailing padding, includes the trailing padding of the base, which the definition continues after.
+        let inherited = base?.#trailingPadding ?? 0;
+        const ownPadding = (padding = 0) => {
+            const ret = padding - inherited;
+            inherited = 0;
+            return ret;
+        };
+
+        let lines = new Array;
+        let endianFrom;
+        for (const member of schema.members) {
+            const specs = member.type === 'switch' ? member.cases ?? [] : [member];
+            if (!identifierPattern.test(member.name) || !specs.every(spec => identifierPattern.test(spec.type) && !spec.type.startsWith('#')))
+                throw new Error(`Invalid member ${JSON.stringify(member)} in schema of '${schema.name}'.`);
+            const padding = ownPadding(member.padding);
+            if (padding > 0)
+                lines.push(`pad[${padding}]`);
+            if (member.align > 1)
+                lines.push(`align ${member.align}`);
+            // Byte orders are given by suffixes, but those taken from a marker member need a directive, which applies to the members after it.
+            const marker = specs.find(spec => typeof spec.endianFrom !== 'undefined')?.endianFrom;
+            if (typeof marker !== 'undefined' && marker !== endianFrom)
+                lines.push(`@endian ${marker}`);
+            else if (typeof endianFrom !== 'undefined' && specs.some(spec => typeof spec.endian === 'undefined' && typeof spec.endianFrom === 'undefined'))
+                throw new Error(`Member '${member.name}' in schema of '${schema.name}' needs a byte order, after members taking theirs from '${endianFrom}'.`);
+            endianFrom = marker ?? endianFrom;
+
+            let line = typeof member.condition === 'undefined' ? '' : `if (${member.condition}) `;
+            if (member.type === 'switch') {
+                const cases = member.cases.map(c => `${c.default ? 'default' : JSON.stringify(c.value)}: ${Struct.#schemaType(c)}`);
+                line += `switch(${member.switchOn}) { ${cases.join(', ')} }`;
+            } else {
+                line += Struct.#schemaType(member);
+            }
+            line += ` ${member.name}`;
+            if (typeof member.constant !== 'undefined') {
+                const bigint = ['u64', 's64'].includes(member.type);
+                const literal = (value) => Array.isArray(value) ? `[${value.map(literal).join(', ')}]`
+                    : typeof value === 'string' && !bigint ? JSON.stringify(value) : String(value);
+                line += ` = ${literal(member.constant)}`;
+            } else if (typeof member.checksum !== 'undefined') {
+                line += ` = ${member.checksum.algorithm}(${member.checksum.from}..${member.checksum.to})`;
+            }
+            if (line.includes('\n'))
+                throw new Error(`Invalid member ${JSON.stringify(member)} in schema of '${schema.name}'.`);
+            lines.push(line);
+        }
+        const trailingPadding = ownPadding(schema.trailingPadding);
+        if (trailingPadding > 0)
+            lines.push(`pad[${trailingPadding}]`);
+        if (schema.alignment > 1)
+            lines.push(`align ${schema.alignment}`);
+
+        const lenient = typeof schema.lenient === 'undefined' ? {} : {lenient: schema.lenient};
+        return new Struct(lines.join('\n'), schema.name, {...lenient, ...extension, ...options});
+    }
+
+    // The type of a member of a schema in a struct definition, e.g. `u32le`, `string{encoding: "latin1"}[16]` or `Bitfield8{a: 1, b: 7}[count]`.
+    static #schemaType(spec) {
+        const { length, ...rest } = spec.options ?? {};
+        const options = spec.type === 'string' ? rest : spec.options ?? {};
+        let ret = spec.type + ({little: 'le', big: 'be'}[spec.endian] ?? '');
+        if (Object.keys(options).length > 0)
+            ret += `{${Object.entries(options).map(([key, value]) => `${key}: ${JSON.stringify(value)}`).join(', ')}}`;
+        const arrayLength = spec.type === 'string' ? length : spec.arrayLength ?? 1;
+        return arrayLength === 1 && spec.type !== 'string' ? ret : `${ret}[${arrayLength}]`;
+    }
+
+    // Orders the types of a registry schema so that each comes after the types of its members declared in the same schema.
+    static #schemaOrder(types) {
+        const byName = new Map(types.map(type => [type.name, type]));
+        let ret = new Array;
+        let visiting = new Set;
+        const visit = (type) => {
+            if (ret.includes(type))
+                return;
+            if (visiting.has(type))
+                throw new Error(`Type '${type.name}' of schema refers to itself through the types of its members.`);
+            visiting.add(type);
+            const members = type.kind === 'enum' ? [] : type.members ?? [];
+            if (byName.has(type.extends))
+                visit(byName.get(type.extends));
+            for (const spec of members.flatMap(member => member.type === 'switch' ? member.cases ?? [] : [member])) {
+                if (byName.has(spec.type))
+                    visit(byName.get(spec.type));
+            }
+            ret.push(type);
+        };
+        types.forEach(visit);
+        return ret;
+    }
+
+    // Returns the structs and generator-aware types (such as enums) nested in this struct (recursively) followed by this struct, each after the types it depends on.
+    // The types pointers point to are included too if `followPointers` is set, pointers to the structs being visited (cycles) aside.
+    #nestedTypes(followPointers = false, ret = new Array, visiting = new Set) {
+        visiting.add(this);
+        for (const prop of this.props) {
+            for (const spec of prop.type === 'switch' ? prop.cases : [prop]) {
+                let type = this.#registry.get(spec.type);
+                if (type?.pointer === true) {
+                    if (!followPointers)
+                        continue;
+                    type = this.#registry.get(spec.options.target);
+                }
+                if (ret.includes(type) || visiting.has(type))
+                    continue;
+                if (type instanceof Struct)
+                    type.#nestedTypes(followPointers, ret, visiting);
+                else if (typeof type?.toCHeader === 'function' || typeof type?.toTypeScript === 'function')
+                    ret.push(type);
+            }
+        }
+        if (!ret.includes(this))
+            ret.push(this);
+        return ret;
+    }
+
+    #cStruct() {
+        if (typeof this.sizeof !== 'number')
+            throw new Error(`Cannot convert struct '${this.name}' of variable size to C.`);
+
+        let ret = `typedef struct {\n`;
+        let offset = 0;
+        let paddingCount = 0;
+        const pad = (to) => {
+            if (to > offset)
+                ret += `    uint8_t _padding${paddingCount++}[${to - offset}];\n`;
+            offset = to;
+        };
+        for (const prop of this.props) {
+            pad(Struct.#memberOffset(prop, offset));
+            ret += this.#cMember(prop, prop.name, '    ');
+            offset += Struct.#specSize(prop, this.#registry);
+        }
+        pad(this.sizeof);
+        ret += `} ${this.name};\n`;
+        return ret;
+    }
+
+    #cMember(spec, name, indent) {
+        const cName = name.replace(/^#/, '_');
+        if (spec.type === 'switch') {
+            let ret = `${indent}union {\n`;
+            for (const c of spec.cases) {
+                const label = c.default ? 'default' : String(c.value).replace(/[^a-zA-Z0-9_]/g, '_');
+                ret += this.#cMember(c, `case_${label}`, indent + '    ');
+            }
+            return ret + `${indent}} ${cName};\n`;
+        }
+        if (spec.type === 'string')
+            return `${indent}char ${cName}[${spec.options.length}];\n`;
+
+        const length = spec.arrayLength === 1 ? '' : `[${spec.arrayLength}]`;
+        if (bitfieldPattern.test(spec.type)) {
+            const bits = parseInt(bitfieldPattern.exec(spec.type)[1]);
+            const fields = Object.entries(spec.options ?? {});
+            if (fields.length === 0 || length !== '')
+                return `${indent}uint${bits}_t ${cName}${length};\n`;
+            // Bitfield members list their fields from the most significant bit, C compilers allocate them from the least significant one.
+            let ret = `${indent}struct {\n`;
+            const unused = bits - fields.reduce((sum, [, width]) => sum + width, 0);
+            if (unused > 0)
+                ret += `${indent}    uint${bits}_t : ${unused};\n`;
+            for (const [field, width] of fields.reverse())
+                ret += `${indent}    uint${bits}_t ${field.startsWith('#') ? '' : field + ' '}: ${width};\n`;
+            return ret + `${indent}} ${cName};\n`;
+        }
+        const type = this.#registry.get(spec.type);
+        if (type?.pointer === true)
+            return `${indent}${cTypes[spec.type]} ${cName}${length}; /* ${spec.type}<${spec.options.target}> */\n`;
+        if (type === primitiveTypes[spec.type] && ['u24', 's24', 'f16', 'bfloat16', 'fixed'].includes(spec.type)) {
+            const [ stored, comment ] = spec.type === 'fixed' ? [spec.options.type, `fixed<${spec.options.type}, ${spec.options.fraction}>`] : [spec.type, spec.type];
+            if (['u24', 's24'].includes(stored))
+                return `${indent}uint8_t ${cName}${length}[3]; /* ${comment} */\n`;
+            return `${indent}${cTypes[stored]} ${cName}${length}; /* ${comment} */\n`;
+        }
+        if (typeof type?.toCHeader === 'function' && !(type instanceof Struct) && typeof cTypes[type.type] === 'string')
+            return `${indent}${cTypes[type.type]} ${cName}${length}; /* enum ${spec.type} */\n`;
+        return `${indent}${cTypes[spec.type] ?? spec.type} ${cName}${length};\n`;
+    }
+
+    #tsInterface() {
+        let ret = `export interface ${this.name} {\n`;
+        for (const prop of this.props) {
+            const name = identifierPattern.test(prop.name) && !prop.name.startsWith('#') ? prop.name : `'${prop.name}'`;
+            ret += `    ${name}${typeof prop.condition === 'undefined' ? '' : '?'}: ${this.#tsType(prop)};\n`;
+        }
+        ret += `}\n`;
+        return ret;
+    }
+
+    #tsType(spec) {
+        if (spec.type === 'switch')
+            return [...new Set(spec.cases.map(c => this.#tsType(c)))].join(' | ');
+
+        let type = tsTypes[spec.type] ?? spec.type;
+        const t = this.#registry.get(spec.type);
+        if (typeof t?.tsType === 'function')
+            type = t.tsType(spec.options);
+        if (t?.pointer === true) {
+            const { target, base, lazy, ...options } = spec.options;
+            type = `${this.#tsType({type: target, arrayLength: 1, options})} | null`;
+        }
+        if (bitfieldPattern.test(spec.type)) {
+            let fields = [`value: ${spec.type === 'Bitfield64' ? 'bigint' : 'number'}`];
+            for (const field of Object.keys(spec.options ?? {})) {
+                if (!field.startsWith('#'))
+                    fields.push(`${field}: number`);
+            }
+            type = `{ ${fields.join('; ')} }`;
+        }
+        if (spec.arrayLength === 1)
+            return type;
+        return type.includes('|') ? `(${type})[]` : `${type}[]`;
+    }
 }
 
 module.exports = Struct;
\ No newline at end of file
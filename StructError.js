@@ -0,0 +1,83 @@
+/**
+ * The error thrown when reading or writing a value fails, locating the member which failed in the value being read or written
+ * (e.g. `Header.entries[3].name`). The original error is kept as the `cause`.
+ */
+class StructError extends Error {
+    #operation;
+    #root;
+    #segments = new Array;
+
+    /**
+     * The name of the type of the member which failed.
+     * @type {string}
+     */
+    type;
+
+    /**
+     * The offset of the member which failed in the DataView, file or stream being read or written.
+     * @type {number}
+     */
+    offset;
+
+    /**
+     * The part of the value decoded before the failure, when read with the `partial` option: the outermost struct, with the members
+     * read so far, including the partially read structs and arrays leading to the member which failed.
+     * @type {Object|undefined}
+     */
+    partial;
+
+    /**
+     * Creates a new StructError for a failure reading or writing a value.
+     * @param {'read'|'write'} operation - Whether the value was being read or written.
+     * @param {string} type - The name of the type of the value.
+     * @param {number} offset - The offset of the value.
+     * @param {Error} cause - The original error.
+     */
+    constructor(operation, type, offset, cause) {
+        super(undefined, {cause});
+        this.#operation = operation;
+        this.#root = type;
+        this.type = type;
+        this.offset = offset;
+    }
+
+    /**
+     * Wraps an error in a StructError, unless it already is one.
+     * @param {Error} error - The error.
+     * @param {'read'|'write'} operation - Whether the value was being read or written.
+     * @param {string} type - The name of the type of the value.
+     * @param {number} offset - The offset of the value.
+     * @returns {StructError} The StructError.
+     */
+    static from(error, operation, type, offset) {
+        return error instanceof StructError ? error : new StructError(operation, type, offset, error);
+    }
+
+    /**
+     * Records the member or array element which the failing value belongs to, as the error propagates through the enclosing values.
+     * @param {string} segment - The member (`.name`) or element (`[3]`) of the enclosing value.
+     * @param {string} [root] - The name of the enclosing struct, if the segment is one of its members.
+     * @returns {StructError} The error (for chaining).
+     */
+    within(segment, root) {
+        this.#segments.unshift(segment);
+        if (typeof root !== 'undefined')
+            this.#root = root;
+        return this;
+    }
+
+    /**
+     * The path of the member which failed, starting from the outermost struct, e.g. `Header.entries[3].name`.
+     * @type {string}
+     * @readonly
+     */
+    get path() { return this.#root + this.#segments.join(''); }
+
+    get name() { return 'StructError'; }
+
+    get message() {
+        return `Cannot ${this.#operation} ${this.path} (${this.type} at offset ${this.offset}): ${this.cause?.message ?? this.cause}`;
+    }
+}
+
+module.exports = StructError;
\ No newline at end of file
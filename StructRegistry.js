@@ -0,0 +1,145 @@
+const primitiveTypes = require('./PrimitiveTypes.js');
+
+/**
+ * A namespace of registered structs and types.
+ * Lookups fall back to the parent registry, so every registry sees the primitive and Bitfield types by default.
+ */
+class StructRegistry {
+    static #builtins;
+    /**
+     * The registry holding the primitive and Bitfield types. It is the default parent of new registries.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    static get builtins() { return StructRegistry.#builtins; }
+
+    static #default;
+    /**
+     * The global registry used when no registry is specified.
+     * @type {StructRegistry}
+     * @readonly
+     */
+    static get default() { return StructRegistry.#default; }
+
+    /**
+     * The version of the JSON schemas made by `toSchema()` and the `toSchema()` methods of structs and enums.
+     * @type {number}
+     * @readonly
+     */
+    static get schemaVersion() { return 1; }
+
+    static {
+        StructRegistry.#builtins = new StructRegistry(null);
+        for (let i in primitiveTypes)
+            StructRegistry.#builtins.register(i, primitiveTypes[i]);
+        StructRegistry.#default = new StructRegistry();
+    }
+
+    #types = new Map;
+    #parent;
+    /**
+     * The registry lookups fall back to, or `null`.
+     * @type {StructRegistry|null}
+     * @readonly
+     */
+    get parent() { return this.#parent; }
+
+    /**
+     * The names of the types registered in this registry (excluding its parents), in registration order.
+     * @type {Array.<string>}
+     * @readonly
+     */
+    get names() { return [...this.#types.keys()]; }
+
+    /**
+     * Creates a new, empty registry.
+     * @param {StructRegistry|null} [parent=StructRegistry.builtins] - The registry lookups fall back to.
+     * @throws {TypeError} If `parent` is neither a StructRegistry nor null.
+     */
+    constructor(parent = StructRegistry.builtins) {
+        if (parent !== null && !(parent instanceof StructRegistry))
+            throw new TypeError('Parameter parent is not of type StructRegistry.');
+        this.#parent = parent;
+    }
+
+    /**
+     * Looks up a type by name in this registry, then in its parents.
+     * @param {string} name - The name of the struct or type.
+     * @returns {Struct|class|Object|undefined} The registered type, or `undefined` if there is none.
+     */
+    get(name) {
+        if (this.#types.has(name))
+            return this.#types.get(name);
+        return this.#parent?.get(name);
+    }
+
+    /**
+     * Whether a type is visible from this registry.
+     * @param {string} name - The name of the struct or type.
+     * @returns {boolean}
+     */
+    has(name) {
+        return typeof this.get(name) !== 'undefined';
+    }
+
+    /**
+     * Registers a type. Structs and classes are usually registered through `new Struct(...)` and `Struct.registerFromClass` instead.
+     * @param {string} name - The name of the type.
+     * @param {Struct|class|Object} type - The type, with at least a `sizeof` property (or a `readWithCount` method) and a `read` method.
+     * @throws {Error} If a type of the same name is already registered in this registry or is a built-in type.
+     */
+    register(name, type) {
+        if (this.#types.has(name) || (this !== StructRegistry.builtins && StructRegistry.builtins?.has(name)))
+            throw new Error(`struct named '${name}' already registered.`);
+        this.#types.set(name, type);
+    }
+
+    /**
+     * Removes a type from this registry. Parent registries are left untouched.
+     * @param {string} name - The name of the type.
+     * @returns {boolean} Whether the type was registered in this registry.
+     */
+    unregister(name) {
+        return this.#types.delete(name);
+    }
+
+    /**
+     * Creates a copy of this registry with the same parent.
+     * Structs are redefined in the copy so that their members refer to the copy's types.
+     * @returns {StructRegistry} The new registry.
+     */
+    clone() {
+        let ret = new StructRegistry(this.#parent);
+        for (const [name, type] of this.#types) {
+            if (typeof type.cloneInto === 'function')
+                type.cloneInto(ret);
+            else
+                ret.register(name, type);
+        }
+        return ret;
+    }
+
+    /**
+     * Describes the structs and enums registered in this registry (excluding its parents) as a JSON schema, which `Struct.fromSchema` loads back.
+     * Types are listed in registration order, after the types their members refer to. Classes and other types without a `toSchema` method
+     * are left out, and have to be registered before the schema is loaded.
+     * @returns {{version: number, types: Array.<Object>}} The schema, ready for `JSON.stringify`.
+     */
+    toSchema() {
+        const types = [...this.#types.values()].filter(type => typeof type.toSchema === 'function');
+        return { version: StructRegistry.schemaVersion, types: types.map(type => type.toSchema()) };
+    }
+
+    /**
+     * Returns all the types visible from this registry, including those of its parents.
+     * @returns {Object.<string, Struct|class|Object>}
+     */
+    toObject() {
+        let ret = this.#parent === null ? new Object : this.#parent.toObject();
+        for (const [name, type] of this.#types)
+            ret[name] = type;
+        return ret;
+    }
+}
+
+module.exports = StructRegistry;
\ No newline at end of file
@@ -0,0 +1,82 @@
+// Compares reading and writing records with and without `Struct.prototype.compile()`.
+// Usage: node benchmarks/compile.js [records=200000]
+const { Struct, StructRegistry } = require('../index.js');
+
+const recordCount = parseInt(process.argv[2] ?? '200000');
+
+function define(registry) {
+    new Struct(`
+        u32 id
+        u16 flags
+        u16 length
+        double x
+        double y
+        s32[4] samples
+        u64 timestamp
+    `, 'FixedRecord', {registry});
+    new Struct(`
+        u16 id
+        u8 length
+        u8[length] payload
+        if (length > 4) u32 checksum
+        float value
+    `, 'VariableRecord', {registry});
+}
+
+function sample(name, i) {
+    if (name === 'FixedRecord')
+        return {id: i, flags: i & 0xFFFF, length: 48, x: i / 3, y: -i / 7, samples: [i, -i, i * 2, -i * 2], timestamp: BigInt(i) * 1000n};
+    const length = i % 9;
+    const value = {id: i & 0xFFFF, length, payload: Array.from({length}, (_, j) => (i + j) & 0xFF), value: 1.5};
+    if (length > 4)
+        value.checksum = i;
+    return value;
+}
+
+function time(fn) {
+    const start = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function run(registry, name, values, data) {
+    let position = 0;
+    const write = time(() => {
+        for (const value of values)
+            position += Struct.writeValue(data, position, value, name, true, undefined, registry);
+    });
+    let checksum = 0;
+    const read = time(() => {
+        for (let i = 0, at = 0; i < values.length; i++) {
+            const record = Struct.readValue(data, at, name, true, undefined, registry);
+            at += record.count;
+            checksum += record.value.id;
+        }
+    });
+    return {read, write, bytes: position, checksum};
+}
+
+const interpreted = new StructRegistry();
+const compiled = new StructRegistry();
+define(interpreted);
+define(compiled);
+for (const name of compiled.names)
+    compiled.get(name).compile();
+
+for (const name of ['FixedRecord', 'VariableRecord']) {
+    const values = Array.from({length: recordCount}, (_, i) => sample(name, i));
+    const data = new DataView(new ArrayBuffer(recordCount * 64));
+    // Warm both paths up before measuring.
+    run(interpreted, name, values.slice(0, 1000), data);
+    run(compiled, name, values.slice(0, 1000), data);
+
+    const before = run(interpreted, name, values, data);
+    const after = run(compiled, name, values, data);
+    if (before.bytes !== after.bytes || before.checksum !== after.checksum)
+        throw new Error(`Compiled and interpreted ${name} results differ.`);
+
+    console.log(`${name} (${recordCount} records, ${before.bytes} bytes):`);
+    for (const op of ['read', 'write']) {
+        console.log(`    ${op.padEnd(5)}  interpreted ${before[op].toFixed(1).padStart(8)} ms   compiled ${after[op].toFixed(1).padStart(8)} ms   x${(before[op] / after[op]).toFixed(1)}`);
+    }
+}
\ No newline at end of file
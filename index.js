@@ -1,5 +1,13 @@
 const Struct = require('./Struct.js');
+const StructRegistry = require('./StructRegistry.js');
+const StructError = require('./StructError.js');
+const OutOfBoundsError = require('./OutOfBoundsError.js');
+const Checksums = require('./Checksums.js');
+const Enum = require('./Enum.js');
 const DataViewStream = require('./DataViewStream.js');
+const DataViewWriter = require('./DataViewWriter.js');
+const StreamParser = require('./StreamParser.js');
+const FileDataViewStream = require('./FileDataViewStream.js');
 const { Bitfield8, Bitfield16, Bitfield32, Bitfield64 } = require('./Bitfield.js');
 
-module.exports = { Struct, DataViewStream, Bitfield8, Bitfield16, Bitfield32, Bitfield64 };
\ No newline at end of file
+module.exports = { Struct, StructRegistry, StructError, OutOfBoundsError, Checksums, Enum, DataViewStream, DataViewWriter, StreamParser, FileDataViewStream, Bitfield8, Bitfield16, Bitfield32, Bitfield64 };
\ No newline at end of file
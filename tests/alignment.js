@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { Struct } = require('../index.js');
+
+function test() {
+    const inner = new Struct(`
+        @align natural
+        u8 a
+        u32 b
+        u16 c
+    `, 'AlignmentInner');
+    assert(inner.sizeof === 12, `Expected sizeof 12, got ${inner.sizeof}`);
+    assert(inner.alignment === 4, `Expected alignment 4, got ${inner.alignment}`);
+
+    const outer = new Struct(`
+        @align natural
+        u8 x
+        AlignmentInner inner
+        double d
+        u8 y
+    `, 'AlignmentOuter');
+    assert(outer.sizeof === 32, `Expected sizeof 32, got ${outer.sizeof}`);
+
+    const packed = new Struct(`
+        @pack 2
+        u8 a
+        u32 b
+        u8 c
+    `, 'AlignmentPacked');
+    assert(packed.sizeof === 8, `Expected sizeof 8, got ${packed.sizeof}`);
+
+    const explicit = new Struct(`
+        u8 a
+        pad[3]
+        u8 b
+        align 8
+        u16 c
+    `, 'AlignmentExplicit');
+    assert(explicit.sizeof === 16, `Expected sizeof 16, got ${explicit.sizeof}`);
+    assert.throws(() => new Struct('align 3\nu8 a', 'AlignmentInvalid'), /power of two/);
+
+    const value = {x: 1, inner: {a: 2, b: 3, c: 4}, d: 5.5, y: 6};
+    const view = new DataView(new ArrayBuffer(32));
+    new Uint8Array(view.buffer).fill(0xAA);
+    assert(outer.write(view, 0, value, true) === 32);
+    assert(view.getUint32(8, true) === 3, 'Expected inner.b at offset 8');
+    assert(view.getFloat64(16, true) === 5.5, 'Expected d at offset 16');
+    assert(view.getUint8(1) === 0 && view.getUint8(31) === 0, 'Expected padding to be zeroed');
+    assert.deepStrictEqual(Struct.readValue(view, 0, 'AlignmentOuter', true), {count: 32, value});
+
+    const dynamic = new Struct(`
+        @align natural
+        u8 count
+        u32[count] values
+        u8 tail
+    `, 'AlignmentDynamic');
+    const dynamicValue = {count: 2, values: [7, 8], tail: 9};
+    assert(dynamic.write(view, 0, dynamicValue) === 16);
+    assert.deepStrictEqual(Struct.readValue(view, 0, 'AlignmentDynamic'), {count: 16, value: dynamicValue});
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const { Struct, StructRegistry } = require('../index.js');
+
+// Returns the bytes of a little-endian struct whose members are all zero but the one `change` sets.
+function bytesAfter(struct, change) {
+    const data = new DataView(new ArrayBuffer(struct.sizeof));
+    let fields = struct.read(data, 0, true);
+    change(fields);
+    struct.write(data, 0, fields, true);
+    return [...new Uint8Array(data.buffer)];
+}
+
+function test() {
+    const registry = new StructRegistry();
+    const structs = Struct.fromCHeader(`
+        #ifndef SENSOR_H
+        #define SENSOR_H
+        #include <stdint.h>
+
+        #define NAME_LEN 8
+        #define MAX_SAMPLES (NAME_LEN / 4 + 1)  // 3
+
+        typedef uint16_t word_t;
+
+        /* A single reading. */
+        typedef struct Sample {
+            uint8_t channel;
+            word_t value;
+        } Sample, *PSample;
+
+        struct Status {
+            unsigned ready : 1;
+            unsigned mode : 3;
+            unsigned : 2;
+            unsigned error : 1;
+            int16_t temperature;
+        };
+
+        #pragma pack(push, 1)
+        typedef struct {
+            char name[NAME_LEN];
+            struct Status status;
+            Sample samples[MAX_SAMPLES];
+            unsigned long long timestamp;
+        } SensorReport;
+        #pragma pack(pop)
+
+        typedef struct __attribute__((packed)) { uint8_t a; uint32_t b; } SensorPacked;
+
+        int sensor_init(void);
+        static inline int sensor_next(int x) { return x + 1; }
+        #endif
+    `, {registry});
+
+    assert.deepStrictEqual(structs.map(s => s.name), ['Sample', 'Status', 'SensorReport', 'SensorPacked']);
+    assert.deepStrictEqual(structs.map(s => s.sizeof), [4, 4, 32, 5]);
+    assert.deepStrictEqual(registry.get('Sample').props.map(p => p.type), ['u8', 'u16']);
+    assert.deepStrictEqual(registry.get('SensorReport').props.map(p => [p.name, p.type, p.arrayLength]), [
+        ['name', 'char', 8],
+        ['status', 'Status', 1],
+        ['samples', 'Sample', 3],
+        ['timestamp', 'u64', 1],
+    ]);
+
+    const view = new DataView(new ArrayBuffer(32));
+    view.setUint8(0, 'T'.charCodeAt(0));
+    view.setUint8(8, 0b1000011);
+    view.setInt16(10, -40, true);
+    view.setUint8(16, 2);
+    view.setUint16(18, 0x1234, true);
+    view.setBigUint64(24, 1234567890123n, true);
+    const report = Struct.readValue(view, 0, 'SensorReport', true, undefined, registry).value;
+    assert(report.status.bitfield0.ready === 1 && report.status.bitfield0.mode === 1 && report.status.bitfield0.error === 1);
+    assert(report.status.temperature === -40);
+    assert.deepStrictEqual(report.samples[1], {channel: 2, value: 0x1234});
+    assert(report.timestamp === 1234567890123n);
+
+    // Bitfields are placed as by GCC, the sizes, alignments and offsets being those gcc gives on x86-64.
+    const bitfields = Struct.fromCHeader(`
+        struct BitsAfterByte { uint8_t a; uint32_t b:4; uint32_t c:4; };
+        struct BitsOfTwoTypes { uint8_t x:3; uint16_t y:4; };
+        struct BitsCrossing { char s[3]; uint32_t a:12; };
+        struct BitsAfterZero { uint8_t a; uint32_t b:4; uint32_t :0; uint8_t c; };
+        struct BitsUnnamed { uint8_t a; uint32_t :3; uint8_t b; };
+        struct BitsNested { struct BitsAfterByte inner; uint8_t x:4; };
+        #pragma pack(push, 2)
+        struct BitsPacked { uint8_t a; uint32_t b:20; uint32_t c:10; };
+        #pragma pack(pop)
+        typedef struct { uint8_t a; uint16_t b:9; uint8_t c:7; } __attribute__((packed)) BitsPackedAfter;
+    `, {registry});
+    assert.deepStrictEqual(bitfields.map(s => [s.sizeof, s.alignment]), [[4, 4], [2, 2], [8, 4], [8, 4], [3, 1], [8, 4], [6, 2], [3, 1]]);
+    const [afterByte, twoTypes, crossing, afterZero, unnamed, nested, packed, packedAfter] = bitfields;
+    assert.deepStrictEqual(bytesAfter(afterByte, f => f.bitfield0.b = 0xF), [0x00, 0x0F, 0x00, 0x00]);
+    assert.deepStrictEqual(bytesAfter(afterByte, f => f.bitfield0.c = 0xF), [0x00, 0xF0, 0x00, 0x00]);
+    assert.deepStrictEqual(bytesAfter(twoTypes, f => f.bitfield0.y = 0xF), [0x78, 0x00]);
+    assert.deepStrictEqual(bytesAfter(crossing, f => f.bitfield0.a = 0xFFF), [0x00, 0x00, 0x00, 0x00, 0xFF, 0x0F, 0x00, 0x00]);
+    assert.deepStrictEqual(bytesAfter(afterZero, f => f.c = 0xFF), [0x00, 0x00, 0x00, 0x00, 0xFF, 0x00, 0x00, 0x00]);
+    assert.deepStrictEqual(bytesAfter(unnamed, f => f.b = 0xFF), [0x00, 0x00, 0xFF]);
+    assert.deepStrictEqual(bytesAfter(nested, f => f.bitfield0.x = 0xF), [0x00, 0x00, 0x00, 0x00, 0x0F, 0x00, 0x00, 0x00]);
+    assert.deepStrictEqual(bytesAfter(packed, f => f.bitfield0.c = 0x3FF), [0x00, 0x00, 0x00, 0xF0, 0x3F, 0x00]);
+    assert.deepStrictEqual(bytesAfter(packedAfter, f => f.bitfield0.b = 0x1FF), [0x00, 0xFF, 0x01]);
+    assert.deepStrictEqual(bytesAfter(packedAfter, f => f.bitfield0.c = 0x7F), [0x00, 0x00, 0xFE]);
+    // A 24-bit field followed by a byte shares a 32-bit unit with it, which Bitfield members cannot stand for.
+    assert.throws(() => Struct.fromCHeader('struct Split { uint32_t a:24; uint8_t b; };', {registry}), /Bitfield 'a' of struct 'Split' takes 3 bytes at offset 0/);
+    assert.throws(() => Struct.fromCHeader('struct AfterUnknown { Foreign f; uint8_t x:4; };', {registry}), /follows a member of type 'Foreign', whose size is not known/);
+
+    assert.throws(() => Struct.fromCHeader('struct Node { struct Node *next; };', {registry}), /Pointer members/);
+    assert.throws(() => Struct.fromCHeader('struct Bad { uint8_t data[UNKNOWN]; };', {registry}), /Invalid array length/);
+    assert.throws(() => Struct.fromCHeader('struct Wide { uint64_t a:3; uint64_t b:40; };', {registry}), /64-bit bitfield 'a' of struct 'Wide' is not supported/);
+    assert(!registry.has('Wide'));
+    assert.throws(() => Struct.fromCHeader('struct Sample { uint8_t x; };', {registry}), /already registered/);
+}
+
+module.exports = { test };
\ No newline at end of file
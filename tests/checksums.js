@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StructError, Checksums } = require('../index.js');
+
+function test() {
+    // Check values of the built-in algorithms.
+    const digits = new TextEncoder().encode('123456789');
+    assert(Checksums.compute('crc32', digits) === 0xCBF43926);
+    assert(Checksums.compute('crc16', digits) === 0x29B1);
+    assert(Checksums.compute('adler32', new TextEncoder().encode('Wikipedia')) === 0x11E60398);
+    assert(Checksums.compute('sum8', digits) === 0xDD && Checksums.compute('sum16', digits) === 0x1DD);
+    assert(Checksums.compute('xor8', digits) === 0x31);
+    assert.throws(() => Checksums.compute('md5', digits), /No checksum algorithm named 'md5'/);
+
+    const registry = new StructRegistry();
+    const image = new Struct(`
+        char[4] magic = "FWIM"
+        u16 version
+        u32 size
+        u32 crc = crc32(payload)
+        u8[size] payload
+        u16 headerCrc = crc16(magic..crc)
+        u32 total = adler32(0..total)
+    `, 'FirmwareImage', {registry});
+    assert.deepStrictEqual(image.props[3].checksum, {algorithm: 'crc32', from: 'payload', to: 'payload'});
+    assert.deepStrictEqual(image.props[6].checksum, {algorithm: 'adler32', from: 0, to: 'total'});
+
+    // Checksums are computed on write, whatever value they are given.
+    const view = new DataView(new ArrayBuffer(64));
+    const payload = [...digits];
+    const count = image.write(view, 0, {version: 3, size: payload.length, crc: 1, payload}, true);
+    assert(count === 29);
+    const bytes = new Uint8Array(view.buffer, 0, count).slice();
+    assert(view.getUint32(10, true) === 0xCBF43926);
+    assert(view.getUint16(23, true) === Checksums.compute('crc16', bytes.subarray(0, 14)));
+    bytes.fill(0, 25, 29);
+    assert(view.getUint32(25, true) === Checksums.compute('adler32', bytes));
+    const value = image.read(view, 0, true);
+    assert(value.crc === 0xCBF43926 && value.payload.length === 9);
+
+    // Mismatches throw, unless read leniently.
+    view.setUint8(16, 0);
+    assert.throws(() => image.read(view, 0, true), e => {
+        assert(e instanceof StructError && e.path === 'FirmwareImage.crc' && e.offset === 10);
+        return /Checksum 'crc' of 'FirmwareImage' should be 0x[0-9A-F]+, got 0xCBF43926 at offset 10/.test(e.message);
+    });
+    let warnings = new Array;
+    assert(image.read(view, 0, true, {lenient: true, warnings}).payload[2] === 0);
+    assert(warnings.length === 2 && warnings[1].startsWith(`Checksum 'total' of 'FirmwareImage'`));
+
+    // Compiled structs compute and verify the same checksums.
+    image.compile();
+    assert.throws(() => image.read(view, 0, true), /Checksum 'crc'/);
+    assert(image.write(view, 0, value, true) === 29);
+    assert.deepStrictEqual(new Uint8Array(view.buffer, 0, 25), bytes.subarray(0, 25));
+    assert(view.getUint32(25, true) === Checksums.compute('adler32', bytes));
+    assert.deepStrictEqual(image.read(view, 0, true), value);
+
+    // Custom algorithms, offset ranges and checksums of nested structs.
+    Checksums.register('twosComplement8', bytes => -Checksums.compute('sum8', bytes) & 0xFF);
+    assert.throws(() => Checksums.register('twosComplement8', () => 0), /already registered/);
+    assert.throws(() => Checksums.unregister('crc32'), /built-in/);
+    new Struct(`
+        u8 length
+        u8[length] data
+        u8 check = twosComplement8(length..data)
+    `, 'ChecksumRecord', {registry});
+    const frame = new Struct(`
+        u8 start = 0x7E
+        ChecksumRecord record
+        u8 check = xor8(1..4)
+    `, 'ChecksumFrame', {registry});
+    assert(frame.write(view, 0, {record: {length: 2, data: [0x10, 0x20]}}) === 6);
+    assert.deepStrictEqual([...new Uint8Array(view.buffer, 0, 6)], [0x7E, 2, 0x10, 0x20, 0xCE, 2 ^ 0x10 ^ 0x20]);
+    view.setUint8(4, 0);
+    assert.throws(() => frame.read(view, 0), e => e.path === 'ChecksumFrame.record.check');
+    assert(Checksums.unregister('twosComplement8') && !Checksums.has('twosComplement8'));
+
+    assert.throws(() => new Struct('u32 crc = md5(0..4)', 'ChecksumUnknown', {registry}), /No checksum algorithm named 'md5'/);
+    assert.throws(() => new Struct('s32 crc = crc32(0..4)', 'ChecksumSigned', {registry}), /should be of type u8, u16, u32, u64/);
+    assert.throws(() => new Struct('u32 crc = crc32(header)', 'ChecksumMember', {registry}), /'header' in the range of checksum 'crc'/);
+    assert.throws(() => new Struct('u32 crc = crc32(4)', 'ChecksumRange', {registry}), /Invalid range '4'/);
+}
+
+module.exports = { test };
\ No newline at end of file
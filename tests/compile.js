@@ -0,0 +1,99 @@
+const assert = require('assert');
+const { Struct, StructRegistry, Enum } = require('../index.js');
+
+function define(registry) {
+    new Enum('enum<u8> Kind { NONE, POINT, LABEL }', {registry});
+    new Struct(`
+        s16 x
+        s16 y
+    `, 'Point', {registry});
+    new Struct(`
+        char[4] magic
+        u8 version
+        Kind kind
+        @align natural
+        u32 id
+        u64 stamp
+        double weight
+        bool visible
+        Bitfield8{a: 1, b: 3, c: 4} flags
+        @endian big
+        u16 checksum
+        @align packed
+        s8[3] deltas
+        pad[2]
+        Point[2] corners
+        float scale
+    `, 'Fixed', {registry});
+    new Struct(`
+        char[2] byteOrder
+        @endian byteOrder
+        u16 count
+        u32[count] values
+        cstring name
+        u8 kind
+        if (count > 1) u16be extra
+        switch(kind) { 1: Point, 2: pstring<u8>, default: u8[2] } payload
+        @align natural
+        string[6] tag
+        Fixed fixed
+    `, 'Variable', {registry});
+}
+
+function test() {
+    const plain = new StructRegistry();
+    const fast = new StructRegistry();
+    define(plain);
+    define(fast);
+    for (const name of ['Point', 'Fixed', 'Variable'])
+        assert(fast.get(name).compile() === fast.get(name));
+    assert(fast.get('Fixed').compiled && !plain.get('Fixed').compiled);
+    assert(plain.get('Fixed').sizeof === 64);
+
+    const fixed = {
+        magic: ['R', 'I', 'F', 'F'], version: 3, kind: 'LABEL', id: 0xDEADBEEF, stamp: 1234567890123n, weight: 0.5, visible: true,
+        flags: {a: true, b: '0b101', c: '0b0011'}, checksum: 0xBEEF, deltas: [-1, 0, 1], corners: [{x: -5, y: 5}, {x: 7, y: -7}], scale: 1.5,
+    };
+    const variants = [
+        {kind: 1, payload: {x: 1, y: 2}, count: 2, values: [1, 2], extra: 0xABCD},
+        {kind: 2, payload: 'a label', count: 1, values: [3]},
+        {kind: 9, payload: [4, 5], count: 0, values: []},
+    ];
+    for (const isLittleEndian of [false, true]) {
+        assert(writeBoth(plain, fast, 'Fixed', fixed, isLittleEndian) === 64);
+        for (const [i, variant] of variants.entries()) {
+            const value = {byteOrder: i === 0 ? ['I', 'I'] : ['M', 'M'], name: `variant ${i}`, tag: 'tag', fixed, ...variant};
+            writeBoth(plain, fast, 'Variable', value, isLittleEndian);
+        }
+    }
+
+    // The discriminator of a switch is inferred from the variant, and errors are the same as without compiling.
+    const inferred = {byteOrder: ['I', 'I'], count: 0, values: [], name: '', payload: {x: 3, y: 4}, tag: '', fixed};
+    writeBoth(plain, fast, 'Variable', inferred, true);
+    const view = new DataView(new ArrayBuffer(128));
+    assert.throws(() => fast.get('Fixed').write(view, 100, fixed), /outside the bounds/);
+    assert.throws(() => fast.get('Fixed').read(view, 100), /outside the bounds/);
+    assert.throws(() => fast.get('Variable').write(view, 0, {...inferred, count: 1}), /Array 'values' has 0 elements but 'count' is 1/);
+    assert.throws(() => Struct.writeValue(view, 0, {...inferred, byteOrder: ['X', 'X']}, 'Variable', false, undefined, fast), /Unrecognized byte order marker/);
+
+    // Clones of compiled structs are compiled too.
+    assert(fast.clone().get('Variable').compiled);
+}
+
+// Writes a value with the plain and compiled structs, checks that the bytes match and reads them back with both.
+function writeBoth(plain, fast, name, value, isLittleEndian) {
+    const expected = new DataView(new ArrayBuffer(160));
+    const actual = new DataView(new ArrayBuffer(160));
+    new Uint8Array(expected.buffer).fill(0xAA);
+    new Uint8Array(actual.buffer).fill(0xAA);
+    const count = Struct.writeValue(expected, 3, value, name, isLittleEndian, undefined, plain);
+    assert(Struct.writeValue(actual, 3, value, name, isLittleEndian, undefined, fast) === count);
+    assert.deepStrictEqual(new Uint8Array(actual.buffer), new Uint8Array(expected.buffer));
+
+    const read = Struct.readValue(expected, 3, name, isLittleEndian, undefined, plain);
+    assert(read.count === count);
+    assert.deepStrictEqual(Struct.readValue(actual, 3, name, isLittleEndian, undefined, fast), read);
+    return count;
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { Struct, StructRegistry } = require('../index.js');
+
+function test() {
+    new Struct(`
+        u16 length
+        u16 type
+    `, 'ConditionalExtHeader');
+
+    const header = new Struct(`
+        u8 version
+        Bitfield8{hasExtension: 1, compressed: 1, #reserved: 6} flags
+        if (flags.hasExtension) ConditionalExtHeader ext
+        if (version >= 3) u32 crc
+        if ((version & 1) == 0 && flags.compressed) u32 rawSize
+        u8 end
+    `, 'ConditionalHeader');
+
+    assert(header.sizeof === undefined, `Expected variable size, got ${header.sizeof}`);
+    assert.throws(() => new Struct('if (missing) u8 a', 'ConditionalInvalid'), /does not refer to an earlier field/);
+    assert.throws(() => new Struct('u8 a\nif (a >) u8 b', 'ConditionalMalformed'), /Invalid expression/);
+
+    const view = new DataView(new ArrayBuffer(32));
+
+    view.setUint8(0, 2);
+    view.setUint8(1, 0b00000000);
+    view.setUint8(2, 0xEE);
+    let read = Struct.readValue(view, 0, 'ConditionalHeader');
+    assert(read.count === 3, `Expected 3 bytes read, got ${read.count}`);
+    assert.deepStrictEqual(Object.keys(read.value), ['version', 'flags', 'end']);
+
+    view.setUint8(0, 4);
+    view.setUint8(1, 0b11000000);
+    view.setUint16(2, 8);
+    view.setUint16(4, 1);
+    view.setUint32(6, 0xDEADBEEF);
+    view.setUint32(10, 1024);
+    view.setUint8(14, 0xEE);
+    read = Struct.readValue(view, 0, 'ConditionalHeader');
+    assert(read.count === 15, `Expected 15 bytes read, got ${read.count}`);
+    assert.deepStrictEqual(read.value.ext, {length: 8, type: 1});
+    assert(read.value.crc === 0xDEADBEEF && read.value.rawSize === 1024 && read.value.end === 0xEE);
+
+    const copy = new DataView(new ArrayBuffer(32));
+    assert(header.write(copy, 0, read.value) === 15);
+    assert.deepStrictEqual(new Uint8Array(copy.buffer, 0, 15), new Uint8Array(view.buffer, 0, 15));
+
+    // Members whose condition does not hold are not written, even when present in the value.
+    read.value.version = 1;
+    assert(header.write(copy, 0, read.value) === 7);
+
+    const message = new Struct(`
+        Bitfield8{kind: 4, #reserved: 4} header
+        switch(header.kind) { 1: u8, 2: u16 } body
+    `, 'ConditionalMessage');
+    copy.setUint8(0, 0x20);
+    copy.setUint16(1, 0x1234);
+    assert(message.read(copy, 0).body === 0x1234);
+
+    // Reading member by member, compiled and with the class made by toClass evaluate expressions the same way.
+    const registry = new StructRegistry();
+    const parity = new Struct(`
+        u8 k
+        if (k == "1") u8 x
+        char[2] tag
+        if (tag == "ab") u8 y
+        u64 big
+        if (big == 5 && k != 1) u8 z
+        switch(big) { 5: u8, default: u16 } body
+    `, 'ConditionalParity', {registry});
+    const load = (struct) => {
+        const module = { exports: undefined };
+        new Function('require', 'module', struct.toClass())(() => require('../index.js'), module);
+        return module.exports;
+    };
+    const classes = new StructRegistry(registry);
+    const ConditionalParity = load(parity).register(classes);
+    const data = new DataView(new ArrayBuffer(16));
+    data.setUint8(0, 1);
+    data.setUint8(1, 'a'.charCodeAt(0));
+    data.setUint8(2, 'b'.charCodeAt(0));
+    data.setUint8(3, 7);
+    data.setBigUint64(4, 5n);
+    data.setUint8(12, 9);
+    // Instances of the class have a field for every member, left undefined for absent ones.
+    const present = value => Object.fromEntries(Object.entries(value).filter(([, member]) => typeof member !== 'undefined'));
+    const expected = {k: 1, tag: ['a', 'b'], y: 7, big: 5n, body: 9};
+    assert.deepStrictEqual(present(parity.read(data, 0)), expected);
+    assert.deepStrictEqual(present(ConditionalParity.read(data, 0)), expected);
+    assert.deepStrictEqual(present(parity.compile().read(data, 0)), expected);
+}
+
+module.exports = { test };
\ No newline at end of file
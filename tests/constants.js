@@ -0,0 +1,83 @@
+const assert = require('assert');
+const { Struct, StructRegistry, DataViewStream } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    const chunk = new Struct(`
+        char[4] magic = "RIFF"
+        u32 size
+        string[4] format = 'WAVE'
+    `, 'RiffChunk', {registry});
+    const header = new Struct(`
+        RiffChunk riff
+        u16 version = 2
+        u32 signature = 0xDEADBEEF
+        u64 png = 0x89504E470D0A1A0A
+        u8[4] elf = [0x7F, 0x45, 0x4C, 0x46]
+        s8 sign = -1
+        u8 count
+    `, 'ConstantHeader', {registry});
+    assert.deepStrictEqual(header.props.map(prop => prop.constant), [undefined, 2, 0xDEADBEEF, 0x89504E470D0A1A0An, [0x7F, 0x45, 0x4C, 0x46], -1, undefined]);
+    assert.deepStrictEqual(chunk.props[0].constant, ['R', 'I', 'F', 'F']);
+
+    // Constants left out are filled in on write.
+    const view = new DataView(new ArrayBuffer(40));
+    assert(header.write(view, 0, {riff: {size: 36}, count: 3}, true) === 32);
+    assert.deepStrictEqual(header.read(view, 0, true), {
+        riff: {magic: ['R', 'I', 'F', 'F'], size: 36, format: 'WAVE'},
+        version: 2, signature: 0xDEADBEEF, png: 0x89504E470D0A1A0An, elf: [0x7F, 0x45, 0x4C, 0x46], sign: -1, count: 3,
+    });
+    assert(view.getUint32(14, true) === 0xDEADBEEF && view.getUint8(30) === 0xFF);
+
+    // Mismatching bytes throw, unless read leniently.
+    view.setUint8(3, 'X'.charCodeAt(0));
+    view.setUint16(12, 3, true);
+    assert.throws(() => header.read(view, 0, true), /Member 'magic' of 'RiffChunk' should be "RIFF", got "RIFX" at offset 0/);
+    assert.throws(() => chunk.read(view, 0, true), /should be "RIFF"/);
+    let warnings = new Array;
+    const value = header.read(view, 0, true, {lenient: true, warnings});
+    assert(value.riff.magic.join('') === 'RIFX' && value.version === 3);
+    assert.deepStrictEqual(warnings, [
+        `Member 'magic' of 'RiffChunk' should be "RIFF", got "RIFX" at offset 0.`,
+        `Member 'version' of 'ConstantHeader' should be 2, got 3 at offset 12.`,
+    ]);
+
+    view.setUint32(14, 0xDEADBEEE, true);
+    warnings = new Array;
+    new DataViewStream(view.buffer, 0, registry).readNext('ConstantHeader', true, {lenient: true, warnings});
+    assert(warnings.length === 3 && warnings[2].includes('should be 0xDEADBEEF, got 0xDEADBEEE at offset 14'));
+    assert.throws(() => Struct.readValue(view, 0, 'ConstantHeader', true, undefined, registry), /'magic'/);
+
+    // Structs defined as lenient accept mismatches by default, and so do their compiled versions.
+    const lenient = new Struct('u16 version = 2', 'LenientVersion', {registry, lenient: true});
+    assert(lenient.read(view, 12, true).version === 3);
+    assert.throws(() => lenient.read(view, 12, true, {lenient: false}), /should be 2, got 3/);
+    header.compile();
+    assert.throws(() => header.read(view, 0, true), /Member 'magic' of 'RiffChunk'/);
+    warnings = new Array;
+    header.read(view, 0, true, {lenient: true, warnings});
+    assert(warnings.length === 3);
+    assert(header.write(view, 0, {riff: {size: 1}, count: 0}, true) === 32 && view.getUint16(12, true) === 2);
+
+    assert.throws(() => new Struct('char[4] magic = "RIFFX"', 'ConstantTooLong', {registry}), /has 5 elements, expected 4/);
+    assert.throws(() => new Struct('u32 big = 0x100000000000000', 'ConstantTooBig', {registry}), /does not fit/);
+    assert.throws(() => new Struct('u8[2] a = [1, x]', 'ConstantInvalid', {registry}), /Invalid constant 'x'/);
+    assert.throws(() => new Struct('u8 x = -1', 'ConstantNegative', {registry}), /Constant -1 of member 'x' does not fit in type 'u8'/);
+    assert.throws(() => new Struct('u8 x = 300', 'ConstantOverflow', {registry}), /does not fit in type 'u8'/);
+    assert.throws(() => new Struct('s16be[2] x = [1, 0x8000]', 'ConstantArrayOverflow', {registry}), /Constant 32768 of member 'x' does not fit in type 's16'/);
+    assert.throws(() => new Struct('bool x = 2', 'ConstantBool', {registry}), /does not fit in type 'bool'/);
+    assert.throws(() => new Struct('u16 x = "ab"', 'ConstantString', {registry}), /should be a number/);
+
+    // Constants of bool members are numbers, matching the booleans read.
+    const flags = new Struct(`
+        bool enabled = 1
+        bool disabled = 0
+    `, 'ConstantFlags', {registry});
+    const bools = new DataView(new ArrayBuffer(8));
+    assert(flags.write(bools, 0, {}) === 8);
+    assert.deepStrictEqual(flags.read(bools, 0), {enabled: true, disabled: false});
+    bools.setUint32(0, 0);
+    assert.throws(() => flags.read(bools, 0), /Member 'enabled' of 'ConstantFlags' should be 1, got false/);
+}
+
+module.exports = { test };
\ No newline at end of file
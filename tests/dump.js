@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StructError } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    new Struct(`
+        char[4] tag
+        u16 length
+    `, 'DumpChunk', {registry});
+    const header = new Struct(`
+        char[4] magic = "DUMP"
+        u8 kind
+        @align natural
+        Bitfield16{dirty: 1, level: 3, mode: 4} flags
+        DumpChunk[2] chunks
+        switch(kind) { 1: u32, default: u8 } payload
+        u8 count
+        u8[count] data
+        ptr32<DumpChunk> extra
+    `, 'DumpHeader', {registry});
+
+    const view = new DataView(new ArrayBuffer(64));
+    const value = {
+        kind: 1, flags: {value: 0xA700}, chunks: [{tag: 'fmt ', length: 16}, {tag: 'data', length: 4}],
+        payload: 0xCAFE, count: 20, data: [...Array(20).keys()], extra: {tag: 'LIST', length: 0},
+    };
+    assert(header.write(view, 0, value, true) === 58);
+
+    // One entry per member and padding, with nested structs and arrays of structs broken down into their members.
+    const entries = header.dump(view, 0, {isLittleEndian: true, format: 'entries'});
+    assert.deepStrictEqual(entries.map(e => [e.path, e.offset, e.size, e.type]), [
+        ['DumpHeader.magic', 0, 4, 'char[4]'],
+        ['DumpHeader.kind', 4, 1, 'u8'],
+        ['DumpHeader', 5, 1, 'padding'],
+        ['DumpHeader.flags', 6, 2, 'Bitfield16'],
+        ['DumpHeader.chunks[0].tag', 8, 4, 'char[4]'],
+        ['DumpHeader.chunks[0].length', 12, 2, 'u16'],
+        ['DumpHeader.chunks[1].tag', 14, 4, 'char[4]'],
+        ['DumpHeader.chunks[1].length', 18, 2, 'u16'],
+        ['DumpHeader.payload', 20, 4, 'u32'],
+        ['DumpHeader.count', 24, 1, 'u8'],
+        ['DumpHeader.data', 25, 20, 'u8[count]'],
+        ['DumpHeader', 45, 3, 'padding'],
+        ['DumpHeader.extra', 48, 4, 'ptr32<DumpChunk>'],
+    ]);
+    assert.deepStrictEqual([...entries[0].bytes], [0x44, 0x55, 0x4D, 0x50]);
+    assert.deepStrictEqual(entries[0].value, ['D', 'U', 'M', 'P']);
+    assert(entries[8].value === 0xCAFE && entries[12].value === 52 && entries[2].value === undefined);
+    assert.deepStrictEqual(entries[3].fields, [
+        {name: 'dirty', bit: 0, size: 1, bits: '1', value: 1},
+        {name: 'level', bit: 1, size: 3, bits: '010', value: 2},
+        {name: 'mode', bit: 4, size: 4, bits: '0111', value: 7},
+    ]);
+
+    // Offsets are positions in the DataView.
+    const other = new DataView(new ArrayBuffer(80));
+    header.write(other, 10, value, true);
+    assert(header.dump(other, 10, {isLittleEndian: true, format: 'entries'})[6].offset === 24);
+
+    // The text dump labels each line with the path, type and value of its bytes.
+    const lines = header.dump(view, 0, {isLittleEndian: true}).split('\n');
+    assert(lines[0].startsWith('Offset    00 01 02') && lines[0].endsWith('0F  ASCII'));
+    assert(lines[1] === `00000000  44 55 4d 50${' '.repeat(36)}  DUMP              DumpHeader.magic char[4] = "DUMP"`);
+    assert(lines[3].endsWith('DumpHeader padding'));
+    assert(lines[4].endsWith('DumpHeader.flags Bitfield16 = 42752 (0xA700)'));
+    assert(lines[6].endsWith('.level .010.... ........ = 2'));
+    assert(lines.some(line => line.endsWith('DumpHeader.payload u32 = 51966 (0xCAFE)')));
+    assert(lines.some(line => line.endsWith('DumpHeader.data u8[count] = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, ... 4 more]')));
+    assert(lines.includes('00000029  10 11 12 13' + ' '.repeat(36) + '  ....'));
+
+    // Colors are ANSI escape codes around the bytes and labels.
+    const colored = header.dump(view, 0, {isLittleEndian: true, colors: true});
+    assert(colored.includes('\x1b[36m44 55 4d 50') && colored.includes('\x1b[2mDumpHeader padding\x1b[0m'));
+    assert(colored.replace(/\x1b\[[0-9]+m/g, '') === lines.join('\n'));
+
+    assert.throws(() => header.dump(view, 0, {format: 'html'}), /Invalid dump format 'html'/);
+    assert.throws(() => header.dump(new Uint8Array(4)), TypeError);
+    view.setUint8(24, 200);
+    assert.throws(() => header.dump(view, 0, {isLittleEndian: true}), e => e instanceof StructError && e.path === 'DumpHeader.data[39]');
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,52 @@
+const assert = require('assert');
+const { Struct } = require('../index.js');
+
+function test() {
+    new Struct(`
+        @endian little
+        u16 length
+        u32 value
+    `, 'EndiannessPayload');
+
+    const packet = new Struct(`
+        @endian big
+        u16 type
+        u32le sequence
+        EndiannessPayload payload
+    `, 'EndiannessPacket');
+
+    const buffer = new ArrayBuffer(12);
+    const view = new DataView(buffer);
+    view.setUint16(0, 0x0102, false);
+    view.setUint32(2, 0x03040506, true);
+    view.setUint16(6, 0x0708, true);
+    view.setUint32(8, 0x090A0B0C, true);
+
+    const expected = {type: 0x0102, sequence: 0x03040506, payload: {length: 0x0708, value: 0x090A0B0C}};
+    assert.deepStrictEqual(packet.read(view, 0, true), expected);
+    assert.deepStrictEqual(packet.read(view, 0, false), expected);
+
+    const copy = new DataView(new ArrayBuffer(12));
+    packet.write(copy, 0, expected);
+    assert.deepStrictEqual(new Uint8Array(copy.buffer), new Uint8Array(buffer));
+
+    const tiffHeader = new Struct(`
+        char[2] byteOrder
+        @endian byteOrder
+        u16 magic
+        u32 firstIFDOffset
+    `, 'EndiannessTIFFHeader');
+
+    const little = new DataView(new Uint8Array([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]).buffer);
+    const big = new DataView(new Uint8Array([0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08]).buffer);
+    assert.deepStrictEqual(tiffHeader.read(little, 0), {byteOrder: ['I', 'I'], magic: 42, firstIFDOffset: 8});
+    assert.deepStrictEqual(tiffHeader.read(big, 0, true), {byteOrder: ['M', 'M'], magic: 42, firstIFDOffset: 8});
+
+    const written = new DataView(new ArrayBuffer(8));
+    tiffHeader.write(written, 0, {byteOrder: ['M', 'M'], magic: 42, firstIFDOffset: 8}, true);
+    assert.deepStrictEqual(new Uint8Array(written.buffer), new Uint8Array(big.buffer));
+
+    assert.throws(() => new Struct('@endian sideways\nu8 a', 'EndiannessInvalid'), /Invalid byte order/);
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { Struct, StructRegistry, Enum, DataViewStream, StructError } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    const opcode = new Enum('enum<u8> Opcode { NOP = 0, LOAD = 1, STORE = 2, JUMP = 0x10, CALL }', {registry});
+    new Enum(`
+        enum<s64> Offset {
+            START = -1,
+            END,
+        }
+    `, {registry, unknown: 'error'});
+
+    assert(opcode.sizeof === 1 && opcode.type === 'u8');
+    assert.deepStrictEqual(opcode.values, {NOP: 0, LOAD: 1, STORE: 2, JUMP: 0x10, CALL: 0x11});
+    assert(opcode.nameOf(2) === 'STORE' && opcode.nameOf(3) === undefined);
+    assert.deepStrictEqual(registry.get('Offset').values, {START: -1n, END: 0n});
+
+    const instruction = new Struct(`
+        Opcode op
+        Opcode{format: "object"} next
+        Offset offset
+        Opcode[2] extra
+    `, 'Instruction', {registry});
+    assert(instruction.sizeof === 12, `Expected 12 bytes, got ${instruction.sizeof}`);
+
+    const view = new DataView(new ArrayBuffer(16));
+    view.setUint8(0, 1);
+    view.setUint8(1, 0x11);
+    view.setBigInt64(2, 0n);
+    view.setUint8(10, 2);
+    view.setUint8(11, 0x42);
+    const read = instruction.read(view, 0);
+    assert.deepStrictEqual(read, {op: 'LOAD', next: {name: 'CALL', value: 0x11}, offset: 'END', extra: ['STORE', 0x42]});
+
+    // Names, numbers and {name, value} objects are all accepted on write.
+    const copy = new DataView(new ArrayBuffer(16));
+    assert(instruction.write(copy, 0, read) === 12);
+    assert.deepStrictEqual(new Uint8Array(copy.buffer), new Uint8Array(view.buffer));
+    instruction.write(copy, 0, {op: 0x10, next: {value: 2}, offset: -1n, extra: ['NOP', 'NOP']});
+    assert.deepStrictEqual([copy.getUint8(0), copy.getUint8(1), copy.getBigInt64(2), copy.getUint8(10)], [0x10, 2, -1n, 0]);
+    assert.throws(() => instruction.write(copy, 0, {...read, op: 'HALT'}), e => e instanceof StructError && e.cause instanceof RangeError);
+
+    view.setBigInt64(2, 5n);
+    assert.throws(() => instruction.read(view, 0), /Unknown value 5 of enum 'Offset'/);
+
+    const stream = new DataViewStream(view.buffer, 0, registry);
+    assert(stream.readNext('Opcode') === 'LOAD');
+    assert.deepStrictEqual(stream.readNext('Opcode', false, {format: 'object'}), {name: 'CALL', value: 0x11});
+    stream.seek(0);
+    stream.writeNext('STORE', 'Opcode');
+    assert(view.getUint8(0) === 2);
+
+    // 64-bit values above 2^53 are kept exactly, through reads and schemas.
+    const big = new Enum('enum<u64> Big { A = 0xFFFFFFFFFFFFFFFF, B = 9007199254740993 }', {registry});
+    assert.deepStrictEqual(big.values, {A: 0xFFFFFFFFFFFFFFFFn, B: 9007199254740993n});
+    const bigView = new DataView(new ArrayBuffer(8));
+    bigView.setBigUint64(0, 0xFFFFFFFFFFFFFFFFn);
+    assert(big.read(bigView, 0) === 'A');
+    big.write(bigView, 0, 'B');
+    assert(bigView.getBigUint64(0) === 9007199254740993n);
+    const bigCopy = Enum.fromSchema(JSON.stringify(big.toSchema()), {registry: new StructRegistry()});
+    assert.deepStrictEqual(bigCopy.values, big.values);
+
+    assert.throws(() => new Enum('enum<float> Bad { A }', {registry}), /Invalid type 'float'/);
+    assert.throws(() => new Enum('enum<u8> Opcode { A }', {registry}), /already registered/);
+    assert.throws(() => new Enum('enum<u8> Twice { A, A }', {registry}), /Duplicate name/);
+    assert.throws(() => new Enum('enum<u8> Small { A = 300 }', {registry}), e => e instanceof RangeError && /Value 300 of 'A' in enum 'Small' does not fit in type 'u8'/.test(e.message));
+    assert.throws(() => new Enum('enum<u8> Small { A = -1 }', {registry}), /Value -1 of 'A'/);
+    assert.throws(() => new Enum('enum<s8> Small { A = 0x7F, B }', {registry}), /Value 128 of 'B'/);
+    assert.throws(() => new Enum('enum<u64> Small { A = 0x10000000000000000 }', {registry}), /does not fit in type 'u64'/);
+    assert(!registry.has('Small'));
+
+    assert(instruction.toTypeScript().startsWith("export type Opcode = 'NOP' | 'LOAD' | 'STORE' | 'JUMP' | 'CALL';\n"));
+    assert(instruction.toTypeScript().includes([
+        '    op: Opcode | number;',
+        '    next: { name: Opcode | undefined; value: number };',
+        '    offset: Offset;',
+        '    extra: (Opcode | number)[];',
+    ].join('\n')));
+    const header = instruction.toCHeader();
+    assert(header.includes('enum Opcode {\n    NOP = 0,\n'));
+    assert(header.includes('    uint8_t op; /* enum Opcode */\n') && header.includes('    int64_t offset; /* enum Offset */\n'));
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -1,21 +1,6 @@
 const assert = require('assert');
 const { Struct } = require('../index.js');
 
-function hexdump(buffer) {
-    let array = new Uint8Array(buffer);
-    let i = 0;
-    let mess = '           00 01 02 03 04 05 06 07 08 09 0A 0B 0C 0D 0E 0F\n';
-    for (let l = 0; l < Math.ceil(array.length / 16); l++) {
-        let line = `${(l * 16).toString(16).padStart(8, '0')} | `;
-        for (let j = 0; j < 16; j++) {
-            line += array[i++].toString(16).padStart(2, '0') + ' ';
-            if (i >= array.length) break;
-        }
-        mess += line + '\n';
-    }
-    return mess;
-}
-
 function test() {
     const nestedStruct = new Struct(`
         char[4] magic
@@ -43,8 +28,8 @@ function test() {
     const view2 = new DataView(buffer2);
     myStruct.write(view2, 0, parsedStruct, true);
 
-    const output1 = hexdump(buffer1);
-    const output2 = hexdump(buffer2);
+    const output1 = myStruct.dump(view1, 0, {isLittleEndian: true});
+    const output2 = myStruct.dump(view2, 0, {isLittleEndian: true});
     assert(output1 === output2, `Output mismatch!\nbuffer1:\n${output1}\n\nbuffer2:\n${output2}`);
 }
 
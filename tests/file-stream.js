@@ -0,0 +1,104 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Struct, DataViewWriter, FileDataViewStream, StructError } = require('../index.js');
+
+async function test() {
+    new Struct(`
+        u32 offset
+        u16 size
+        u8[6] name
+    `, 'FileIndexEntry');
+    new Struct(`
+        u16 count
+        cstring comment
+    `, 'FileArchiveHeader');
+    new Struct(`
+        u32 tag
+        ptr32<u32> target
+    `, 'FilePointer');
+
+    // An archive of 64 index entries at the end of 1000 bytes of data.
+    const writer = new DataViewWriter();
+    writer.writeNext({count: 64, comment: 'an archive comment longer than the window'}, 'FileArchiveHeader');
+    const indexOffset = writer.seek(1000).tell();
+    for (let i = 0; i < 64; i++)
+        writer.writeNext({offset: i * 10, size: i, name: [i, 0, 0, 0, 0, i]}, 'FileIndexEntry', true);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'structjs-'));
+    const file = path.join(dir, 'archive.bin');
+    try {
+        fs.writeFileSync(file, writer.toUint8Array());
+
+        const stream = new FileDataViewStream(file, {windowSize: 16});
+        assert(stream.byteLength === 1000 + 64 * 12);
+        assert.deepStrictEqual(stream.readNext('FileArchiveHeader'), {count: 64, comment: 'an archive comment longer than the window'});
+        assert(stream.tell() === 44);
+        // Lenient reads retried with larger windows report each mismatch once.
+        new Struct(`
+            u16 count = 65
+            cstring comment
+        `, 'FileArchiveMagic');
+        let warnings = new Array;
+        assert(stream.readAt(0, 'FileArchiveMagic', false, {lenient: true, warnings}).count === 64);
+        assert(warnings.length === 1 && warnings[0].includes('should be 65, got 64'));
+        assert.deepStrictEqual(stream.readAt(indexOffset + 63 * 12, 'FileIndexEntry', true), {offset: 630, size: 63, name: [63, 0, 0, 0, 0, 63]});
+        stream.seek(indexOffset + 12);
+        assert(stream.readNext('FileIndexEntry', true).size === 1);
+        assert(stream.readNext('u32', true) === 20);
+        assert(stream.seek(-12, FileDataViewStream.SEEK_END).readNext('FileIndexEntry', true).offset === 630);
+        assert.throws(() => stream.readNext('u8'), e => e instanceof StructError && e.cause instanceof RangeError);
+        assert.throws(() => stream.writeAt(0, 1, 'u8'), /not opened for writing/);
+
+        // A corrupt length does not make the stream load the rest of the file.
+        const bounded = new FileDataViewStream(file, {windowSize: 16, maxBufferSize: 32});
+        assert.throws(() => bounded.readAt(0, 'FileArchiveHeader'), e => e instanceof RangeError && /Cannot read 'FileArchiveHeader' at offset 0 within the maximum buffer size of 32 bytes/.test(e.message));
+        assert(bounded.readAt(indexOffset + 12 * 3, 'FileIndexEntry', true).size === 3 && bounded.maxBufferSize === 32);
+        const small = new FileDataViewStream(file, {maxBufferSize: 8});
+        assert.throws(() => small.readAt(indexOffset, 'FileIndexEntry'), /its 12 bytes exceed the maximum buffer size of 8 bytes/);
+        assert.throws(() => new FileDataViewStream(file, {maxBufferSize: 0}), RangeError);
+        bounded.close();
+        small.close();
+
+        let sizes = 0;
+        for (const entry of stream.seek(indexOffset)[Symbol.iterator]('FileIndexEntry', true))
+            sizes += entry.size;
+        assert(sizes === 63 * 64 / 2);
+        stream.close();
+
+        // Patching in place, through a file descriptor which stays open.
+        const fd = fs.openSync(file, 'r+');
+        const patcher = new FileDataViewStream(fd, {writable: true});
+        assert(patcher.readAt(indexOffset + 12 * 5, 'FileIndexEntry', true).size === 5);
+        assert(patcher.writeAt(indexOffset + 12 * 5, {offset: 4096, size: 500, name: [1, 2, 3, 4, 5, 6]}, 'FileIndexEntry', true) === 12);
+        assert.deepStrictEqual(patcher.readAt(indexOffset + 12 * 5, 'FileIndexEntry', true), {offset: 4096, size: 500, name: [1, 2, 3, 4, 5, 6]});
+        // Pointers would be relative to the window or to the bytes written, not to the start of the file.
+        assert.throws(() => patcher.readAt(0, 'FilePointer'), /Struct 'FilePointer' has pointers/);
+        assert.throws(() => patcher.writeAt(0, {tag: 1, target: 2}, 'FilePointer'), /Struct 'FilePointer' has pointers/);
+        assert(patcher.readAt(indexOffset + 12 * 5, 'u32', true) === 4096);
+        patcher.seek(0, FileDataViewStream.SEEK_END).writeNext('appended', 'cstring');
+        assert(patcher.byteLength === 1000 + 64 * 12 + 9);
+        patcher.close();
+        assert(fs.fstatSync(fd).size === patcher.byteLength);
+        fs.closeSync(fd);
+
+        // FileHandles are used through their descriptor, and closed by their owner.
+        const handle = await fs.promises.open(file, 'r');
+        const reader = new FileDataViewStream(handle);
+        assert(reader.fd === handle.fd && reader.readAt(indexOffset + 12 * 5, 'u32', true) === 4096);
+        reader.close();
+        assert((await handle.stat()).size === 1000 + 64 * 12 + 9);
+        await handle.close();
+        assert.throws(() => new FileDataViewStream(handle), /FileHandle which is closed/);
+
+        const bytes = fs.readFileSync(file);
+        assert(bytes.readUInt32LE(indexOffset + 12 * 5) === 4096);
+        assert(bytes.readUInt32LE(indexOffset + 12 * 6) === 60);
+        assert(bytes.toString('latin1', bytes.length - 9, bytes.length - 1) === 'appended');
+    } finally {
+        fs.rmSync(dir, {recursive: true, force: true});
+    }
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,80 @@
+const assert = require('assert');
+const { Struct, StructRegistry } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    new Struct(`
+        u8 id
+        u16 value
+    `, 'Sample', {registry});
+    new Struct(`
+        u8 a
+        u16 b
+    `, 'Other', {registry});
+    const report = new Struct(`
+        @align natural
+        char[4] magic
+        u8 kind
+        Bitfield8{ready: 1, mode: 3, #reserved: 2} flags
+        u64 stamp
+        string[8] label
+        Sample[2] samples
+        switch(kind) { 1: Sample, 2: Other } body
+        s16 t
+    `, 'Report', {registry});
+
+    const header = report.toCHeader();
+    assert(header.startsWith('#ifndef REPORT_H\n'));
+    assert(header.indexOf('} Sample;') < header.indexOf('} Report;'), 'Expected nested structs to be declared first');
+    assert(header.includes([
+        'typedef struct {',
+        '    char magic[4];',
+        '    uint8_t kind;',
+        '    struct {',
+        '        uint8_t : 2;',
+        '        uint8_t : 2;',
+        '        uint8_t mode : 3;',
+        '        uint8_t ready : 1;',
+        '    } flags;',
+        '    uint8_t _padding0[2];',
+        '    uint64_t stamp;',
+        '    char label[8];',
+        '    Sample samples[2];',
+        '    union {',
+        '        Sample case_1;',
+        '        Other case_2;',
+        '    } body;',
+        '    uint8_t _padding1[1];',
+        '    int16_t t;',
+        '    uint8_t _padding2[4];',
+        '} Report;',
+    ].join('\n')), header);
+    assert(header.includes('static_assert(sizeof(Report) == 40, "Report should be 40 bytes");'));
+
+    const declarations = report.toTypeScript();
+    assert(declarations.includes([
+        'export interface Report {',
+        '    magic: string[];',
+        '    kind: number;',
+        '    flags: { value: number; ready: number; mode: number };',
+        '    stamp: bigint;',
+        '    label: string;',
+        '    samples: Sample[];',
+        '    body: Sample | Other;',
+        '    t: number;',
+        '}',
+    ].join('\n')), declarations);
+    assert(declarations.startsWith('export interface Sample {\n    id: number;\n    value: number;\n}\n'));
+
+    const message = new Struct(`
+        u8 version
+        u16 count
+        cstring name
+        if (version >= 2) s64 offset
+        u32[count] values
+    `, 'Message', {registry});
+    assert(message.toTypeScript().includes('    name: string;\n    offset?: bigint;\n    values: number[];\n'));
+    assert.throws(() => message.toCHeader(), /variable size/);
+}
+
+module.exports = { test };
\ No newline at end of file
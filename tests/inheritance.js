@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { Struct, StructRegistry } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    const base = new Struct(`
+        char[4] magic = "VHDR"
+        @endian big
+        u16 version
+        u8 flags
+    `, 'InheritBase', {registry});
+    const v2 = new Struct(`
+        u32 size
+    `, 'InheritV2', {registry, extends: 'InheritBase'});
+    const v3 = new Struct(`
+        if (version >= 3) u8 level
+        @align natural
+        u16 checksum = sum16(magic..level)
+    `, 'InheritV3', {registry, extends: 'InheritV2'});
+
+    // Members of the base come first, and the definition continues where the base's ended.
+    assert(v2.base === base && v3.base === v2 && base.base === undefined);
+    assert.deepStrictEqual(v3.props.map(prop => prop.name), ['magic', 'version', 'flags', 'size', 'level', 'checksum']);
+    assert(v2.sizeof === 11 && v2.props[3].endian === 'big');
+
+    const view = new DataView(new ArrayBuffer(16));
+    assert(v2.write(view, 0, {version: 2, flags: 1, size: 0x01020304}) === 11);
+    assert.deepStrictEqual([...new Uint8Array(view.buffer, 4, 7)], [0, 2, 1, 1, 2, 3, 4]);
+    assert.deepStrictEqual(v2.read(view, 0), {magic: ['V', 'H', 'D', 'R'], version: 2, flags: 1, size: 0x01020304});
+    assert.deepStrictEqual(base.read(view, 0), {magic: ['V', 'H', 'D', 'R'], version: 2, flags: 1});
+    assert(v3.write(view, 0, {version: 3, flags: 0, size: 1, level: 9}) === 14);
+    assert(v3.read(view, 0).level === 9 && view.getUint16(12) === v3.read(view, 0).checksum);
+
+    // Members after a base with trailing padding start at the size of the base.
+    const padded = new Struct('@align natural\nu32 a\nu8 b', 'InheritPadded', {registry});
+    const extended = new Struct('u8 c', 'InheritPaddedMore', {registry, extends: 'InheritPadded'});
+    assert(padded.sizeof === 8 && extended.sizeof === 12);
+    const other = new DataView(new ArrayBuffer(12));
+    extended.write(other, 0, {a: 1, b: 2, c: 3});
+    assert(other.getUint8(8) === 3 && extended.read(other, 0).c === 3);
+
+    // Schemas, clones and schema files keep the extension.
+    const copy = new StructRegistry();
+    Struct.fromSchema(registry.toSchema(), {registry: copy});
+    assert(copy.get('InheritV3').base === copy.get('InheritV2') && copy.get('InheritPaddedMore').sizeof === 12);
+    assert.deepStrictEqual(copy.get('InheritV3').props, v3.props);
+    assert(registry.clone().get('InheritV3').sizeof === v3.sizeof);
+    const [ entry, link ] = Struct.loadSchema(`
+        struct InheritLink : InheritEntry { cstring target }
+        struct InheritEntry { u8 kind }
+    `, {registry: new StructRegistry()});
+    assert(entry.name === 'InheritEntry' && link.base === entry && link.props.length === 2);
+
+    // The classes extend the class of their base.
+    const classes = new Object;
+    const load = (struct) => {
+        const module = { exports: undefined };
+        const require = (path) => path === '@urayu/structjs' ? { Struct, StructRegistry } : classes[/^\.\/(.+)\.js$/.exec(path)[1]];
+        new Function('require', 'module', struct.toClass())(require, module);
+        return classes[struct.name] = module.exports;
+    };
+    const [ Base, V2 ] = [base, v2].map(load);
+    const value = V2.read(view, 0);
+    assert(value instanceof V2 && value instanceof Base && Object.getPrototypeOf(V2) === Base);
+    assert(value.version === 3 && value.size === 1 && V2.sizeof === 11);
+    assert(value.write(new DataView(new ArrayBuffer(11)), 0) === 11);
+
+    assert.throws(() => new Struct('u8 a', 'InheritMissing', {registry, extends: 'Missing'}), /No struct named 'Missing' registered to extend/);
+    assert.throws(() => new Struct('u8 a', 'InheritPrimitive', {registry, extends: 'u8'}), /Cannot extend 'u8', which is not a struct/);
+    assert.throws(() => Struct.loadSchema('struct A : B { u8 a }\nstruct B : A { u8 b }', {registry: new StructRegistry()}), /'A' contains itself/);
+}
+
+module.exports = { test };
\ No newline at end of file
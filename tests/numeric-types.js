@@ -0,0 +1,76 @@
+const assert = require('assert');
+const { Struct, StructRegistry } = require('../index.js');
+
+function test() {
+    const view = new DataView(new ArrayBuffer(16));
+    const roundTrip = (type, value, options, isLittleEndian = false) => {
+        Struct.writeValue(view, 0, value, type, isLittleEndian, options);
+        return Struct.readValue(view, 0, type, isLittleEndian, options).value;
+    };
+
+    // 24-bit integers in both byte orders, wrapping around like the other integers.
+    assert(Struct.writeValue(view, 0, 0x123456, 'u24') === 3);
+    assert.deepStrictEqual([...new Uint8Array(view.buffer, 0, 3)], [0x12, 0x34, 0x56]);
+    Struct.writeValue(view, 0, 0x123456, 'u24', true);
+    assert.deepStrictEqual([...new Uint8Array(view.buffer, 0, 3)], [0x56, 0x34, 0x12]);
+    assert.deepStrictEqual(Struct.readValue(view, 0, 'u24', true), {count: 3, value: 0x123456});
+    assert(roundTrip('s24', -2) === -2 && roundTrip('s24', -8388608, undefined, true) === -8388608 && roundTrip('u24', 0x1000001) === 1);
+    assert(roundTrip('s24', 0x7FFFFF) === 0x7FFFFF && roundTrip('u24', -1) === 0xFFFFFF);
+
+    // Half precision floats, rounded to the nearest value with ties to even.
+    const half = (value) => (Struct.writeValue(view, 0, value, 'f16'), view.getUint16(0));
+    assert(half(1) === 0x3C00 && half(-2) === 0xC000 && half(65504) === 0x7BFF && half(0.1) === 0x2E66);
+    assert(half(1 + 2 ** -11) === 0x3C00 && half(1 + 3 * 2 ** -11) === 0x3C02 && half(1 + 2 ** -11 + 2 ** -30) === 0x3C01);
+    assert(half(65520) === 0x7C00 && half(-Infinity) === 0xFC00 && half(2 ** -24) === 0x0001 && half(2 ** -26) === 0 && half(-0) === 0x8000);
+    assert(half(2 ** -14 - 2 ** -25) === 0x0400 && (half(NaN) & 0x7E00) === 0x7E00);
+    assert(roundTrip('f16', 0.1) === 0.0999755859375 && roundTrip('f16', 5.960464477539063e-8, undefined, true) === 2 ** -24);
+    view.setUint16(0, 0x7C01);
+    assert(Number.isNaN(Struct.readValue(view, 0, 'f16').value));
+
+    // bfloat16 keeps the range of floats.
+    const brain = (value) => (Struct.writeValue(view, 0, value, 'bfloat16'), view.getUint16(0));
+    assert(brain(1) === 0x3F80 && brain(3.140625) === 0x4049 && brain(-1e38) === 0xFE96 && brain(1 + 2 ** -8) === 0x3F80 && brain(3e38) === 0x7F62);
+    assert(brain(1e39) === 0x7F80 && roundTrip('bfloat16', 1 + 2 ** -7) === 1.0078125 && roundTrip('bfloat16', 2 ** -133, undefined, true) === 2 ** -133);
+
+    // Fixed-point numbers.
+    assert.deepStrictEqual(Struct.readValue((view.setInt16(0, -384), view), 0, 'fixed', false, {type: 's16', fraction: 8}), {count: 2, value: -1.5});
+    assert(Struct.writeValue(view, 0, 1.005859375, 'fixed', false, {type: 's16', fraction: 8}) === 2 && view.getInt16(0) === 258);
+    assert(roundTrip('fixed', 0.5 / 256, {type: 'u16', fraction: 8}) === 0 && roundTrip('fixed', 1.5 / 256, {type: 'u16', fraction: 8}) === 2 / 256);
+    assert.throws(() => roundTrip('fixed', 256, {type: 'u16', fraction: 8}), /Value 256 is out of the range of fixed<u16, 8>/);
+    assert.throws(() => roundTrip('fixed', -0.1, {type: 'u8', fraction: 4}), /out of the range/);
+    assert.throws(() => roundTrip('fixed', 1, {type: 'float', fraction: 4}), /Invalid fixed-point base type 'float'/);
+
+    const registry = new StructRegistry();
+    const sample = new Struct(`
+        u24 frame
+        s24le sample
+        @align natural
+        f16 half
+        bfloat16be weight
+        fixed<s16, 8> gain
+        Q16.16 position
+        UQ8.8le[2] scale
+        fixed<u24, 12> pitch
+    `, 'NumericSample', {registry});
+    assert(sample.sizeof === 24 && sample.alignment === 4);
+    assert.deepStrictEqual(sample.props.map(prop => [prop.name, prop.type, prop.options, prop.align]), [
+        ['frame', 'u24', undefined, undefined], ['sample', 's24', undefined, undefined], ['half', 'f16', undefined, 2],
+        ['weight', 'bfloat16', undefined, 2], ['gain', 'fixed', {type: 's16', fraction: 8}, 2], ['position', 'fixed', {type: 's32', fraction: 16}, 4],
+        ['scale', 'fixed', {type: 'u16', fraction: 8}, 2], ['pitch', 'fixed', {type: 'u24', fraction: 12}, undefined],
+    ]);
+    const value = {frame: 100000, sample: -100000, half: 0.5, weight: -2, gain: -0.25, position: 3.25, scale: [1.5, 255.99609375], pitch: 440.5};
+    for (const struct of [sample, registry.clone().get('NumericSample').compile()]) {
+        const data = new DataView(new ArrayBuffer(24));
+        assert(struct.write(data, 0, value) === 24);
+        assert.deepStrictEqual(struct.read(data, 0), value);
+        assert(data.getInt32(12) === 3.25 * 65536 && data.getUint16(16, true) === 384);
+        assert(struct.view(data).scale[1] === 255.99609375);
+    }
+    assert(sample.toCHeader().includes('uint8_t frame[3]; /* u24 */') && sample.toCHeader().includes('int32_t position; /* fixed<s32, 16> */'));
+    assert(sample.toTypeScript().includes('scale: number[];'));
+    assert.deepStrictEqual(Struct.fromSchema(sample.toSchema(), {registry: new StructRegistry()}).props, sample.props);
+    assert.throws(() => new Struct('Q12.2 x', 'NumericInvalid', {registry}), /Invalid fixed-point base type 's14'/);
+    assert.throws(() => new Struct('fixed<u8, 9> x', 'NumericInvalid', {registry}), /Invalid number of fraction bits '9' of fixed<u8>/);
+}
+
+module.exports = { test };
\ No newline at end of file
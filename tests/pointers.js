@@ -0,0 +1,97 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StructError, DataViewWriter } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    new Struct(`
+        u16 count
+        cstring[count] names
+    `, 'NameTable', {registry});
+    new Struct(`
+        ptr32<cstring>{base: "parent"} name
+        u32 size
+    `, 'AssetEntry', {registry});
+    new Struct(`
+        u32 value
+        ptr32<ListNode> next
+    `, 'ListNode', {registry});
+    const pack = new Struct(`
+        char[4] magic = "PACK"
+        u16 count
+        ptr32<NameTable> names
+        ptr32<AssetEntry>{lazy: true} first
+        ptr16<u32>{base: "self"} word
+        ptr32<ListNode> list
+        ptr32<ListNode> empty
+    `, 'AssetPack', {registry});
+    assert(pack.sizeof === 24);
+
+    // Targets are laid out after the struct, in the order of the pointers, and their offsets back-patched.
+    const value = {
+        count: 2, names: {count: 2, names: ['a', 'bc']}, first: {name: 'readme', size: 9}, word: 0xDEADBEEF,
+        list: {value: 1, next: {value: 2, next: null}}, empty: null,
+    };
+    const view = new DataView(new ArrayBuffer(80));
+    assert(pack.write(view, 0, value, true) === 66);
+    assert(view.getUint32(6, true) === 24 && view.getUint32(10, true) === 31);
+    assert(view.getUint16(14, true) === 39 - 14 && view.getUint32(39, true) === 0xDEADBEEF);
+    assert(view.getUint32(16, true) === 43 && view.getUint32(20, true) === 0);
+    assert(view.getUint32(31, true) === 51 - 31 && view.getUint32(47, true) === 58);
+    assert(Struct.readValue(view, 6, 'ptr32', true, undefined, registry).value === 24);
+
+    // Lazy pointers are read when first accessed.
+    const read = pack.read(view, 0, true);
+    assert(typeof Object.getOwnPropertyDescriptor(read, 'first').get === 'function');
+    assert.deepStrictEqual(read, {magic: ['P', 'A', 'C', 'K'], ...value});
+    assert(typeof Object.getOwnPropertyDescriptor(read, 'first').value === 'object');
+    const lazy = pack.read(view, 0, true);
+    view.setUint32(35, 10, true);
+    assert(lazy.first.size === 10);
+    lazy.first = null;
+    assert(lazy.first === null);
+
+    // Compiled structs write the same bytes, and writers make room for the targets.
+    view.setUint32(35, 9, true);
+    const before = new Uint8Array(view.buffer).slice(0, 66);
+    pack.compile();
+    assert(pack.write(view, 0, pack.read(view, 0, true), true) === 66);
+    assert.deepStrictEqual(new Uint8Array(view.buffer, 0, 66), before);
+    const writer = new DataViewWriter(8, registry);
+    writer.writeNext(value, 'AssetPack', true);
+    writer.writeNext(0x12345678, 'u32');
+    assert(writer.byteLength === 70);
+    assert.deepStrictEqual(new Uint8Array(writer.toArrayBuffer(), 0, 66), before);
+
+    // Pointers relative to a member, in arrays and in nested structs.
+    new Struct(`
+        u32 dataStart
+        ptr16<u16>{base: dataStart}[2] values
+    `, 'PointerArray', {registry});
+    const outer = new Struct(`
+        u8 tag
+        PointerArray array
+    `, 'PointerOuter', {registry});
+    assert(outer.write(view, 0, {tag: 1, array: {dataStart: 4, values: [0x1111, null]}}, true) === 11);
+    assert(view.getUint16(5, true) === 9 - 4 && view.getUint16(7, true) === 0 && view.getUint16(9, true) === 0x1111);
+    assert.deepStrictEqual(outer.read(view, 0, true), {tag: 1, array: {dataStart: 4, values: [0x1111, null]}});
+
+    // Failures reading targets, and invalid declarations.
+    view.setUint16(5, 0xFFFF, true);
+    assert.throws(() => outer.read(view, 0, true), e => e instanceof StructError && e.path === 'PointerOuter.array.values[0]');
+    assert.throws(() => pack.write(new DataView(new ArrayBuffer(30)), 0, value), e => e instanceof StructError && /outside the bounds/.test(e.message));
+    const cycle = new DataView(new ArrayBuffer(20));
+    cycle.setUint32(4, 1);
+    cycle.setUint32(8, 12);
+    cycle.setUint32(12, 2);
+    cycle.setUint32(16, 4);
+    assert.throws(() => Struct.readValue(cycle, 4, 'ListNode', false, undefined, registry),
+        e => e instanceof StructError && e.path === 'ListNode.next.next' && /leads back to the 'ListNode' at offset 4/.test(e.message));
+    cycle.setUint32(16, 0);
+    assert(Struct.readValue(cycle, 4, 'ListNode', false, undefined, registry).value.next.next === null);
+    assert.throws(() => new Struct('ptr32 target', 'PointerUntyped', {registry}), /needs a target type/);
+    assert.throws(() => new Struct('ptr32<u8>{base: "later"} p', 'PointerBase', {registry}), /Invalid base 'later'/);
+    assert(pack.toTypeScript().includes('first: AssetEntry | null;') && pack.toTypeScript().includes('next: ListNode | null;'));
+    assert(pack.toCHeader().includes('uint32_t names; /* ptr32<NameTable> */'));
+}
+
+module.exports = { test };
\ No newline at end of file
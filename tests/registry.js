@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { Struct, StructRegistry, DataViewStream } = require('../index.js');
+
+function test() {
+    const libA = new StructRegistry();
+    const libB = new StructRegistry();
+
+    // The same name can be defined in several registries without colliding.
+    const headerA = new Struct(`
+        u8 version
+        u16 length
+    `, 'Header', {registry: libA});
+    new Struct(`
+        u32 magic
+    `, 'Header', {registry: libB});
+    new Struct(`
+        Header header
+        u8 flags
+    `, 'Packet', {registry: libA});
+
+    assert(headerA.registry === libA);
+    assert(!StructRegistry.default.has('Header'), 'Expected the default registry to be unaffected');
+    assert(libA.get('Packet').sizeof === 4, `Expected 4 bytes, got ${libA.get('Packet').sizeof}`);
+    assert(libB.get('Header').sizeof === 4);
+    assert(libA.has('u32') && libA.has('Bitfield8'), 'Expected primitives and Bitfields to be visible');
+    assert.deepStrictEqual(libA.names, ['Header', 'Packet']);
+
+    assert.throws(() => new Struct('u8 a', 'Header', {registry: libA}), /already registered/);
+    assert.throws(() => libA.register('u8', {}), /already registered/);
+    assert.throws(() => Struct.readValue(new DataView(new ArrayBuffer(4)), 0, 'Packet'), /No struct named 'Packet'/);
+
+    const view = new DataView(new ArrayBuffer(8));
+    view.setUint8(0, 2);
+    view.setUint16(1, 0x0304);
+    view.setUint8(3, 0xFF);
+    assert.deepStrictEqual(Struct.readValue(view, 0, 'Packet', false, undefined, libA), {count: 4, value: {header: {version: 2, length: 0x0304}, flags: 0xFF}});
+    assert.deepStrictEqual(Struct.readStruct(view, 0, 'Header', false, libB), {magic: 0x020304FF});
+    assert(Struct.writeValue(view, 4, {magic: 1}, 'Header', false, undefined, libB) === 4);
+    assert(view.getUint32(4) === 1);
+
+    const stream = new DataViewStream(view.buffer, 0, libA);
+    assert.deepStrictEqual(stream.readNext('Header'), {version: 2, length: 0x0304});
+    assert.throws(() => new DataViewStream(view.buffer, 0, {}), TypeError);
+
+    // Clones are independent, and their structs refer to the clone's types.
+    const clone = libA.clone();
+    assert(clone.get('Header') !== headerA && clone.get('Header').registry === clone);
+    assert(clone.unregister('Header') === true);
+    assert(clone.unregister('Header') === false);
+    assert(libA.has('Header') && !clone.has('Header'));
+    new Struct(`
+        u16 id
+        u8 version
+    `, 'Header', {registry: clone});
+    assert.deepStrictEqual(clone.get('Packet').read(view, 0).header, {id: 0x0203, version: 0x04});
+    assert.deepStrictEqual(libA.get('Packet').read(view, 0).header, {version: 2, length: 0x0304});
+
+    // Definitions can be re-run once unregistered.
+    assert(libB.unregister('Header'));
+    new Struct('u16 magic', 'Header', {registry: libB});
+    assert(libB.get('Header').sizeof === 2);
+
+    // Classes made from the structs of a registry look their members up in the registry they are registered in.
+    new Struct(`
+        u8 count
+        Header[count] headers
+    `, 'HeaderList', {registry: libA});
+    const load = (struct) => {
+        const module = { exports: undefined };
+        new Function('require', 'module', struct.toClass())(() => require('../index.js'), module);
+        return module.exports;
+    };
+    const classes = new StructRegistry(libA);
+    const Packet = load(libA.get('Packet')).register(classes);
+    const HeaderList = load(libA.get('HeaderList')).register(classes);
+    assert(Packet.registry === classes && classes.get('Packet') === Packet && !StructRegistry.default.has('Packet'));
+    const packet = Struct.readValue(view, 0, 'Packet', false, undefined, classes).value;
+    assert(packet instanceof Packet);
+    assert.deepStrictEqual(packet.header, {version: 2, length: 0x0304});
+    const list = new DataView(new ArrayBuffer(7));
+    assert(HeaderList.write(list, 0, {count: 2, headers: [{version: 1, length: 2}, {version: 3, length: 4}]}) === 7);
+    assert.deepStrictEqual(HeaderList.read(list, 0).headers, [{version: 1, length: 2}, {version: 3, length: 4}]);
+}
+
+module.exports = { test };
\ No newline at end of file
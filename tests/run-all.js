@@ -1,19 +1,51 @@
 const testList = [
     './example1.js',
     './example-write.js',
+    './variable-arrays.js',
+    './strings.js',
+    './endianness.js',
+    './alignment.js',
+    './unions.js',
+    './conditional.js',
+    './registry.js',
+    './c-header.js',
+    './generators.js',
+    './enums.js',
+    './writer.js',
+    './stream-parser.js',
+    './file-stream.js',
+    './compile.js',
+    './views.js',
+    './constants.js',
+    './struct-errors.js',
+    './checksums.js',
+    './pointers.js',
+    './dump.js',
+    './schemas.js',
+    './schema-files.js',
+    './inheritance.js',
+    './numeric-types.js',
+    './varints.js',
 ];
 
-let allOK = true;
+async function runAll() {
+    let allOK = true;
 
-for (let testFile of testList) {
-    try {
-        require(testFile).test();
-        console.log(`${testFile} PASS`);
-    } catch (err) {
-        console.error(`${testFile} FAIL:`);
-        console.error(err);
-        allOK = false;
+    for (let testFile of testList) {
+        try {
+            await require(testFile).test();
+            console.log(`${testFile} PASS`);
+        } catch (err) {
+            console.error(`${testFile} FAIL:`);
+            console.error(err);
+            allOK = false;
+        }
     }
+
+    if (!allOK) throw new Error('Some tests failed.');
 }
 
-if (!allOK) throw new Error('Some tests failed.');
\ No newline at end of file
+runAll().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
\ No newline at end of file
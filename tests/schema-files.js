@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Struct, StructRegistry, Enum } = require('../index.js');
+
+function test() {
+    const files = {
+        'common.struct': `
+            // Shared by every file.
+            const NAME_LENGTH = 8
+            const RESERVED = NAME_LENGTH / 2
+            enum<u8> FileKind { TEXT = 1, DATA = 2 }
+        `,
+    };
+    const include = (file, from) => {
+        assert(from === 'main.struct');
+        return { path: file, source: files[file] };
+    };
+    const registry = new StructRegistry();
+    const types = Struct.loadSchema(`
+        include "common.struct"
+        include "common.struct"
+
+        /* The header comes first in the file,
+           but is created after the entries it refers to. */
+        struct FileHeader {
+            char[4] magic = "FILE" // Checked on read.
+            u8 count
+            pad[RESERVED]
+            FileEntry[count] entries
+        }
+
+        struct FileEntry {
+            FileKind kind
+            char[NAME_LENGTH] name
+            align RESERVED
+        }
+    `, {path: 'main.struct', include, registry});
+    assert.deepStrictEqual(types.map(type => type.name), ['FileKind', 'FileEntry', 'FileHeader']);
+    assert(types[0] instanceof Enum && types.every(type => registry.get(type.name) === type));
+    assert(registry.get('FileEntry').sizeof === 12 && registry.get('FileHeader').props[2].padding === 4);
+
+    const view = new DataView(new ArrayBuffer(64));
+    const value = {count: 2, entries: [{kind: 'TEXT', name: 'text.txt'}, {kind: 'DATA', name: 'data.bin'}]};
+    const count = registry.get('FileHeader').write(view, 0, value);
+    assert(count === 33);
+    assert.deepStrictEqual(registry.get('FileHeader').read(view, 0).entries.map(entry => entry.kind), ['TEXT', 'DATA']);
+
+    // Errors give the file, line and column they happen at.
+    const load = (source) => Struct.loadSchema(source, {path: 'bad.struct', include, registry: new StructRegistry()});
+    assert.throws(() => load('struct A {\n    u8 a\n    u9 b\n}'), e => e instanceof SyntaxError && e.message.startsWith('bad.struct:3:5: '));
+    assert.throws(() => load('const A = 1\n  structure B {}'), /^SyntaxError: bad\.struct:2:3: Unexpected 'structure'/);
+    assert.throws(() => load('struct A {\n    u8 a\n'), /^SyntaxError: bad\.struct:1:10: Missing '}'/);
+    assert.throws(() => load('/* open'), /bad\.struct:1:1: Unterminated comment/);
+    assert.throws(() => load('const A = B + 1'), /bad\.struct:1:1: Invalid value 'B \+ 1' of constant 'A'/);
+    assert.throws(() => load('struct A { u8 a }\nstruct A { u8 b }'), /bad\.struct:2:1: 'A' is already declared at bad\.struct:1:1/);
+    assert.throws(() => load('struct A {\n    B b\n}\nstruct B {\n  A a\n}'), /bad\.struct:1:1: Struct 'A' contains itself/);
+    assert.throws(() => load('include "missing.struct"'), /bad\.struct:1:1: Cannot include 'missing.struct'/);
+    assert.throws(() => Struct.loadSchema('include "other.struct"', {registry: new StructRegistry()}), /Cannot include 'other.struct': No include option/);
+
+    // Types created before a failure are unregistered, so that the fixed file can be loaded, and constants are not substituted in strings.
+    const retry = new StructRegistry();
+    const source = 'const N = 2\nstruct RetryInner { u8[N] values }\nstruct RetryOuter {\n    RetryInner inner\n    char[3] tag = "[N]"\n    BAD bad\n}';
+    assert.throws(() => Struct.loadSchema(source, {registry: retry}), /^SyntaxError: schema:6:5: /);
+    assert(!retry.has('RetryInner'));
+    const [, outer] = Struct.loadSchema(source.replace('BAD', 'u8'), {registry: retry});
+    assert.deepStrictEqual(outer.props[1].constant, ['[', 'N', ']']);
+
+    // Files include others relative to themselves.
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'struct-schema-'));
+    try {
+        fs.mkdirSync(path.join(directory, 'shared'));
+        fs.writeFileSync(path.join(directory, 'main.struct'), 'include "shared/point.struct"\nstruct Line { Point[2] points }');
+        fs.writeFileSync(path.join(directory, 'shared', 'point.struct'), 'const SIZE = 2\nstruct Point { s16[SIZE] xy }');
+        const loaded = Struct.loadSchemaFile(path.join(directory, 'main.struct'), {registry: new StructRegistry()});
+        assert.deepStrictEqual(loaded.map(type => [type.name, type.sizeof]), [['Point', 4], ['Line', 8]]);
+        fs.writeFileSync(path.join(directory, 'shared', 'point.struct'), 'struct Point {\n  s16[SIZE] xy\n}');
+        assert.throws(() => Struct.loadSchemaFile(path.join(directory, 'main.struct'), {registry: new StructRegistry()}),
+            e => e.message.startsWith(`${path.join(directory, 'shared', 'point.struct')}:2:3: `));
+    } finally {
+        fs.rmSync(directory, {recursive: true});
+    }
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { Struct, StructRegistry, Enum } = require('../index.js');
+
+function test() {
+    const registry = new StructRegistry();
+    new Enum('enum<u8> SchemaKind { TEXT = 1, DATA = 2 }', {registry, unknown: 'error'});
+    new Struct(`
+        u16 count
+        cstring[count] names
+    `, 'SchemaNames', {registry});
+    new Struct(`
+        char[2] order
+        @endian order
+        u32 value
+        u16le fixed
+    `, 'SchemaMarked', {registry});
+    const record = new Struct(`
+        char[4] magic = "SCHM"
+        u64 signature = 0x1122334455667788
+        SchemaKind kind
+        @align natural
+        Bitfield16{dirty: 1, #reserved: 3, level: 12} flags
+        @endian little
+        pad[2]
+        string{encoding: "latin1"}[8] label
+        pstring<u8> title
+        switch(kind) { "TEXT": cstring, 2: u8[4], default: u32be } payload
+        if (flags.dirty) u32 extra
+        u8 count
+        SchemaMarked[count] marked
+        ptr32<SchemaNames>{base: "parent", lazy: false} names
+        u16 check = sum16(0..check)
+        align 8
+    `, 'SchemaRecord', {registry, lenient: true});
+
+    // Structs and enums come back with the same members, layout and options.
+    const schema = record.toSchema();
+    assert(schema.kind === 'struct' && schema.version === 1 && schema.name === 'SchemaRecord' && schema.lenient === true);
+    assert(schema.members[1].constant === '1234605616436508552' && schema.alignment === 8);
+    assert.deepStrictEqual(schema.members[3], {type: 'Bitfield16', name: 'flags', arrayLength: 1, options: {dirty: 1, '#reserved': 3, level: 12}, align: 2});
+
+    const text = JSON.stringify(registry.toSchema());
+    assert.deepStrictEqual(JSON.parse(text).types.map(type => [type.kind, type.name]),
+        [['enum', 'SchemaKind'], ['struct', 'SchemaNames'], ['struct', 'SchemaMarked'], ['struct', 'SchemaRecord']]);
+    const copy = new StructRegistry();
+    const types = Struct.fromSchema(text, {registry: copy});
+    assert(types.length === 4 && types[0] instanceof Enum && types.every(type => copy.get(type.name) === type));
+    for (const name of ['SchemaNames', 'SchemaMarked', 'SchemaRecord']) {
+        assert.deepStrictEqual(copy.get(name).props, registry.get(name).props);
+        assert(copy.get(name).sizeof === registry.get(name).sizeof && copy.get(name).alignment === registry.get(name).alignment);
+    }
+    assert.deepStrictEqual(copy.get('SchemaKind').toSchema(), registry.get('SchemaKind').toSchema());
+    assert.deepStrictEqual(JSON.stringify(copy.toSchema()), text);
+    const marked = Struct.fromSchema(JSON.stringify(registry.get('SchemaMarked').toSchema()), {registry: new StructRegistry()});
+    assert(marked instanceof Struct && marked.sizeof === 8 && marked.props[1].endianFrom === 'order');
+
+    // Both read and write the same data.
+    const value = {
+        kind: 'TEXT', flags: {value: 0x8005, dirty: 1}, label: 'label', title: 'title', payload: 'text', extra: 7,
+        count: 1, marked: [{order: 'II', value: 0xDEADBEEF, fixed: 2}], names: {count: 1, names: ['a']},
+    };
+    const view = new DataView(new ArrayBuffer(128));
+    const other = new DataView(new ArrayBuffer(128));
+    const count = record.write(view, 0, value);
+    assert(copy.get('SchemaRecord').write(other, 0, value) === count);
+    assert.deepStrictEqual(new Uint8Array(other.buffer), new Uint8Array(view.buffer));
+    assert.deepStrictEqual(copy.get('SchemaRecord').read(view, 0), record.read(view, 0));
+    assert(copy.get('SchemaRecord').read(view, 0).payload === 'text');
+
+    // Types may come in any order, and options override those of the schema.
+    const single = Struct.fromSchema({
+        version: 1, types: [
+            {kind: 'struct', name: 'SchemaOuter', members: [{type: 'SchemaInner', name: 'inner', arrayLength: 2}]},
+            {kind: 'struct', name: 'SchemaInner', lenient: true, members: [{type: 'u8', name: 'value', arrayLength: 1, constant: 1}]},
+        ],
+    }, {registry: new StructRegistry(), lenient: false});
+    assert.deepStrictEqual(single.map(type => type.name), ['SchemaInner', 'SchemaOuter']);
+    assert(single[1].sizeof === 2);
+    assert.throws(() => single[1].read(new DataView(new ArrayBuffer(2)), 0), /should be 1, got 0/);
+
+    assert.throws(() => Struct.fromSchema({...schema, version: 2}, {registry: new StructRegistry()}), /Unsupported schema version '2'/);
+    assert.throws(() => Struct.fromSchema({...schema, members: [{type: 'u8', name: 'a b'}]}, {registry: new StructRegistry()}), /Invalid member/);
+    assert.throws(() => Struct.fromSchema({version: 1, types: [
+        {name: 'SchemaA', members: [{type: 'SchemaB', name: 'b', arrayLength: 1}]},
+        {name: 'SchemaB', members: [{type: 'SchemaA', name: 'a', arrayLength: 1}]},
+    ]}, {registry: new StructRegistry()}), /'SchemaA' of schema refers to itself/);
+    assert.throws(() => Struct.fromSchema({version: 1, kind: 'struct', name: 'SchemaMissing', members: [{type: 'Missing', name: 'm', arrayLength: 1}]},
+        {registry: new StructRegistry()}), /No struct or type named 'Missing'/);
+
+    // Types created before a failure are unregistered, so that the fixed schema can be loaded.
+    const retry = new StructRegistry();
+    const partial = {version: 1, types: [
+        {kind: 'enum', name: 'SchemaRetryKind', type: 'u8', values: {A: 0}},
+        {name: 'SchemaRetryInner', members: [{type: 'u8', name: 'value', arrayLength: 1}]},
+        {name: 'SchemaRetryOuter', members: [{type: 'SchemaRetryInner', name: 'inner', arrayLength: 1}, {type: 'u9', name: 'bad', arrayLength: 1}]},
+    ]};
+    assert.throws(() => Struct.fromSchema(partial, {registry: retry}), /u9/);
+    assert(!retry.has('SchemaRetryKind') && !retry.has('SchemaRetryInner'));
+    partial.types[2].members[1].type = 'u16';
+    assert.deepStrictEqual(Struct.fromSchema(partial, {registry: retry}).map(type => type.name), ['SchemaRetryKind', 'SchemaRetryInner', 'SchemaRetryOuter']);
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { Struct, StreamParser, OutOfBoundsError } = require('../index.js');
+
+// Splits bytes into chunks of varying sizes, so that records straddle chunk boundaries.
+function chunk(bytes, sizes) {
+    let ret = new Array;
+    for (let i = 0, n = 0; i < bytes.length; i += sizes[n++ % sizes.length])
+        ret.push(Buffer.from(bytes.subarray(i, i + sizes[n % sizes.length])));
+    return ret;
+}
+
+async function test() {
+    new Struct(`
+        u16 id
+        u8 length
+        u8[length] payload
+        cstring tag
+    `, 'StreamRecord');
+
+    const records = [
+        {id: 1, length: 3, payload: [1, 2, 3], tag: 'first'},
+        {id: 2, length: 0, payload: [], tag: ''},
+        {id: 0x1234, length: 5, payload: [9, 8, 7, 6, 5], tag: 'a somewhat longer tag'},
+    ];
+    const view = new DataView(new ArrayBuffer(64));
+    let size = 0;
+    for (const record of records)
+        size += Struct.writeValue(view, size, record, 'StreamRecord');
+    const bytes = new Uint8Array(view.buffer, 0, size);
+
+    let parsed = new Array;
+    for await (const record of new StreamParser(Readable.from(chunk(bytes, [1, 5, 2, 7]))).records('StreamRecord'))
+        parsed.push(record);
+    assert.deepStrictEqual(parsed, records);
+
+    // WHATWG ReadableStream and async generators of ArrayBuffers.
+    const stream = new ReadableStream({
+        start(controller) {
+            for (const c of chunk(bytes, [3]))
+                controller.enqueue(new Uint8Array(c));
+            controller.close();
+        },
+    });
+    parsed = new Array;
+    for await (const record of new StreamParser(stream).records('StreamRecord'))
+        parsed.push(record);
+    assert.deepStrictEqual(parsed, records);
+
+    async function* generate() {
+        for (const c of chunk(bytes, [4, 1]))
+            yield c.buffer.slice(c.byteOffset, c.byteOffset + c.length);
+    }
+    const parser = new StreamParser(generate());
+    assert(await parser.readNext('u16') === 1);
+    await parser.skip(10);
+    assert(parser.tell() === 12);
+    assert.deepStrictEqual(await parser.readNext('StreamRecord'), records[1]);
+    await parser.seek(18);
+    assert(await parser.readNext('u8') === 5);
+    await assert.rejects(parser.seek(0), /Cannot seek backwards/);
+    await parser.skip(5);
+    assert(await parser.readNext('cstring') === records[2].tag);
+    assert(await parser.atEnd());
+    await assert.rejects(parser.readNext('u32'), /Unexpected end of stream while reading 'u32' at offset 46/);
+
+    const truncated = new StreamParser([bytes.subarray(0, 14)]);
+    assert.deepStrictEqual(await truncated.readNext('StreamRecord'), records[0]);
+    assert(!(await truncated.atEnd()));
+    await assert.rejects(truncated.readNext('StreamRecord'), RangeError);
+    assert.throws(() => new StreamParser(42), TypeError);
+    assert.throws(() => new StreamParser([], undefined, {maxBufferSize: 0}), RangeError);
+
+    // A corrupt length does not make the parser buffer the rest of the stream.
+    function* endless() {
+        yield new Uint8Array([0, 1, 0xFF]);
+        for (;;)
+            yield new Uint8Array(4);
+    }
+    const bounded = new StreamParser(endless(), undefined, {maxBufferSize: 64});
+    await assert.rejects(bounded.readNext('StreamRecord'), /Cannot read 'StreamRecord' at offset 0 within the maximum buffer size of 64 bytes/);
+    new Struct('u8[100] data', 'StreamBlock');
+    await assert.rejects(bounded.readNext('StreamBlock'), /its 100 bytes exceed the maximum buffer size of 64 bytes/);
+    assert(bounded.maxBufferSize === 64 && bounded.tell() === 0);
+
+    // Values are retried on the library's own bounds checks, whatever the wording of the engine's errors.
+    Struct.registerFromClass(class StreamWord {
+        static get name() { return 'StreamWord'; }
+        static get sizeof() { return 4; }
+        static read(data, position) {
+            if (position + 4 > data.byteLength)
+                throw new RangeError('Out of bounds access');
+            return data.getUint32(position);
+        }
+    });
+    new Struct(`
+        cstring name
+        StreamWord word
+    `, 'StreamWordRecord');
+    const words = new StreamParser(chunk(new Uint8Array([0x61, 0x62, 0, 1, 2, 3, 4]), [1]));
+    assert.deepStrictEqual(await words.readNext('StreamWordRecord'), {name: 'ab', word: 0x01020304});
+
+    // Values retried with more data are read again once the buffered bytes have doubled, not on every chunk.
+    let attempts = 0;
+    Struct.registerFromClass(class StreamBlob {
+        static get name() { return 'StreamBlob'; }
+        static get sizeof() { return undefined; }
+        static read(data, position) { return StreamBlob.readWithCount(data, position).value; }
+        static readWithCount(data, position) {
+            attempts++;
+            if (position + 1000 > data.byteLength)
+                throw new OutOfBoundsError();
+            return {count: 1000, value: data.getUint8(position + 999)};
+        }
+    });
+    const blobs = new StreamParser(chunk(new Uint8Array(1001).fill(7), [1]));
+    assert(await blobs.readNext('StreamBlob') === 7 && attempts <= 12, `Expected at most 12 attempts, got ${attempts}`);
+    assert(await blobs.readNext('u8') === 7 && await blobs.atEnd());
+
+    // Lenient reads retried with more data report each mismatch once.
+    new Struct(`
+        u16 magic = 0x1234
+        cstring tag
+    `, 'StreamMagic');
+    let warnings = new Array;
+    const lenient = new StreamParser(chunk(new Uint8Array([0x12, 0x35, 0x61, 0x62, 0x63, 0x64, 0]), [1]));
+    assert.deepStrictEqual(await lenient.readNext('StreamMagic', false, {lenient: true, warnings}), {magic: 0x1235, tag: 'abcd'});
+    assert(warnings.length === 1 && warnings[0].includes('should be 0x1234, got 0x1235'));
+
+    new Struct(`
+        u8 tag
+        ptr16<u8>{base: "parent"} target
+    `, 'StreamPointer');
+    await assert.rejects(new StreamParser([new Uint8Array([1, 0, 3, 4])]).readNext('StreamPointer'), /Struct 'StreamPointer' has pointers/);
+}
+
+module.exports = { test };
\ No newline at end of file
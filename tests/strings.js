@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { Struct, DataViewStream, StructError } = require('../index.js');
+
+function test() {
+    const header = new Struct(`
+        char[4] magic
+        cstring name
+        cstring{encoding: "utf-16le"} wideName
+        pstring<u16>{encoding: "shift_jis"} title
+        string[8] tag
+        string{encoding: 'latin1', padding: ' '}[8] padded
+    `, 'StringsHeader');
+
+    assert(header.sizeof === undefined, `Expected variable size, got ${header.sizeof}`);
+    assert.throws(() => new Struct('string name', 'StringsInvalid'), /need a fixed width/);
+    assert.throws(() => new Struct('pstring<u64> name', 'StringsInvalidLength'), /Invalid pstring length type/);
+
+    const value = {
+        magic: ['S', 'T', 'R', 'S'],
+        name: 'héllo',
+        wideName: 'Wide',
+        title: 'ゲーム',
+        tag: 'abc',
+        padded: 'café',
+    };
+
+    const buffer = new ArrayBuffer(64);
+    const view = new DataView(buffer);
+    const written = header.write(view, 0, value, true);
+    // 4 + (6 + 1) + (8 + 2) + (2 + 6) + 8 + 8
+    assert(written === 45, `Expected 45 bytes written, got ${written}`);
+
+    const bytes = new Uint8Array(buffer);
+    assert.deepStrictEqual([...bytes.slice(21, 29)], [0x06, 0x00, 0x83, 0x51, 0x81, 0x5B, 0x83, 0x80]);
+    assert.deepStrictEqual([...bytes.slice(37, 45)], [0x63, 0x61, 0x66, 0xE9, 0x20, 0x20, 0x20, 0x20]);
+
+    const read = Struct.readValue(view, 0, 'StringsHeader', true);
+    assert(read.count === 45, `Expected 45 bytes read, got ${read.count}`);
+    assert.deepStrictEqual(read.value, value);
+
+    const stream = new DataViewStream(buffer);
+    stream.seek(4);
+    assert(stream.readNext('cstring') === 'héllo');
+    assert(stream.tell() === 11, `Expected stream position 11, got ${stream.tell()}`);
+
+    assert.throws(() => Struct.writeValue(view, 0, 'too long for this', 'string', false, {length: 8}), e => e instanceof StructError && e.cause instanceof RangeError);
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StructError, Enum, StreamParser } = require('../index.js');
+
+async function test() {
+    const registry = new StructRegistry();
+    new Struct(`
+        u8 id
+        cstring name
+    `, 'Entry', {registry});
+    const header = new Struct(`
+        u16 count
+        Entry[count] entries
+    `, 'Header', {registry});
+
+    // The name of the fourth entry is not terminated before the end of the data.
+    const view = new DataView(new ArrayBuffer(16));
+    view.setUint16(2, 5, true);
+    new Uint8Array(view.buffer).set([1, 0x61, 0, 2, 0x62, 0x63, 0, 3, 0, 4, 0x64, 0x64], 4);
+
+    const check = error => {
+        assert(error instanceof StructError && error instanceof Error);
+        assert(error.path === 'Header.entries[3].name' && error.type === 'cstring' && error.offset === 14);
+        assert(error.cause instanceof RangeError && /Unterminated string/.test(error.cause.message));
+        assert(error.message === `Cannot read Header.entries[3].name (cstring at offset 14): ${error.cause.message}`);
+        return true;
+    };
+    assert.throws(() => header.read(view, 2, true), check);
+    assert.throws(() => Struct.readValue(view, 2, 'Header', true, undefined, registry), check);
+    assert.throws(() => Struct.readStruct(view, 2, 'Header', true, registry), e => check(e) && typeof e.partial === 'undefined');
+
+    // The partial result holds everything decoded before the failure.
+    assert.throws(() => header.read(view, 2, true, {partial: true}), e => {
+        assert.deepStrictEqual(e.partial, {count: 5, entries: [{id: 1, name: 'a'}, {id: 2, name: 'bc'}, {id: 3, name: ''}, {id: 4}]});
+        return check(e);
+    });
+
+    // Compiled structs fail with the same error.
+    header.compile();
+    assert.throws(() => header.read(view, 2, true, {partial: true}), e => check(e) && e.partial.entries.length === 4);
+
+    // Failures on write, including of the struct itself.
+    new Enum('enum<u8> ErrorKind { NONE, SOME }', {registry});
+    const record = new Struct(`
+        u8 count
+        ErrorKind[count] kinds
+    `, 'ErrorRecord', {registry});
+    assert.throws(() => record.write(view, 4, {count: 2, kinds: ['NONE', 'MANY']}), e => {
+        assert(e.path === 'ErrorRecord.kinds[1]' && e.type === 'ErrorKind' && e.offset === 6);
+        return e.cause instanceof RangeError && e.message.startsWith('Cannot write ErrorRecord.kinds[1] (ErrorKind at offset 6): ');
+    });
+    assert.throws(() => record.write(view, 16, {count: 0, kinds: []}), e => e.path === 'ErrorRecord.count' && e.offset === 16);
+    const fixed = new Struct('u32 value', 'ErrorFixed', {registry});
+    assert.throws(() => fixed.write(view, 14, {value: 1}), e => e.path === 'ErrorFixed' && e.type === 'ErrorFixed' && e.offset === 14);
+    assert.throws(() => Struct.writeValue(view, 15, 0, 'u16', true, undefined, registry), e => e.path === 'u16' && /outside the bounds/.test(e.message));
+    assert.throws(() => Struct.readValue(view, 0, 'Missing', true, undefined, registry), e => !(e instanceof StructError));
+
+    // Offsets are positions in the stream.
+    new Struct(`
+        u8 magic = 0x7F
+        u8 version
+    `, 'ErrorMagic', {registry});
+    const parser = new StreamParser([new Uint8Array([0x7F, 1, 0x7E, 2])], registry);
+    assert((await parser.readNext('ErrorMagic')).version === 1);
+    await assert.rejects(parser.readNext('ErrorMagic'), e => e.path === 'ErrorMagic.magic' && e.offset === 2 && /should be 127, got 126/.test(e.message));
+}
+
+module.exports = { test };
\ No newline at end of file
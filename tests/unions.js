@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { Struct } = require('../index.js');
+
+function test() {
+    new Struct(`
+        s16 x
+        s16 y
+    `, 'UnionsPointEvent');
+
+    new Struct(`
+        u16 keyCode
+        u8 pressed
+    `, 'UnionsKeyEvent');
+
+    const message = new Struct(`
+        u8 kind
+        switch(kind) { 1: UnionsPointEvent, 2: UnionsKeyEvent, 0x10: cstring, default: u8[4] } payload
+        u8 trailer
+    `, 'UnionsMessage');
+
+    assert(message.sizeof === undefined, `Expected variable size, got ${message.sizeof}`);
+    assert.throws(() => new Struct('switch(missing) { 1: u8 } payload', 'UnionsInvalid'), /does not refer to an earlier field/);
+
+    const view = new DataView(new ArrayBuffer(16));
+
+    const point = {kind: 1, payload: {x: -3, y: 4}, trailer: 0xFF};
+    assert(message.write(view, 0, point, true) === 6);
+    assert.deepStrictEqual(message.read(view, 0, true), point);
+
+    const text = {kind: 0x10, payload: 'hi', trailer: 0xFF};
+    assert(message.write(view, 0, text, true) === 5);
+    assert.deepStrictEqual(message.read(view, 0, true), text);
+
+    const unknown = {kind: 7, payload: [1, 2, 3, 4], trailer: 0xFF};
+    assert(message.write(view, 0, unknown, true) === 6);
+    assert.deepStrictEqual(message.read(view, 0, true), unknown);
+
+    // The discriminator is inferred from the shape of the variant when it is left out.
+    assert(message.write(view, 0, {payload: {keyCode: 65, pressed: 1}, trailer: 0}, true) === 5);
+    assert.deepStrictEqual(message.read(view, 0, true), {kind: 2, payload: {keyCode: 65, pressed: 1}, trailer: 0});
+    assert.throws(() => message.write(view, 0, {payload: 42, trailer: 0}, true), /Cannot infer discriminator/);
+
+    const strict = new Struct(`
+        char[2] tag
+        switch(tag) { "PT": UnionsPointEvent, "KY": UnionsKeyEvent } body
+    `, 'UnionsStrict');
+    assert(strict.sizeof === undefined);
+    view.setUint8(0, 0x5A);
+    view.setUint8(1, 0x5A);
+    assert.throws(() => strict.read(view, 0), /No case of switch 'body' matches/);
+}
+
+module.exports = { test };
\ No newline at end of file
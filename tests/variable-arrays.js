@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { Struct, DataViewStream, StructError } = require('../index.js');
+
+function test() {
+    const entry = new Struct(`
+        u8 id
+        u16 value
+    `, 'VariableArraysEntry');
+
+    const table = new Struct(`
+        u16 count
+        VariableArraysEntry[count] entries
+        u8 terminator
+    `, 'VariableArraysTable');
+
+    assert(entry.sizeof === 3, `Expected fixed size 3, got ${entry.sizeof}`);
+    assert(table.sizeof === undefined, `Expected variable size, got ${table.sizeof}`);
+    assert.throws(() => new Struct('u8[missing] data', 'VariableArraysInvalid'), /does not refer to an earlier scalar field/);
+
+    const value = {
+        count: 2,
+        entries: [{id: 1, value: 0x1234}, {id: 2, value: 0x5678}],
+        terminator: 0xFF,
+    };
+
+    const buffer = new ArrayBuffer(16);
+    const view = new DataView(buffer);
+    const written = table.write(view, 0, value, true);
+    assert(written === 9, `Expected 9 bytes written, got ${written}`);
+
+    const read = Struct.readValue(view, 0, 'VariableArraysTable', true);
+    assert(read.count === 9, `Expected 9 bytes read, got ${read.count}`);
+    assert.deepStrictEqual(read.value, value);
+
+    const stream = new DataViewStream(buffer);
+    stream.readNext('VariableArraysTable', true);
+    assert(stream.tell() === 9, `Expected stream position 9, got ${stream.tell()}`);
+
+    assert.throws(() => table.write(view, 0, {...value, count: 3}, true), e => e instanceof StructError && e.cause instanceof RangeError);
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,81 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StreamParser, DataViewWriter } = require('../index.js');
+
+function bytes(type, value) {
+    const view = new DataView(new ArrayBuffer(16));
+    const count = Struct.writeValue(view, 0, value, type);
+    assert.deepStrictEqual(Struct.readValue(view, 0, type), {count, value});
+    return [...new Uint8Array(view.buffer, 0, count)];
+}
+
+async function test() {
+    // Every type reads back what it writes, and reports the number of bytes it took.
+    assert.deepStrictEqual(bytes('uleb128', 624485), [0xE5, 0x8E, 0x26]);
+    assert.deepStrictEqual(bytes('uleb128', 0), [0x00]);
+    assert.deepStrictEqual(bytes('uleb128', 2n ** 64n - 1n), [0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0x01]);
+    assert.deepStrictEqual(bytes('sleb128', -123456), [0xC0, 0xBB, 0x78]);
+    assert.deepStrictEqual(bytes('sleb128', 63), [0x3F]);
+    assert.deepStrictEqual(bytes('sleb128', 64), [0xC0, 0x00]);
+    assert.deepStrictEqual(bytes('sleb128', -64), [0x40]);
+    assert.deepStrictEqual(bytes('sleb128', -65), [0xBF, 0x7F]);
+    assert.deepStrictEqual(bytes('sleb128', -(2n ** 63n)), [0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x80, 0x7F]);
+    assert.deepStrictEqual(bytes('zigzag', -1), [0x01]);
+    assert.deepStrictEqual(bytes('zigzag', 1), [0x02]);
+    assert.deepStrictEqual(bytes('zigzag', -2147483648), [0xFF, 0xFF, 0xFF, 0xFF, 0x0F]);
+    assert.deepStrictEqual(bytes('vlq', 0x40), [0x40]);
+    assert.deepStrictEqual(bytes('vlq', 0x2000), [0xC0, 0x00]);
+    assert.deepStrictEqual(bytes('vlq', 0x0FFFFFFF), [0xFF, 0xFF, 0xFF, 0x7F]);
+    assert(Struct.writeValue(new DataView(new ArrayBuffer(1)), 0, 2n, 'uleb128') === 1);
+    assert.throws(() => bytes('uleb128', -1), /Value -1 of type uleb128 should not be negative/);
+    assert.throws(() => bytes('zigzag', 1.5), /Value 1.5 of type zigzag should be an integer/);
+    assert.throws(() => Struct.writeValue(new DataView(new ArrayBuffer(2)), 0, 0x4000, 'vlq'), /outside the bounds/);
+    assert.throws(() => Struct.readValue(new DataView(new Uint8Array([0x80, 0x80]).buffer), 0, 'uleb128'), /outside the bounds/);
+
+    // They hold up to 64 bits, so that data with the continuation bit set on every byte is rejected after 10 bytes.
+    const endless = new DataView(new Uint8Array(Array(16).fill(0x80)).buffer);
+    for (const type of ['uleb128', 'sleb128', 'zigzag', 'vlq'])
+        assert.throws(() => Struct.readValue(endless, 0, type), e => e.name === 'StructError' && new RegExp(`Value of type ${type} is longer than 10 bytes`).test(e.message));
+    // A 10th byte may only carry the 64th bit, or copies of the sign bit for sleb128.
+    const tenBytes = (first, last) => new DataView(new Uint8Array([first, ...Array(8).fill(0xFF), last]).buffer);
+    assert(Struct.readValue(tenBytes(0xFF, 0x00), 0, 'sleb128').value === 2n ** 63n - 1n);
+    assert(Struct.readValue(tenBytes(0x81, 0x7F), 0, 'vlq').value === 2n ** 64n - 1n);
+    for (const [type, first, last] of [['uleb128', 0xFF, 0x7F], ['uleb128', 0xFF, 0x02], ['zigzag', 0xFF, 0x03], ['sleb128', 0xFF, 0x01], ['sleb128', 0x80, 0x7E], ['vlq', 0x82, 0x7F]])
+        assert.throws(() => Struct.readValue(tenBytes(first, last), 0, type), e => e.name === 'StructError' && new RegExp(`Value -?[0-9]+ of type ${type} does not fit in 64 bits`).test(e.message));
+    assert.throws(() => bytes('uleb128', 2n ** 64n), /Value 18446744073709551616 of type uleb128 does not fit in 64 bits/);
+    assert.throws(() => bytes('sleb128', 2n ** 63n), /does not fit in 64 bits/);
+    assert.throws(() => bytes('zigzag', -(2n ** 63n) - 1n), /does not fit in 64 bits/);
+    assert.throws(() => bytes('vlq', 2n ** 64n), /does not fit in 64 bits/);
+
+    // Struct members of these types make the size of the struct depend on the data.
+    const registry = new StructRegistry();
+    const event = new Struct(`
+        vlq delta
+        u8 status
+        uleb128 count
+        sleb128[count] values
+        zigzag offset
+    `, 'VarintEvent', {registry});
+    assert(event.sizeof === undefined);
+    const value = {delta: 200, status: 0x90, count: 2, values: [-1, 300], offset: -3};
+    for (const struct of [event, registry.clone().get('VarintEvent').compile()]) {
+        const view = new DataView(new ArrayBuffer(16));
+        assert(struct.write(view, 0, value) === 8);
+        assert.deepStrictEqual([...new Uint8Array(view.buffer, 0, 8)], [0x81, 0x48, 0x90, 0x02, 0x7F, 0xAC, 0x02, 0x05]);
+        assert.deepStrictEqual(struct.readWithCount(view, 0), {count: 8, value});
+        const fields = struct.view(view);
+        assert(fields.offset === -3 && fields.values[1] === 300);
+    }
+    assert(event.toTypeScript().includes('values: (number | bigint)[];'));
+
+    // Streams read and write them across chunk and buffer boundaries.
+    const writer = new DataViewWriter(1, registry);
+    writer.writeNext(value, 'VarintEvent');
+    writer.writeNext(2n ** 60n, 'uleb128');
+    const data = new Uint8Array(writer.toArrayBuffer());
+    assert(data.length === 17);
+    const parser = new StreamParser([data.slice(0, 1), data.slice(1, 5), data.slice(5, 12), data.slice(12)], registry);
+    assert.deepStrictEqual(await parser.readNext('VarintEvent'), value);
+    assert(await parser.readNext('uleb128') === 2n ** 60n);
+}
+
+module.exports = { test };
\ No newline at end of file
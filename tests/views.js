@@ -0,0 +1,134 @@
+const assert = require('assert');
+const { Struct, StructRegistry, Enum } = require('../index.js');
+
+// Converts a value or view to plain data, as bitfields and views only compare equal once serialized.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? String(v) : v));
+}
+
+function test() {
+    const registry = new StructRegistry();
+    new Enum('enum<u8> PageKind { FREE, DATA, INDEX }', {registry});
+    new Struct(`
+        u32 id
+        Bitfield8{dirty: 1, locked: 1, #reserved: 6} flags
+        PageKind kind
+    `, 'PageHeader', {registry});
+    const table = new Struct(`
+        PageHeader header
+        @align natural
+        u16[4] slots
+        PageHeader[2] children
+        u64 stamp
+    `, 'PageTable', {registry});
+    assert(table.sizeof === 40);
+
+    const data = new DataView(new ArrayBuffer(48));
+    const value = {
+        header: {id: 7, flags: {value: 0b01000000}, kind: 'DATA'},
+        slots: [1, 2, 3, 4],
+        children: [{id: 8, flags: {value: 0b10000000}, kind: 'FREE'}, {id: 9, flags: {value: 0}, kind: 'INDEX'}],
+        stamp: 42n,
+    };
+    table.write(data, 4, value, true);
+
+    const view = table.view(data, 4, true);
+    assert.deepStrictEqual(plain(view), plain(table.read(data, 4, true)));
+    assert(view.header.id === 7 && view.header.kind === 'DATA' && view.stamp === 42n);
+    assert(view.slots.length === 4 && view.slots[3] === 4 && Array.isArray(view.slots));
+    assert.deepStrictEqual([...view.slots], [1, 2, 3, 4]);
+    assert(view.children[1].id === 9);
+
+    // Assignments write only the member through to the buffer.
+    const before = new Uint8Array(data.buffer).slice();
+    view.header.flags.dirty = 1;
+    assert(data.getUint8(8) === 0b11000000);
+    assert(view.header.flags.dirty === 1 && view.header.flags.locked === 1);
+    view.children[0].kind = 'INDEX';
+    view.slots[2] = 0xBEEF;
+    view.stamp = 43n;
+    const after = new Uint8Array(data.buffer);
+    const changed = [...after.keys()].filter(i => after[i] !== before[i]);
+    assert.deepStrictEqual(changed, [8, 14, 15, 23, 36]);
+    assert(data.getUint16(14, true) === 0xBEEF && data.getUint8(23) === 2);
+
+    // Changes to the buffer are visible through existing views.
+    const header = view.children[1];
+    data.setUint32(24, 1234, true);
+    assert(header.id === 1234);
+    view.children[1] = {id: 5, flags: {value: 0b11000000}, kind: 'DATA'};
+    assert(header.id === 5 && header.flags.locked === 1);
+    assert.throws(() => { 'use strict'; view.unknown = 1; }, TypeError);
+    assert.throws(() => table.view(data, 10), RangeError);
+
+    // Members after members of variable size, conditional members and tagged unions.
+    const record = new Struct(`
+        char[2] byteOrder
+        @endian byteOrder
+        u8 count
+        u16[count] values
+        cstring name
+        if (count > 1) u32 extra
+        switch(count) { 0: u8, default: PageHeader } payload
+        u16 end
+    `, 'ViewRecord', {registry});
+    const bytes = new DataView(new ArrayBuffer(64));
+    const count = record.write(bytes, 0, {byteOrder: ['I', 'I'], count: 2, values: [10, 20], name: 'abc', extra: 99, payload: value.header, end: 0xFFFF});
+    const recordView = record.view(bytes);
+    assert.deepStrictEqual(plain(recordView), plain(record.read(bytes, 0)));
+    assert(recordView.values[1] === 20 && recordView.name === 'abc' && recordView.extra === 99);
+    assert(recordView.payload.kind === 'DATA');
+    recordView.end = 0x1234;
+    assert(bytes.getUint16(count - 2, true) === 0x1234);
+    recordView.name = 'xyz';
+    assert(record.read(bytes, 0).name === 'xyz');
+    assert.throws(() => { recordView.name = 'longer'; }, /Cannot resize member 'name'/);
+    assert.throws(() => { recordView.name = 'a'; }, /Cannot resize member 'name'/);
+    assert(record.read(bytes, 0).name === 'xyz');
+
+    // Members which the layout depends on can only be assigned the value they have, including through nested views.
+    assert.throws(() => { recordView.count = 0; }, /Cannot change member 'count' of a view of 'ViewRecord' in a way which changes the layout of the other members/);
+    assert.throws(() => { recordView.byteOrder[0] = 'M'; }, /member 'byteOrder'/);
+    assert(bytes.getUint8(2) === 2 && recordView.byteOrder.join('') === 'II');
+    recordView.count = 2;
+    assert.throws(() => { recordView.values[2] = 1; }, /Index 2 is outside the bounds of array 'values' of length 2/);
+    assert(recordView.values.length === 2);
+
+    const switched = new Struct(`
+        PageHeader header
+        switch(header.kind) { 'DATA': u32, default: u8 } body
+        if (header.flags.locked) u8 lock
+    `, 'ViewSwitched', {registry});
+    const switchedBytes = new DataView(new ArrayBuffer(16));
+    switched.write(switchedBytes, 0, {header: {id: 1, flags: {value: 0}, kind: 'DATA'}, body: 7});
+    const switchedView = switched.view(switchedBytes);
+    switchedView.header.id = 2;
+    assert.throws(() => { switchedView.header.kind = 'FREE'; }, /member 'header'/);
+    assert.throws(() => { switchedView.header.flags.locked = 1; }, /member 'header'/);
+    assert.deepStrictEqual(plain(switched.read(switchedBytes, 0)), {header: {id: 2, flags: {dirty: false, locked: false}, kind: 'DATA'}, body: 7});
+
+    // Changes to the buffer itself are taken into account.
+    bytes.setUint8(2, 0);
+    assert(recordView.extra === undefined && recordView.values.length === 0);
+    assert(recordView.name === '\n' && recordView.payload === bytes.getUint8(5));
+    assert.throws(() => { recordView.extra = 1; }, /'extra' of 'ViewRecord', it is not present/);
+
+    // Pointers are read and assigned as their offsets, without following them.
+    const pointers = new Struct(`
+        ptr16<u16> single
+        ptr16<u16>[2] pair
+    `, 'ViewPointers', {registry});
+    const heap = new DataView(new ArrayBuffer(16));
+    assert(pointers.write(heap, 0, {single: 0x1111, pair: [0x2222, null]}) === 10);
+    const pointerView = pointers.view(heap);
+    assert(pointerView.single === 6 && pointerView.pair[0] === 8 && pointerView.pair[1] === 0);
+    pointerView.single = 8;
+    assert(heap.getUint16(0) === 8 && pointers.read(heap, 0).single === 0x2222);
+    pointerView.pair[1] = 6;
+    assert.deepStrictEqual(pointers.read(heap, 0).pair, [0x2222, 0x1111]);
+    pointerView.pair = [0, 8];
+    assert.deepStrictEqual(pointers.read(heap, 0).pair, [null, 0x2222]);
+    assert.throws(() => { pointerView.pair = [6]; }, RangeError);
+}
+
+module.exports = { test };
\ No newline at end of file
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { Struct, StructRegistry, StructError, OutOfBoundsError, DataViewStream, DataViewWriter, Bitfield8 } = require('../index.js');
+
+function test() {
+    new Struct(`
+        u16 count
+        cstring name
+        u32[count] values
+    `, 'WriterRecord');
+
+    const writer = new DataViewWriter(4);
+    assert(writer.byteLength === 0);
+    assert(writer.writeNext(0xCAFEBABE, 'u32') === 4);
+    assert(writer.writeNext({count: 3, name: 'grown', values: [1, 2, 3]}, 'WriterRecord', true) === 20);
+    assert(writer.writeNext('a longer string which does not fit in the doubled buffer', 'cstring') === 57);
+    assert(writer.writeNext(new Bitfield8(0b1010, {high: 4, low: 4}), 'Bitfield8') === 1);
+    assert(writer.tell() === 82 && writer.byteLength === 82);
+
+    const bytes = writer.toUint8Array();
+    assert(bytes.length === 82);
+    const stream = new DataViewStream(writer.toArrayBuffer());
+    assert(stream.readNext('u32') === 0xCAFEBABE);
+    assert.deepStrictEqual(stream.readNext('WriterRecord', true), {count: 3, name: 'grown', values: [1, 2, 3]});
+    assert(stream.readNext('cstring') === 'a longer string which does not fit in the doubled buffer');
+    assert(stream.readNext('u8') === 0b1010);
+
+    // Patching a header once the size is known, and writing past the end.
+    writer.writeAt(0, writer.byteLength, 'u32');
+    assert(new DataView(writer.toArrayBuffer()).getUint32(0) === 82);
+    writer.seek(4, DataViewWriter.SEEK_END).writeNext(0xFF, 'u8');
+    assert(writer.byteLength === 87);
+    assert.deepStrictEqual([...writer.toUint8Array().slice(82)], [0, 0, 0, 0, 0xFF]);
+
+    // Errors unrelated to the size of the buffer are not retried.
+    assert.throws(() => writer.writeNext({count: 2, name: 'x', values: [1]}, 'WriterRecord'), /has 1 elements but 'count' is 2/);
+    assert.throws(() => writer.writeAt(-1, 0, 'u8'), RangeError);
+
+    // Bounds errors which growing the buffer does not fix are not retried past the size of the member which failed.
+    const registry = new StructRegistry();
+    Struct.registerFromClass(class Broken {
+        static get name() { return 'Broken'; }
+        static get sizeof() { return 4; }
+        static read() { return 0; }
+        static write() { throw new RangeError('Offset is outside the bounds of the DataView'); }
+    }, registry);
+    new Struct(`
+        u8 tag
+        Broken broken
+    `, 'BrokenRecord', {registry});
+    const small = new DataViewWriter(2, registry);
+    assert.throws(() => small.writeNext({tag: 1, broken: 0}, 'BrokenRecord'), e => e instanceof StructError && e.path === 'BrokenRecord.broken');
+    assert.throws(() => small.writeNext(0, 'Broken'), StructError);
+    assert(small.writeNext(0x01020304, 'u32') === 4 && small.byteLength === 4);
+    assert.throws(() => new DataViewWriter(0), RangeError);
+
+    // The buffer grows on the library's own bounds checks and on OutOfBoundsErrors, whatever the wording of the engine's errors.
+    Struct.registerFromClass(class EngineWord {
+        static get name() { return 'EngineWord'; }
+        static get sizeof() { return 4; }
+        static read(data, position) { return data.getUint32(position); }
+        static write(data, position, value) {
+            if (position + 4 > data.byteLength)
+                throw new RangeError('Out of bounds access');
+            data.setUint32(position, value);
+        }
+    }, registry);
+    Struct.registerFromClass(class Blob {
+        static get name() { return 'Blob'; }
+        static get sizeof() { return undefined; }
+        static read(data, position) { return Blob.readWithCount(data, position).value; }
+        static readWithCount(data, position) { return {count: data.byteLength - position, value: new Uint8Array(data.buffer, data.byteOffset + position).slice()}; }
+        static write(data, position, value) {
+            if (position + value.length > data.byteLength)
+                throw new OutOfBoundsError();
+            new Uint8Array(data.buffer, data.byteOffset + position, value.length).set(value);
+            return value.length;
+        }
+    }, registry);
+    new Struct(`
+        cstring name
+        EngineWord word
+        Blob blob
+    `, 'EngineRecord', {registry});
+    const growing = new DataViewWriter(1, registry);
+    assert(growing.writeNext({name: 'abc', word: 7, blob: new Uint8Array(100).fill(1)}, 'EngineRecord') === 108);
+    assert.deepStrictEqual([...growing.toUint8Array().subarray(0, 9)], [0x61, 0x62, 0x63, 0, 0, 0, 0, 7, 1]);
+}
+
+module.exports = { test };
\ No newline at end of file